@@ -1,406 +1,2380 @@
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadLLMConfig, createLLMProvider, createJsonStringFieldStream } = require('./lib/llm');
+const {
+  parseComposition,
+  parseCompositionConstraints,
+  evaluateConstraint,
+  isCompositionWord,
+  formatConstraint,
+  formatComposition,
+  splitClauses,
+  findIngredientMentions
+} = require('./lib/composition');
+const { toLowerTr, normalizeText, createQueryMatcher, matchesAnyWord } = require('./lib/normalize');
+const { createSearchIndex } = require('./lib/search-index');
+const { loadEmbeddingConfig, createEmbeddingProvider } = require('./lib/embeddings');
+const { createVectorStore } = require('./lib/vector-store');
+const { validatePetProfile, applyPetProfile, describePet, createPetProfileStore } = require('./lib/pet-profiles');
+const { loadSecurityConfig, rejection, createAdminAuth, createRateLimiter, verifyCustomerToken, verifyAppProxyRequest } = require('./lib/security');
+const { REPORT_SECTIONS, createAnalyticsStore } = require('./lib/analytics');
+const { EVENT_TYPES, RATINGS, getQueryType, createEngagementStore } = require('./lib/engagement');
+const { createVocabularyStore } = require('./lib/vocabulary');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, LANGUAGE_NAMES, getReply, toSearchQuery, resolveLanguage } = require('./lib/language');
+const { MAX_QUANTITY, parseCartIntent, selectPositions, validateCartItems, buildCart } = require('./lib/cart');
+const { createCatalogSnapshotStore } = require('./lib/catalog-snapshot');
+const { createBulkImporter } = require('./lib/shopify-bulk');
+const { normalizeMetafields, createFacetQuery, matchFacets } = require('./lib/facets');
+const { parseSearchParams, createBrandFilter, buildFacetCounts, paginate } = require('./lib/search-api');
+const { DEFAULT_WIDGET_CONFIG_FILE, loadWidgetAssets, loadWidgetConfig, getWidgetSettings } = require('./lib/widget');
 const app = express();
 
-app.use(cors());
-app.use(express.json());
-
 console.log('🚀 Server starting...');
 
-// Son önerileri takip et (çeşitlilik için)
-const recentRecommendations = new Map();
+// LLM sağlayıcısı (LLM_PROVIDER=openai|mock)
+const llm = createLLMProvider(loadLLMConfig(process.env));
+
+// Anlamsal arama için embedding sağlayıcısı (EMBEDDING_PROVIDER=none|local|openai, kapalıysa null)
+const embeddingConfig = loadEmbeddingConfig(process.env);
+const embedder = createEmbeddingProvider(embeddingConfig);
+
+// İzinli mağazalar ve her birinin Admin API token'ı
+const shopConfig = loadShopConfig();
+
+// Mağaza başına izinli tarayıcı kaynakları (CORS_ORIGINS, her mağazanın kendi adresi her zaman izinli)
+const corsOrigins = loadCorsOrigins(shopConfig);
+
+// Admin yetkisi (ADMIN_API_KEY / ADMIN_TOKEN_SECRET) ve sohbet istek sınırları
+const securityConfig = loadSecurityConfig(process.env);
+const requireAdmin = createAdminAuth(securityConfig);
+const ipLimiter = createRateLimiter({ windowMs: securityConfig.rateLimit.windowMs, limit: securityConfig.rateLimit.perIp });
+const sessionLimiter = createRateLimiter({ windowMs: securityConfig.rateLimit.windowMs, limit: securityConfig.rateLimit.perSession });
+const searchLimiter = createRateLimiter({ windowMs: securityConfig.rateLimit.windowMs, limit: securityConfig.rateLimit.searchPerIp });
+const apiLimiter = createRateLimiter({ windowMs: securityConfig.rateLimit.windowMs, limit: securityConfig.rateLimit.apiPerIp });
+
+if (securityConfig.trustProxy !== null) {
+  // Proxy arkasında IP sınırı gerçek istemci IP'sine uygulansın
+  app.set('trust proxy', securityConfig.trustProxy);
+}
+
+app.use(rejectUnknownOrigin);
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin))
+}));
+app.use(express.json({
+  // Webhook HMAC doğrulaması ham body üzerinden yapılır
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Ürün cache (performans için)
-let productCache = null;
-let cacheTime = null;
+// Ürün cache (performans için, shop domain → { products, index, vectors, time })
+const productCaches = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 dakika
 
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { message, shopDomain } = req.body;
-    
-    console.log('📨 Message:', message);
-    console.log('🏪 Shop:', shopDomain);
-    
-    if (!message || !shopDomain) {
-      return res.status(400).json({
-        reply: 'Mesaj veya shop domain eksik',
-        products: []
-      });
-    }
-    
-    // Query oluştur
-    const searchTerms = buildSearchTerms(message);
-    console.log('🔍 Search terms:', searchTerms);
-    
-    // 1. Shopify Admin API - TÜM ÜRÜNLERİ ÇEK (Cache veya Pagination ile)
-    let allProducts;
-    
-    if (productCache && cacheTime && (Date.now() - cacheTime < CACHE_DURATION)) {
-      console.log('⚡ Cache kullanılıyor (son güncelleme: ' + Math.floor((Date.now() - cacheTime) / 1000) + ' saniye önce)');
-      allProducts = productCache;
-    } else {
-      console.log('🔄 Tüm ürünler Shopify\'dan çekiliyor...');
-      
-      let allShopifyProducts = [];
-      let nextPageUrl = `https://${shopDomain}/admin/api/2024-01/products.json?limit=250&status=active`;
-      let pageCount = 0;
-      const maxPages = 20; // Max 5000 ürün (250 x 20)
-      
-      while (nextPageUrl && pageCount < maxPages) {
-        pageCount++;
-        console.log(`📄 Sayfa ${pageCount}/${maxPages} çekiliyor...`);
-        
-        const shopifyRes = await fetch(nextPageUrl, {
-          method: 'GET',
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_TOKEN,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        const shopifyData = await shopifyRes.json();
-        
-        console.log(`📦 Shopify status: ${shopifyRes.status}`);
-        
-        if (shopifyData.errors) {
-          console.error('❌ Shopify errors:', shopifyData.errors);
-          throw new Error('Shopify hatası: ' + JSON.stringify(shopifyData.errors));
-        }
-        
-        if (!shopifyData.products || shopifyData.products.length === 0) {
-          console.log('ℹ️ Daha fazla ürün yok');
-          break;
-        }
+// Katalogla birlikte diskte tutulan dosyalar (data/<shop>/...)
+const CATALOG_DATA_DIR = process.env.CATALOG_DATA_DIR || 'data';
 
-        allShopifyProducts = allShopifyProducts.concat(shopifyData.products);
-        console.log(`✓ ${shopifyData.products.length} ürün eklendi (toplam: ${allShopifyProducts.length})`);
-        
-        // Pagination: Link header'dan sonraki sayfayı al
-        const linkHeader = shopifyRes.headers.get('Link');
-        nextPageUrl = null;
-        
-        if (linkHeader) {
-          const links = linkHeader.split(',');
-          const nextLink = links.find(link => link.includes('rel="next"'));
-          
-          if (nextLink) {
-            const match = nextLink.match(/<([^>]+)>/);
-            if (match) {
-              nextPageUrl = match[1];
-              console.log('➡️ Sonraki sayfa bulundu');
-            }
-          }
-        }
-        
-        // Rate limiting: Shopify API limit (2 req/sec)
-        if (nextPageUrl) {
-          await new Promise(resolve => setTimeout(resolve, 550)); // 550ms bekle
-        }
-      }
-      
-      console.log(`🎉 Toplam ${allShopifyProducts.length} ürün çekildi (${pageCount} sayfa)`);
-
-      // Admin API formatından normalize et
-      allProducts = allShopifyProducts
-        .filter(p => p.status === 'active')
-        .map(p => {
-          // HTML tag'lerini temizle ve TAM AÇIKLAMAYI al
-          const fullDesc = p.body_html 
-            ? p.body_html
-                .replace(/<[^>]*>/g, '') // HTML tag'leri sil
-                .replace(/&nbsp;/g, ' ') // &nbsp; → boşluk
-                .replace(/&amp;/g, '&')  // &amp; → &
-                .replace(/&quot;/g, '"') // &quot; → "
-                .replace(/&#39;/g, "'")  // &#39; → '
-                .replace(/&lt;/g, '<')   // &lt; → <
-                .replace(/&gt;/g, '>')   // &gt; → >
-                .replace(/\s+/g, ' ')    // Çoklu boşlukları tek yap
-                .trim()
-            : '';
-          
-          return {
-            id: p.id.toString(),
-            title: p.title,
-            handle: p.handle,
-            vendor: p.vendor || '',
-            productType: p.product_type || '',
-            tags: p.tags ? (typeof p.tags === 'string' ? p.tags.split(', ') : p.tags) : [],
-            priceRange: {
-              minVariantPrice: {
-                amount: p.variants && p.variants[0] ? p.variants[0].price : '0',
-                currencyCode: 'TRY'
-              }
-            },
-            description: fullDesc, // TAM AÇIKLAMA (filtreleme için)
-            descriptionShort: fullDesc.substring(0, 150), // Kısa özet (AI için)
-            availableForSale: p.variants && p.variants.some(v => 
-              (v.inventory_quantity || 0) > 0 || v.inventory_policy === 'continue'
-            ),
-            featuredImage: {
-              url: p.image?.src || (p.images && p.images[0] ? p.images[0].src : '')
-            }
-          };
-        });
-
-      // Cache'e kaydet
-      productCache = allProducts;
-      cacheTime = Date.now();
-      
-      console.log(`📊 Toplam ${allProducts.length} aktif ürün`);
+// Normalize ürün formatı değişince artırılır (eski snapshot'lar yok sayılır)
+const CATALOG_FORMAT = 2;
 
-      // Mevcut markaları logla
-      const uniqueVendors = [...new Set(allProducts.map(p => p.vendor).filter(v => v))];
-      console.log(`🏷️ Mevcut markalar (${uniqueVendors.length}):`, uniqueVendors.slice(0, 15).join(', ') + '...');
-      
-      // Vendor boş olanları logla
-      const emptyVendorCount = allProducts.filter(p => !p.vendor).length;
-      if (emptyVendorCount > 0) {
-        console.log(`⚠️ ${emptyVendorCount} ürünün vendor alanı boş`);
-      }
-    }
+// Son çekilen katalog diskte (data/<shop>/catalog.json), açılışta yüklenir. Fixture modunda kapalı
+const catalogSnapshots = process.env.CATALOG_FIXTURE
+  ? null
+  : createCatalogSnapshotStore({ dir: CATALOG_DATA_DIR, format: CATALOG_FORMAT, omit: ['searchText', 'facetText'] });
 
-    // Akıllı filtreleme
-    const filteredProducts = smartFilter(allProducts, searchTerms, message);
+// Ürünlere facet olarak alınan metafield namespace'leri (CATALOG_METAFIELD_NAMESPACES=custom,laylapet, boş = hiçbiri)
+const METAFIELD_NAMESPACES = (process.env.CATALOG_METAFIELD_NAMESPACES !== undefined ? process.env.CATALOG_METAFIELD_NAMESPACES : 'custom')
+  .split(',')
+  .map(namespace => namespace.trim())
+  .filter(Boolean);
 
-    console.log(`✅ ${filteredProducts.length} ürün filtrelendi`);
+// Devam eden katalog çekimleri ve açılıştaki snapshot yüklemeleri (aynı anda gelen istekler aynı işi bekler)
+const catalogRefreshes = new Map();
+const catalogRestores = new Map();
 
-    if (filteredProducts.length === 0) {
-      return res.json({
-        reply: 'Bu kriterlere uygun ürün bulamadım 😔\n\nBaşka bir şey deneyebilir misin?\n\n💡 Öneriler:\n• "Kedi maması"\n• "Tavuksuz kedi maması"\n• "Tahılsız köpek maması"\n• "Az balık içerikli mama"',
-        products: []
-      });
-    }
+// Mağaza başına son yenileme durumu: { lastRefreshAt, lastError, lastErrorAt, progress }
+const catalogStatus = new Map();
 
-    // Maksimum 12 ürünü AI'ya gönder (çeşitlilik için)
-    const productsForAI = filteredProducts.slice(0, 12);
+// Katalog çekimi: bulk (GraphQL bulk operation, ürün sınırı yok) ya da rest (eski sayfalı döngü, en fazla 5000 ürün)
+const CATALOG_IMPORTER = process.env.CATALOG_IMPORTER === 'rest' ? 'rest' : 'bulk';
 
-    // 2. OpenAI'ya gönder
-    const systemPrompt = generateSystemPrompt(productsForAI, shopDomain, searchTerms);
-    
-    const aiRes = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        temperature: 0.8,
-        max_tokens: 500
-      })
-    });
+// Tek Shopify isteği için zaman aşımı: takılan bağlantı katalog yenilemesini (ve onu bekleyen istekleri) kilitlemesin
+const SHOPIFY_TIMEOUT = process.env.SHOPIFY_TIMEOUT_MS !== undefined ? parseInt(process.env.SHOPIFY_TIMEOUT_MS, 10) : 30000;
 
-    const aiData = await aiRes.json();
-    
-    console.log('🤖 OpenAI status:', aiRes.status);
-    
-    if (aiData.error) {
-      console.error('❌ OpenAI error:', aiData.error);
-      throw new Error('OpenAI hatası: ' + aiData.error.message);
+// Sorgu sözlüğü: hayvanlar, kategoriler, özel durumlar, içerik çevirileri (sürümlü, yeniden başlatmadan yüklenir)
+const vocabulary = createVocabularyStore({
+  file: process.env.VOCABULARY_FILE || path.join(CATALOG_DATA_DIR, 'vocabulary.json')
+});
+
+// Evcil hayvan profilleri (mağaza + müşteri/oturum bazlı, JSON dosyasında)
+const petProfiles = createPetProfileStore({
+  file: process.env.PET_PROFILES_FILE || path.join(CATALOG_DATA_DIR, 'pet-profiles.json')
+});
+
+// Sohbet analitiği (günlük JSON Lines dosyaları, admin raporları için)
+const analytics = createAnalyticsStore({
+  dir: process.env.ANALYTICS_DIR || path.join(CATALOG_DATA_DIR, 'analytics'),
+  retentionDays: process.env.ANALYTICS_RETENTION_DAYS !== undefined ? parseInt(process.env.ANALYTICS_RETENTION_DAYS, 10) : 90
+});
+
+// Müşteri etkileşimi: yanıt oyları, ürün tıklama / sepete ekleme (ENGAGEMENT_WEIGHT > 0 ise sıralamaya katılır)
+const engagement = createEngagementStore({
+  file: process.env.ENGAGEMENT_FILE || path.join(CATALOG_DATA_DIR, 'engagement.json')
+});
+
+// Vitrin widget'ı: script + stil (içerik özetiyle sürümlenir) ve mağaza başına görünüm ayarları
+const widgetAssets = loadWidgetAssets();
+const widgetConfig = loadWidgetConfig(process.env.WIDGET_CONFIG_FILE || DEFAULT_WIDGET_CONFIG_FILE);
+
+// Konuşma hafızası (takip soruları için, x-session-id ile)
+const chatSessions = new Map();
+const SESSION_TTL = 30 * 60 * 1000; // 30 dakika hareketsizlikten sonra unut
+const MAX_SESSIONS = 1000;
+const MAX_HISTORY_TURNS = 6; // AI'ya gönderilecek son 6 soru-cevap
+const MAX_RECENT_RECOMMENDED = 15; // Çeşitlilik için hatırlanan son önerilen ürünler
+
+app.post('/api/chat', limitChatRequests, async (req, res) => {
+  let chat = null;
+
+  try {
+    chat = await prepareChat(req);
+
+    if (chat.error) {
+      return res.status(chat.error.status).json(chat.error.body);
     }
-    
-    if (!aiData.choices || !aiData.choices[0]) {
-      console.error('❌ No choices:', aiData);
-      throw new Error('OpenAI yanıt vermedi');
+
+    if (chat.cartTurn) {
+      recordChatTurn(chat, { recommended: chat.cartTurn.products });
+      return res.json({ responseId: chat.responseId, language: chat.language, ...chat.cartTurn });
     }
 
-    const reply = aiData.choices[0].message.content;
-    
-    // Session ID
-    const sessionId = req.headers['x-session-id'] || shopDomain;
+    if (chat.productsForAI.length === 0) {
+      recordChatTurn(chat);
+      trackResponse(chat, []);
+      return res.json({
+        responseId: chat.responseId,
+        language: chat.language,
+        reply: getReply(chat.language, 'noResults'),
+        products: []
+      });
+    }
+
+    // 2. LLM'e gönder
+    const { content, usage } = await llm.complete({
+      messages: chat.messages,
+      context: chat.llmContext,
+      responseFormat: chat.responseFormat
+    });
     
-    const recommended = extractProducts(reply, productsForAI, sessionId);
+    const { reply, recommended, safety } = completeChatTurn(chat, content);
+    recordChatTurn(chat, { usage, recommended });
 
     console.log('✅ Başarılı!');
 
     res.json({
+      responseId: chat.responseId,
+      language: chat.language,
       reply,
-      products: recommended
+      products: recommended,
+      ...(safety ? { safety } : {})
     });
 
   } catch (error) {
     console.error('❌ Error:', error);
+    if (chat && !chat.error) {
+      recordChatTurn(chat, { error: error.message });
+    }
     res.status(500).json({
       error: error.message,
-      reply: 'Bir hata oluştu: ' + error.message
+      reply: getReply(chat ? chat.language : getRequestLanguage(req), 'error', error.message)
+    });
+  }
+});
+
+// Streaming sohbet (Server-Sent Events):
+// products → aday ürün kartları, token → yanıt parçaları, done → önerilen ürünler, error → hata
+app.post('/api/chat/stream', limitChatRequests, async (req, res) => {
+  let chat = null;
+  let streamStarted = false;
+  const abortController = new AbortController();
+
+  // Kullanıcı bağlantıyı kapatırsa OpenAI isteğini de iptal et
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    chat = await prepareChat(req);
+
+    if (chat.error) {
+      return res.status(chat.error.status).json(chat.error.body);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Proxy tamponlamasını kapat
+    });
+    streamStarted = true;
+
+    // Sepet isteği: sepetteki ürün kartları ve link tek seferde gönderilir
+    if (chat.cartTurn) {
+      recordChatTurn(chat, { recommended: chat.cartTurn.products, stream: true });
+      sendEvent('products', { responseId: chat.responseId, language: chat.language, products: chat.cartTurn.products });
+      sendEvent('done', { responseId: chat.responseId, ...chat.cartTurn });
+      return res.end();
+    }
+
+    // 1. Aday ürün kartları hemen gönderilir
+    sendEvent('products', { responseId: chat.responseId, language: chat.language, products: chat.productsForAI.map(toProductCard) });
+
+    if (chat.productsForAI.length === 0) {
+      recordChatTurn(chat, { stream: true });
+      trackResponse(chat, []);
+      sendEvent('done', { responseId: chat.responseId, reply: getReply(chat.language, 'noResults'), products: [] });
+      return res.end();
+    }
+
+    // 2. Yanıt parçaları geldikçe gönderilir
+    // Yapılandırılmış yanıtta sadece "reply" alanının metni token olarak gönderilir
+    const sendToken = text => sendEvent('token', { content: text });
+    const { content, usage } = await llm.stream({
+      messages: chat.messages,
+      context: chat.llmContext,
+      responseFormat: chat.responseFormat,
+      onToken: chat.responseFormat ? createJsonStringFieldStream('reply', sendToken) : sendToken,
+      signal: abortController.signal
+    });
+
+    // 3. Final: önerilen ürünler (güvenlik notu varsa son token olarak eklenir)
+    const { reply, recommended, safety, safetyNote } = completeChatTurn(chat, content);
+    recordChatTurn(chat, { usage, recommended, stream: true });
+    if (safetyNote) {
+      sendToken(safetyNote);
+    }
+    sendEvent('done', { responseId: chat.responseId, reply, products: recommended, ...(safety ? { safety } : {}) });
+
+    console.log('✅ Stream tamamlandı!');
+    res.end();
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('🔌 Kullanıcı stream bağlantısını kapattı');
+      return;
+    }
+
+    console.error('❌ Stream error:', error);
+    if (chat && !chat.error) {
+      recordChatTurn(chat, { stream: true, error: error.message });
+    }
+
+    const errorReply = getReply(chat ? chat.language : getRequestLanguage(req), 'error', error.message);
+    if (!streamStarted) {
+      return res.status(500).json({
+        error: error.message,
+        reply: errorReply
+      });
+    }
+
+    sendEvent('error', {
+      error: error.message,
+      reply: errorReply
     });
+    res.end();
   }
 });
 
-// Cache temizleme endpoint (manuel)
-app.post('/api/clear-cache', (req, res) => {
-  productCache = null;
-  cacheTime = null;
-  console.log('🗑️ Cache temizlendi');
-  res.json({ success: true, message: 'Cache temizlendi' });
+// Cache temizleme endpoint (manuel, admin)
+app.post('/api/clear-cache', requireAdmin, (req, res) => {
+  const shopDomain = req.body && req.body.shopDomain;
+
+  // Shop verilmediyse tüm mağazaların cache'i temizlenir
+  if (!shopDomain) {
+    productCaches.clear();
+    console.log('🗑️ Tüm cache temizlendi');
+    return res.json({ success: true, message: 'Cache temizlendi' });
+  }
+
+  const shop = resolveShop(shopDomain);
+  if (!shop) {
+    return res.status(403).json({ success: false, message: 'Bu mağaza için yetki yok' });
+  }
+
+  productCaches.delete(shop.domain);
+  console.log(`🗑️ Cache temizlendi (${shop.domain})`);
+  res.json({ success: true, shop: shop.domain, message: 'Cache temizlendi' });
 });
 
-// Vendor listesi (debug)
-app.get('/api/vendors', (req, res) => {
-  if (!productCache || productCache.length === 0) {
-    return res.json({ 
-      error: 'Cache boş, önce bir arama yapın',
-      vendors: []
+// Shopify webhook'ları (katalog artımlı güncelleme)
+app.post('/webhooks/products/create', verifyShopifyWebhook, (req, res) => {
+  const result = upsertCachedProduct(req.shop, req.body);
+  console.log(`🪝 products/create ${req.body.id} (${req.shop.domain}): ${result}`);
+  res.json({ success: true, result });
+});
+
+app.post('/webhooks/products/update', verifyShopifyWebhook, (req, res) => {
+  const result = upsertCachedProduct(req.shop, req.body);
+  console.log(`🪝 products/update ${req.body.id} (${req.shop.domain}): ${result}`);
+  res.json({ success: true, result });
+});
+
+app.post('/webhooks/products/delete', verifyShopifyWebhook, (req, res) => {
+  const result = removeCachedProduct(req.shop, req.body.id);
+  console.log(`🪝 products/delete ${req.body.id} (${req.shop.domain}): ${result}`);
+  res.json({ success: true, result });
+});
+
+app.post('/webhooks/inventory_levels/update', verifyShopifyWebhook, (req, res) => {
+  const { inventory_item_id, available } = req.body;
+  const result = updateCachedInventory(req.shop, inventory_item_id, available);
+  console.log(`🪝 inventory_levels/update ${inventory_item_id} → ${available} (${req.shop.domain}): ${result}`);
+  res.json({ success: true, result });
+});
+
+// Konuşma hafızasını sıfırla (yeni konu için): { shopDomain, sessionId? }
+app.post('/api/reset-session', limitApiRequests, (req, res) => {
+  const { shopDomain } = req.body || {};
+  const sessionId = req.headers['x-session-id'] || (req.body && req.body.sessionId);
+
+  if (!sessionId || !shopDomain) {
+    return res.status(400).json({ success: false, message: 'Session ID ve shopDomain gerekli' });
+  }
+
+  const access = checkShopAccess(req, String(shopDomain));
+  if (access.error) {
+    return res.status(access.error.status).json({ success: false, error: access.error.body.error, message: access.error.body.reply });
+  }
+
+  const sessionKey = getSessionKey(access.shop, sessionId);
+  const existed = chatSessions.delete(sessionKey);
+  console.log(`🧹 Session sıfırlandı: ${sessionId}`);
+  res.json({ success: true, existed, message: 'Konuşma sıfırlandı' });
+});
+
+// ========== EVCİL HAYVAN PROFİLLERİ ==========
+
+// Mağaza: ?shop= (app proxy de ekler) ya da body.shopDomain. Sahip doğrulanmış müşteri ya da anonim oturumdur (getProfileOwner)
+app.get('/api/pets', limitApiRequests, (req, res) => {
+  const access = checkProfileAccess(req);
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+  res.json({ success: true, pets: petProfiles.list(access.owner) });
+});
+
+app.post('/api/pets', limitApiRequests, (req, res) => {
+  const access = checkProfileAccess(req);
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+
+  const { errors, profile } = validatePetProfile(req.body || {}, { vocabulary: vocabulary.current() });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Geçersiz profil', errors });
+  }
+
+  const { pet, error } = petProfiles.create(access.owner, profile, { active: req.body.active === true });
+  if (error === 'owner_limit') {
+    return res.status(409).json({ success: false, error, message: 'Profil sayısı sınırına ulaşıldı' });
+  }
+  if (error) {
+    console.warn(`⚠️ Profil deposu dolu, yeni profil reddedildi (${petProfiles.size})`);
+    return res.status(503).json({ success: false, error, message: 'Şu anda yeni profil oluşturulamıyor' });
+  }
+
+  console.log(`🐾 Profil oluşturuldu: ${describePet(pet)}`);
+  res.status(201).json({ success: true, pet });
+});
+
+app.get('/api/pets/:id', limitApiRequests, (req, res) => {
+  const access = checkProfileAccess(req);
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+
+  const pet = petProfiles.get(access.owner, req.params.id);
+  if (!pet) {
+    return res.status(404).json({ success: false, message: 'Profil bulunamadı' });
+  }
+  res.json({ success: true, pet });
+});
+
+// Kısmi güncelleme: sadece gönderilen alanlar değişir; active: true profili aktif yapar
+app.put('/api/pets/:id', limitApiRequests, (req, res) => {
+  const access = checkProfileAccess(req);
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+  if (!petProfiles.get(access.owner, req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Profil bulunamadı' });
+  }
+
+  const { errors, profile } = validatePetProfile(req.body || {}, { partial: true, vocabulary: vocabulary.current() });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Geçersiz profil', errors });
+  }
+
+  const active = typeof req.body.active === 'boolean' ? req.body.active : undefined;
+  const pet = petProfiles.update(access.owner, req.params.id, profile, { active });
+  res.json({ success: true, pet });
+});
+
+app.delete('/api/pets/:id', limitApiRequests, (req, res) => {
+  const access = checkProfileAccess(req);
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+  if (!petProfiles.remove(access.owner, req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Profil bulunamadı' });
+  }
+  res.json({ success: true, message: 'Profil silindi' });
+});
+
+// ========== VİTRİN WIDGET'I ==========
+
+// Tema'ya eklenen tek script; her zaman güncel sürüm (kısa önbellek, yeni sürüm dakikalar içinde yayılır)
+app.get('/widget.js', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('application/javascript').send(widgetAssets.script);
+});
+
+// Sürümlü dosyalar hiç değişmez (uzun önbellek); eski sürüm istenirse 404
+app.get('/widget/:version/:file', (req, res) => {
+  const files = {
+    'widget.js': ['application/javascript', widgetAssets.script],
+    'widget.css': ['text/css', widgetAssets.style]
+  };
+  const asset = files[req.params.file];
+  if (req.params.version !== widgetAssets.version || !asset) {
+    return res.status(404).json({ success: false, message: `Widget dosyası bulunamadı (güncel sürüm: ${widgetAssets.version})` });
+  }
+
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.type(asset[0]).send(asset[1]);
+});
+
+// Widget açılışta mağazanın görünüm ayarlarını alır: ?shop=magaza1.myshopify.com&language=en
+app.get('/api/widget/config', (req, res) => {
+  if (!req.query.shop) {
+    return res.status(400).json({ success: false, message: 'shop parametresi gerekli' });
+  }
+
+  const access = checkShopAccess(req, String(req.query.shop));
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+
+  const { language } = resolveLanguage({
+    requested: req.query.language,
+    acceptLanguage: req.get('Accept-Language')
+  }, vocabulary.current());
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    success: true,
+    shop: access.shop.domain,
+    version: widgetAssets.version,
+    language,
+    settings: getWidgetSettings(widgetConfig, access.shop.domain, language)
+  });
+});
+
+// ========== VİTRİN ARAMASI (LLM'SİZ) ==========
+
+// Sohbetle aynı filtre ve sıralama, LLM çağrısı yok: anlık arama ve filtre sayfaları (lib/search-api.js).
+// GET'te parametreler query string'de, POST'ta JSON gövdede
+app.get('/api/search', limitSearchRequests, (req, res) => handleSearch(req, res, req.query));
+app.post('/api/search', limitSearchRequests, (req, res) => handleSearch(req, res, req.body || {}));
+
+async function handleSearch(req, res, input) {
+  const shopDomain = input.shopDomain || input.shop;
+  if (!shopDomain) {
+    return res.status(400).json({ success: false, message: 'shop parametresi gerekli' });
+  }
+
+  const access = checkShopAccess(req, String(shopDomain));
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+
+  const vocab = vocabulary.current();
+  const { errors, params } = parseSearchParams(input, {
+    animals: vocab.animals.map(a => a.name),
+    categories: vocab.categories.map(rule => rule.category).filter(Boolean)
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: errors.join('; ') });
+  }
+
+  try {
+    res.json({ success: true, shop: access.shop.domain, ...await searchCatalog(access.shop, params, req) });
+  } catch (error) {
+    console.error('❌ Arama hatası:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
+
+// Serbest metin sohbetteki gibi çözümlenir; açık facet'ler metinden çıkanın yerine geçer.
+// Marka, hariç tutulan içerik ve stok kesin filtredir
+async function searchCatalog(shop, params, req) {
+  const started = Date.now();
+  const vocab = vocabulary.current();
+  const { language } = params.q
+    ? resolveLanguage({ message: params.q, requested: params.language, acceptLanguage: req.get('Accept-Language') }, vocab)
+    : { language: params.language || DEFAULT_LANGUAGE };
+  const query = params.q ? toSearchQuery(params.q, language, vocab) : '';
+
+  const searchTerms = buildSearchTerms(query);
+  if (params.animal) searchTerms.animal = params.animal;
+  if (params.category) searchTerms.category = params.category;
+  if (params.minPrice !== null) searchTerms.price.min = params.minPrice;
+  if (params.maxPrice !== null) searchTerms.price.max = params.maxPrice;
+  params.exclude.forEach(word => searchTerms.exclude.push(word, ...getTranslations(word)));
+  searchTerms.exclude = [...new Set(searchTerms.exclude)];
+
+  const catalog = await getCatalog(shop);
+  const semanticScores = query ? await searchSemantic(catalog, query) : null;
+  const engagementScores = SCORE_WEIGHTS.engagement > 0
+    ? engagement.getScores(shop.domain, getQueryType(searchTerms))
+    : null;
+
+  // Skorlanacak kriter yoksa (sadece fiyat / marka / stok) filtreden geçen tüm katalog listelenir.
+  // Varsa stok puanı tek başına yetmez: hiçbir şeyle eşleşmeyen sorgu stoktaki her ürünü döndürmesin
+  const ranked = Boolean(
+    searchTerms.animal || searchTerms.category || semanticScores ||
+    searchTerms.brandKeywords.length || searchTerms.freeText.length || searchTerms.special.length
+  );
+  const isRelevant = ({ product, score }) =>
+    score - (product.availableForSale ? SCORE_WEIGHTS.inStock : 0) > 0;
+
+  // Açık animal / category kesin filtredir: ürün o türde / kategoride olmalı (koleksiyon/metafield ya da indeks eşleşmesi).
+  // Sadece skora katılsaydı "kedi oyuncağı" filtresi kedi mamalarını da döndürürdü
+  const required = [['animal', params.animal], ['category', params.category]]
+    .filter(([, value]) => value)
+    .map(([dimension, value]) => ({ dimension, scores: catalog.index.scoreTerm(value) }));
+  const inRequiredFacets = ({ product, facets }) => required.every(({ dimension, scores }) =>
+    facets[dimension] === 'match' || (scores.get(product.id) || 0) > 0
+  );
+
+  const matched = scoreProducts(catalog.products, searchTerms, catalog.index, semanticScores, engagementScores)
+    .filter(scored =>
+      inRequiredFacets(scored) &&
+      (!ranked || isRelevant(scored)) &&
+      (!params.inStock || scored.product.availableForSale) &&
+      findExcludedIngredients(scored.product, searchTerms.exclude).length === 0
+    );
+
+  const brandFilter = createBrandFilter(params.brands);
+  const results = brandFilter ? matched.filter(s => brandFilter(s.product)) : matched;
+
+  const priceOf = product => getProductPrice(product, searchTerms);
+  if (params.sort === 'relevance') {
+    results.sort((a, b) => b.score - a.score);
+    sortRelevantByPrice(results, searchTerms);
+  } else {
+    const direction = params.sort === 'price_desc' ? -1 : 1;
+    results.sort((a, b) => (priceOf(a.product) - priceOf(b.product)) * direction);
+  }
+
+  const page = paginate(results, params.page, params.limit);
+  console.log(`🔎 Arama (${shop.domain}): "${params.q}" → ${page.total} ürün (${Date.now() - started} ms)`);
+
+  return {
+    query: {
+      q: params.q,
+      language,
+      animal: searchTerms.animal,
+      category: searchTerms.category,
+      brands: params.brands,
+      exclude: searchTerms.exclude,
+      price: { min: searchTerms.price.min, max: searchTerms.price.max },
+      inStock: params.inStock,
+      sort: params.sort
+    },
+    total: page.total,
+    page: page.page,
+    limit: page.limit,
+    pages: page.pages,
+    products: page.items.map(({ product, score }) => ({
+      ...toProductCard(withSelectedVariant(product, searchTerms)),
+      score: Math.round(score * 10) / 10
+    })),
+    facets: buildFacetCounts(results.map(s => s.product), matched.map(s => s.product), priceOf)
+  };
+}
+
+// ========== GERİ BİLDİRİM VE ÜRÜN OLAYLARI (WIDGET) ==========
+
+// Yanıta oy: { responseId, rating: 'up' | 'down' }
+app.post('/api/feedback', limitApiRequests, (req, res) => {
+  const { responseId, rating } = req.body || {};
+  if (!responseId || !RATINGS.includes(rating)) {
+    return res.status(400).json({ success: false, message: `responseId ve rating (${RATINGS.join(', ')}) gerekli` });
+  }
+
+  const result = engagement.recordFeedback(String(responseId), rating);
+  if (!result) {
+    return res.status(404).json({ success: false, message: 'Yanıt bulunamadı veya süresi doldu' });
+  }
+
+  console.log(`${rating === 'up' ? '👍' : '👎'} Geri bildirim: ${responseId} (${result})`);
+  res.json({ success: true, result });
+});
+
+// Önerilen ürün olayı: { responseId, productId, type: 'click' | 'add_to_cart' }
+app.post('/api/events', limitApiRequests, (req, res) => {
+  const { responseId, productId, type } = req.body || {};
+  if (!responseId || !productId || !EVENT_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, message: `responseId, productId ve type (${EVENT_TYPES.join(', ')}) gerekli` });
+  }
+
+  const result = engagement.recordEvent(String(responseId), type, String(productId));
+  if (!result) {
+    return res.status(404).json({ success: false, message: 'Yanıt bulunamadı veya süresi doldu' });
+  }
+  if (result === 'not_recommended') {
+    return res.status(400).json({ success: false, message: 'Ürün bu yanıtta önerilmedi' });
+  }
+
+  console.log(`🖱️ ${type}: ürün ${productId}, yanıt ${responseId} (${result})`);
+  res.json({ success: true, result });
+});
+
+// Sepet linki: { shopDomain, items: [{ variantId | productId, quantity }], responseId? }
+// → Shopify cart permalink (doğrudan checkout) ve Ajax Cart (/cart/add.js) gövdesi
+app.post('/api/cart', limitApiRequests, async (req, res) => {
+  const { shopDomain, items, responseId } = req.body || {};
+  if (!shopDomain) {
+    return res.status(400).json({ success: false, message: 'shopDomain gerekli' });
+  }
+
+  const access = checkShopAccess(req, shopDomain);
+  if (access.error) {
+    return res.status(access.error.status).json({ success: false, error: access.error.body.error, message: access.error.body.reply });
+  }
+
+  const { errors, items: cartItems } = validateCartItems(items);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Sepet kalemleri geçersiz', errors });
+  }
+
+  try {
+    const catalog = await getCatalog(access.shop);
+    const cart = createCart(access.shop, catalog, cartItems);
+    if (cart.notFound.length > 0) {
+      return res.status(404).json({ success: false, message: 'Ürün veya varyant bulunamadı', notFound: cart.notFound });
+    }
+
+    // Yanıt id'si verilirse sepete eklenen önerilen ürünler etkileşime sayılır
+    if (responseId) {
+      cart.items.forEach(item => engagement.recordEvent(String(responseId), 'add_to_cart', item.productId));
+    }
+
+    console.log(`🛒 Sepet linki (${access.shop.domain}): ${cart.items.length} kalem, ${cart.unavailable.length} stokta yok`);
+    res.json({ success: true, cart });
+  } catch (error) {
+    console.error('❌ Sepet hatası:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ========== ANALİTİK RAPORLARI (ADMIN) ==========
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (varsayılan son 7 gün), ?shop=, ?limit= (varsayılan 20)
+app.get('/api/admin/analytics', requireAdmin, async (req, res) => {
+  const result = await getAnalyticsReport(req);
+  if (result.error) {
+    return res.status(400).json({ success: false, message: result.error });
+  }
+  res.json({ success: true, ...result });
+});
+
+// Tek bölüm: queries, zero-results, products, vendors, exclusions
+app.get('/api/admin/analytics/:report', requireAdmin, async (req, res) => {
+  const section = REPORT_SECTIONS[req.params.report];
+  if (!section) {
+    return res.status(404).json({
+      success: false,
+      message: `Bilinmeyen rapor (mevcut: ${Object.keys(REPORT_SECTIONS).join(', ')})`
     });
   }
 
-  const vendorList = productCache
-    .map(p => ({
-      vendor: p.vendor || '(BOŞ)',
-      title: p.title.substring(0, 60)
-    }))
-    .slice(0, 100); // İlk 100 ürün
+  const result = await getAnalyticsReport(req);
+  if (result.error) {
+    return res.status(400).json({ success: false, message: result.error });
+  }
+  res.json({ success: true, from: result.from, to: result.to, shop: result.shop, [section]: result[section] });
+});
+
+// Sorgu tipi ("kedi|mama") başına ürün etkileşimleri ve sıralama sinyali: ?shop=&type=&limit=
+app.get('/api/admin/engagement', requireAdmin, (req, res) => {
+  // Tek mağaza kurulumunda shop parametresi zorunlu değil
+  const shop = req.query.shop
+    ? resolveShop(req.query.shop)
+    : (shopConfig.size === 1 ? [...shopConfig.values()][0] : null);
+
+  if (!shop) {
+    return res.status(400).json({ success: false, message: 'Geçerli bir shop parametresi gerekli (?shop=magaza.myshopify.com)' });
+  }
+
+  const limit = parseInt(req.query.limit, 10);
+  res.json({
+    success: true,
+    shop: shop.domain,
+    weight: SCORE_WEIGHTS.engagement,
+    queryTypes: engagement.summary(shop.domain, {
+      queryType: req.query.type || null,
+      limit: limit > 0 ? Math.min(limit, 100) : undefined
+    })
+  });
+});
+
+// ========== SÖZLÜK (ADMIN) ==========
+
+// Çalışan sözlük ve sürüm bilgisi
+app.get('/api/admin/vocabulary', requireAdmin, (req, res) => {
+  res.json({ success: true, ...vocabulary.info(), vocabulary: vocabulary.raw() });
+});
+
+// Tüm sözlüğü değiştirir: { vocabulary, comment }. Geçersizse hiçbir şey değişmez
+app.put('/api/admin/vocabulary', requireAdmin, (req, res) => {
+  const { vocabulary: input, comment } = req.body || {};
+  const result = vocabulary.update(input, {
+    author: req.admin.subject,
+    comment: typeof comment === 'string' ? comment.substring(0, 200) : null
+  });
+  if (result.errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Geçersiz sözlük', errors: result.errors });
+  }
+  res.json({ success: true, version: result.version });
+});
+
+// Dosya elle değiştirildiyse hemen yükle (izleyici de birkaç saniye içinde yükler)
+app.post('/api/admin/vocabulary/reload', requireAdmin, (req, res) => {
+  const result = vocabulary.reload();
+  if (result.errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Sözlük dosyası geçersiz', errors: result.errors, version: vocabulary.info().version });
+  }
+  res.json({ success: true, version: result.version, unchanged: Boolean(result.unchanged) });
+});
+
+app.get('/api/admin/vocabulary/versions', requireAdmin, async (req, res) => {
+  res.json({ success: true, current: vocabulary.info().version, versions: await vocabulary.history() });
+});
+
+app.get('/api/admin/vocabulary/versions/:version', requireAdmin, async (req, res) => {
+  const entry = await vocabulary.getVersion(parseInt(req.params.version, 10));
+  if (!entry) {
+    return res.status(404).json({ success: false, message: 'Sürüm bulunamadı' });
+  }
+  res.json({ success: true, ...entry });
+});
+
+// Eski sürüme dön: { version }. Geri dönüş de yeni bir sürüm olarak kaydedilir
+app.post('/api/admin/vocabulary/rollback', requireAdmin, async (req, res) => {
+  const version = parseInt(req.body && req.body.version, 10);
+  const result = version > 0 ? await vocabulary.rollback(version, { author: req.admin.subject }) : null;
+  if (!result) {
+    return res.status(404).json({ success: false, message: 'Sürüm bulunamadı' });
+  }
+  if (result.errors.length > 0) {
+    return res.status(400).json({ success: false, message: 'Sürüm artık geçerli değil', errors: result.errors });
+  }
+  res.json({ success: true, version: result.version, restoredFrom: version });
+});
+
+// Vendor listesi (debug, admin)
+app.get('/api/vendors', requireAdmin, (req, res) => {
+  // Tek mağaza kurulumunda shop parametresi zorunlu değil
+  const shop = req.query.shop
+    ? resolveShop(req.query.shop)
+    : (shopConfig.size === 1 ? [...shopConfig.values()][0] : null);
+
+  if (!shop) {
+    return res.status(400).json({
+      error: 'Geçerli bir shop parametresi gerekli (?shop=magaza.myshopify.com)',
+      vendors: []
+    });
+  }
+
+  const cacheEntry = productCaches.get(shop.domain);
+  const productCache = cacheEntry ? cacheEntry.products : null;
+
+  if (!productCache || productCache.length === 0) {
+    return res.json({ 
+      error: 'Cache boş, önce bir arama yapın',
+      vendors: []
+    });
+  }
+
+  const vendorList = productCache
+    .map(p => ({
+      vendor: p.vendor || '(BOŞ)',
+      title: p.title.substring(0, 60)
+    }))
+    .slice(0, 100); // İlk 100 ürün
+
+  const uniqueVendors = [...new Set(productCache.map(p => p.vendor || '(BOŞ)'))].sort();
+  
+  const emptyVendorProducts = productCache
+    .filter(p => !p.vendor)
+    .slice(0, 20)
+    .map(p => p.title.substring(0, 60));
+
+  res.json({
+    shop: shop.domain,
+    totalProducts: productCache.length,
+    uniqueVendors: uniqueVendors,
+    vendorCount: uniqueVendors.length,
+    emptyVendorCount: productCache.filter(p => !p.vendor).length,
+    sampleProducts: vendorList,
+    emptyVendorSamples: emptyVendorProducts
+  });
+});
+
+app.get('/', (req, res) => {
+  const shopRows = [...shopConfig.keys()].map(domain => {
+    const entry = productCaches.get(domain);
+    const cacheAge = entry ? Math.floor((Date.now() - entry.time) / 1000) : null;
+    const cacheStatus = cacheAge !== null ? `${cacheAge}s önce güncellendi` : 'Henüz yüklenmedi';
+    return `${domain}: ${entry ? entry.products.length : 0} ürün (${cacheStatus})`;
+  });
+  
+  res.send(`
+    <html>
+      <body style="font-family: Arial; padding: 40px; text-align: center;">
+        <h1>🐾 Laylapet AI Assistant</h1>
+        <p><strong>Server çalışıyor!</strong> ✅</p>
+        <p>API: <code>POST /api/chat</code></p>
+        <p>Widget: <code>&lt;script src="${req.protocol}://${req.get('host')}/widget.js" data-shop="magaza.myshopify.com" async&gt;&lt;/script&gt;</code></p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #666;">
+          <strong>Environment:</strong><br>
+          LLM: ${llm.name} (${llm.model})${llm.name === 'openai' ? ` — API key ${process.env.LLM_API_KEY || process.env.OPENAI_KEY ? '✅ Set' : '❌ Missing'}` : ''}<br>
+          Mağazalar: ${shopConfig.size > 0 ? `✅ ${shopConfig.size} (Admin API)` : '❌ Missing'}
+        </p>
+        <p style="color: #666;">
+          <strong>Cache:</strong><br>
+          ${shopRows.length > 0 ? shopRows.join('<br>') : 'Mağaza yok'}<br>
+          Geçerlilik: ${CACHE_DURATION / 60000} dakika
+        </p>
+        <p style="font-size: 12px; color: #999;">
+          v5.0 - Dynamic Negative Filter + Full Description + Title Search
+        </p>
+        <p>
+          <a href="/api/vendors" style="color: #4CAF50;">Vendor Listesi</a> (admin anahtarı gerekir)
+        </p>
+      </body>
+    </html>
+  `);
+});
+
+app.get('/health', (req, res) => {
+  const shops = [...shopConfig.keys()]
+    .filter(domain => !req.query.shop || domain === normalizeShopDomain(req.query.shop))
+    .map(domain => {
+      const entry = productCaches.get(domain);
+      const status = catalogStatus.get(domain) || {};
+      return {
+        shop: domain,
+        products: entry ? entry.products.length : 0,
+        ageSeconds: entry ? Math.floor((Date.now() - entry.time) / 1000) : null,
+        stale: entry ? Date.now() - entry.time >= CACHE_DURATION : null,
+        refreshing: catalogRefreshes.has(domain),
+        progress: status.progress || null,
+        lastRefreshAt: status.lastRefreshAt || null,
+        lastError: status.lastError ? { message: status.lastError, at: status.lastErrorAt } : null,
+        snapshot: catalogSnapshots ? catalogSnapshots.status(domain) : null
+      };
+    });
+
+  res.json({ 
+    status: 'OK',
+    api: process.env.CATALOG_FIXTURE ? 'Fixture' : `Admin API (${CATALOG_IMPORTER})`,
+    llm: { provider: llm.name, model: llm.model },
+    embeddings: embedder ? { provider: embedder.name, model: embedder.model, weight: SCORE_WEIGHTS.semantic } : null,
+    version: '5.0',
+    features: [
+      'pagination', 
+      'cache', 
+      'dynamic-negative-filter',
+      'full-description',
+      'title-brand-search', 
+      'vendor-search',
+      'conversation-memory',
+      'multi-shop',
+      'webhooks',
+      'price-filter',
+      'variants',
+      'streaming',
+      'llm-providers',
+      'structured-recommendations',
+      'exclusion-safety-check',
+      'composition-parser',
+      'turkish-normalization',
+      'bm25-index',
+      'semantic-retrieval',
+      'pet-profiles',
+      'admin-auth',
+      'rate-limit',
+      'per-shop-cors',
+      'analytics',
+      'engagement-tracking',
+      'vocabulary-config',
+      'multilingual',
+      'cart-permalink',
+      'widget',
+      'search-api',
+      'catalog-snapshot',
+      'bulk-import'
+    ],
+    cache: {
+      shops,
+      validFor: CACHE_DURATION / 1000
+    },
+    sessions: {
+      active: chatSessions.size,
+      ttlSeconds: SESSION_TTL / 1000
+    },
+    petProfiles: petProfiles.size,
+    vocabulary: vocabulary.info(),
+    // Türkçe dışında sözlükte dil tablosu olan diller
+    languages: SUPPORTED_LANGUAGES.filter(language => language === 'tr' || vocabulary.current().languages[language]),
+    widget: { version: widgetAssets.version },
+    security: {
+      adminAuth: securityConfig.adminKeys.length > 0 || Boolean(securityConfig.tokenSecret),
+      rateLimit: {
+        windowSeconds: securityConfig.rateLimit.windowMs / 1000,
+        perIp: securityConfig.rateLimit.perIp,
+        perSession: securityConfig.rateLimit.perSession
+      }
+    },
+    timestamp: new Date()
+  });
+});
+
+// Gövde ayrıştırma hataları (bozuk JSON, çok büyük istek) ve beklenmeyen hatalar da JSON döner
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const status = error.status || error.statusCode || 500;
+  if (error.type === 'entity.parse.failed') {
+    return res.status(status).json(rejection('invalid_json', 'İstek gövdesi geçerli JSON değil'));
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(status).json(rejection('payload_too_large', 'İstek çok büyük'));
+  }
+
+  console.error('❌ Error:', error);
+  res.status(status).json(rejection('server_error', 'Bir hata oluştu: ' + error.message));
+});
+
+const PORT = process.env.PORT || 3000;
+// Modül olarak yüklenince (scripts/search-bench.js) sunucu başlatılmaz
+if (require.main === module) {
+  vocabulary.watch();
+  restoreCatalogSnapshots();
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`✅ Server running on port ${PORT}`);
+    console.log(process.env.CATALOG_FIXTURE
+      ? `🧪 Using fixture catalog: ${process.env.CATALOG_FIXTURE}`
+      : CATALOG_IMPORTER === 'bulk'
+        ? `📡 Using Shopify Admin GraphQL bulk operations${process.env.SHOPIFY_API_URL ? ` (${process.env.SHOPIFY_API_URL})` : ''}`
+        : `📡 Using Shopify Admin API with Pagination`);
+    console.log(`🤖 LLM provider: ${llm.name} (${llm.model})`);
+    console.log(`🏪 Allowed shops (${shopConfig.size}): ${[...shopConfig.keys()].join(', ') || '-'}`);
+    console.log(`💾 Per-shop cache enabled (${CACHE_DURATION / 60000} minutes, ${catalogSnapshots ? `snapshots in ${CATALOG_DATA_DIR}/<shop>/catalog.json` : 'snapshots disabled'})`);
+    console.log(`🪝 Product webhooks ${process.env.SHOPIFY_WEBHOOK_SECRET ? 'enabled' : 'disabled (SHOPIFY_WEBHOOK_SECRET missing)'}`);
+    console.log(`🔐 Admin endpoints ${securityConfig.adminKeys.length > 0 || securityConfig.tokenSecret ? 'protected' : 'disabled (ADMIN_API_KEY / ADMIN_TOKEN_SECRET missing)'}`);
+    console.log(`📖 Vocabulary v${vocabulary.info().version} (hot reload enabled)`);
+    console.log(`🧩 Widget ${widgetAssets.version} (/widget.js, ${widgetConfig.shops.size} shop overrides)`);
+    console.log(`🚦 Chat rate limit: ${securityConfig.rateLimit.perIp}/IP, ${securityConfig.rateLimit.perSession}/session per ${securityConfig.rateLimit.windowMs / 1000}s`);
+    console.log(`🚫 Dynamic negative filtering enabled`);
+    console.log(`📝 Full product descriptions enabled`);
+    console.log(`🏷️ Title + Vendor based brand search enabled`);
+  });
+}
+
+// ========== YARDIMCI FONKSİYONLAR ==========
+
+// ========== SOHBET AKIŞI ==========
+
+// LLM'den istenen JSON şeması (önerilen ürün ID'leri + kısa nedenler)
+const RECOMMENDATION_FORMAT = {
+  name: 'product_recommendations',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['reply', 'recommendations'],
+    properties: {
+      reply: { type: 'string' },
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['id', 'reason'],
+          properties: {
+            id: { type: 'string' },
+            reason: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// /api/chat ve /api/chat/stream ortak hazırlığı: doğrulama, arama kriterleri, katalog, filtreleme, prompt.
+// Hata varsa { error: { status, body } } döner.
+async function prepareChat(req) {
+  const startedAt = Date.now();
+  const { message, shopDomain } = req.body;
+  
+  console.log('📨 Message:', message);
+  console.log('🏪 Shop:', shopDomain);
+  
+  if (!message || !shopDomain) {
+    return {
+      error: {
+        status: 400,
+        body: { reply: getReply(getRequestLanguage(req), 'missingFields'), products: [] }
+      }
+    };
+  }
+
+  const access = checkShopAccess(req, shopDomain);
+  if (access.error) {
+    return access;
+  }
+  const { shop } = access;
+  
+  // Session ID (konuşma hafızası sadece header varsa tutulur; aynı id farklı mağazada ayrı konuşmadır)
+  const sessionHeader = req.headers['x-session-id'];
+  const sessionId = sessionHeader ? getSessionKey(shop, sessionHeader) : shop.domain;
+  const session = sessionHeader ? getChatSession(sessionId) : null;
+
+  // Mesajın dili: Türkçe değilse sözlükteki dil tablosuyla Türkçe sorgu kelimelerine çevrilir
+  const vocab = vocabulary.current();
+  const { language, source: languageSource } = resolveLanguage({
+    message,
+    requested: req.body.language,
+    previous: session ? session.language : null,
+    acceptLanguage: req.get('Accept-Language')
+  }, vocab);
+  const query = toSearchQuery(message, language, vocab);
+  if (session) {
+    session.language = language;
+  }
+  if (language !== 'tr') {
+    console.log(`🌍 Dil: ${language} (${languageSource}), sorgu: "${query}"`);
+  }
+
+  // "Bu üçünü sepete ekle": arama yapılmaz, son önerilerden sepet linki üretilir
+  const cartIntent = parseCartIntent(message);
+  if (cartIntent) {
+    const chat = {
+      responseId: crypto.randomUUID(),
+      startedAt,
+      message,
+      language,
+      shop,
+      session,
+      sessionId,
+      pet: null,
+      searchTerms: null,
+      filteredCount: null,
+      productsForAI: []
+    };
+    chat.cartTurn = await prepareCartTurn(chat, cartIntent);
+    return chat;
+  }
+
+  // Query oluştur (önceki mesajların kriterleriyle birleştir)
+  const currentTerms = buildSearchTerms(query);
+  const searchTerms = session && session.searchTerms
+    ? mergeSearchTerms(session.searchTerms, currentTerms)
+    : currentTerms;
+
+  // "Daha ucuzu?" → son önerilen ürünlerin en ucuzundan daha ucuz olanlar
+  if (searchTerms.price.cheaper && session && session.lastRecommendedPrices.length > 0) {
+    const cheapestRecommended = Math.min(...session.lastRecommendedPrices);
+    if (searchTerms.price.max === null || searchTerms.price.max >= cheapestRecommended) {
+      searchTerms.price.max = cheapestRecommended - 0.01;
+    }
+  }
+
+  // Oturuma profilsiz kriterler kaydedilir: profil her turda yeniden uygulanır
+  // (hayvan değişir, silinir ya da başka petId gönderilirse önceki profilin kriterleri taşınmaz)
+  const conversationTerms = {
+    ...searchTerms,
+    special: [...searchTerms.special],
+    specialGroups: [...searchTerms.specialGroups],
+    exclude: [...searchTerms.exclude]
+  };
+
+  // Evcil hayvan profili: body.petId ya da sahibin aktif profili (mesaj başka türden bahsetmiyorsa)
+  const profileOwner = getProfileOwner(req, shop);
+  const activePet = profileOwner ? petProfiles.getActive(profileOwner, req.body.petId) : null;
+  const pet = applyPetProfile(searchTerms, activePet, vocab) ? activePet : null;
+  if (pet) {
+    console.log(`🐾 Profil uygulandı: ${describePet(pet)}`);
+  }
+  console.log('🔍 Search terms:', searchTerms);
+  
+  // 1. Shopify Admin API - TÜM ÜRÜNLERİ ÇEK (Shop bazlı cache veya Pagination ile)
+  const catalog = await getCatalog(shop);
+  const semanticScores = await searchSemantic(catalog, query);
+  const engagementScores = SCORE_WEIGHTS.engagement > 0
+    ? engagement.getScores(shop.domain, getQueryType(searchTerms))
+    : null;
+
+  // Akıllı filtreleme (indeks + varsa vektör benzerliği ve müşteri etkileşimi)
+  const filteredProducts = smartFilter(catalog.products, searchTerms, query, catalog.index, semanticScores, engagementScores);
+
+  console.log(`✅ ${filteredProducts.length} ürün filtrelendi`);
+
+  // Sonraki tura sadece bir ürünün markasında ya da adında geçen marka kelimeleri taşınır ("peki", "olanı" taşınmaz)
+  const carriedTerms = {
+    ...conversationTerms,
+    brandKeywords: conversationTerms.brandKeywords.filter(word => catalog.index.matchesFields(word, ['vendor', 'title']))
+  };
+
+  if (filteredProducts.length === 0 && session) {
+    session.searchTerms = carriedTerms;
+  }
+
+  // Bu oturumda önerilenler sona alınır (çeşitlilik); başka uygun ürün yoksa yine önerilebilir
+  const rankedProducts = session ? demoteRecent(filteredProducts, session.recentRecommended) : filteredProducts;
+
+  // Maksimum 12 ürünü AI'ya gönder (çeşitlilik için)
+  const productsForAI = rankedProducts
+    .slice(0, 12)
+    .map(p => withSelectedVariant(p, searchTerms));
+
+  const structured = llm.structuredOutput;
+  const systemPrompt = generateSystemPrompt(productsForAI, shop.domain, searchTerms, { structured, pet, language });
+
+  return {
+    responseId: crypto.randomUUID(),
+    startedAt,
+    message,
+    language,
+    shop,
+    session,
+    sessionId,
+    pet,
+    searchTerms,
+    carriedTerms,
+    filteredCount: filteredProducts.length,
+    productsForAI,
+    // Güvenlik kontrolünde çıkarılan önerilerin yerine konacak adaylar (skor sırasıyla)
+    candidates: rankedProducts,
+    llmContext: { products: productsForAI, domain: shop.domain, language },
+    responseFormat: structured ? RECOMMENDATION_FORMAT : null,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...(session ? session.history : []),
+      { role: 'user', content: message }
+    ]
+  };
+}
+
+// Mağaza izinli mi, tarayıcıdan gelen istek bu mağazanın sitesinden mi? { shop } ya da { error: { status, body } }
+function checkShopAccess(req, shopDomain) {
+  const shop = resolveShop(shopDomain);
+  if (!shop) {
+    console.warn(`⛔ İzin verilmeyen mağaza: ${shopDomain}`);
+    return {
+      error: {
+        status: 403,
+        body: rejection('shop_not_allowed', getReply(getRequestLanguage(req), 'shopNotAllowed'))
+      }
+    };
+  }
+
+  // Tarayıcıdan gelen istek sadece kendi mağazasını sorgulayabilir
+  const origin = req.get('Origin');
+  if (origin && !isAllowedOrigin(origin, shop)) {
+    console.warn(`⛔ ${origin} kaynağı ${shop.domain} için izinli değil`);
+    return {
+      error: {
+        status: 403,
+        body: rejection('origin_not_allowed', getReply(getRequestLanguage(req), 'originNotAllowed'))
+      }
+    };
+  }
+
+  return { shop };
+}
+
+// "Bu üçünü sepete ekle": son önerilen ürünlerden sepet linki (arama ve LLM çağrısı yapılmaz)
+async function prepareCartTurn(chat, intent) {
+  const last = chat.session ? chat.session.lastRecommended : [];
+  const selected = selectPositions(last, intent.positions);
+  if (selected.length === 0) {
+    return { reply: getReply(chat.language, 'cartEmpty'), products: [], cart: null };
+  }
+
+  const catalog = await getCatalog(chat.shop);
+  const cart = createCart(chat.shop, catalog, selected.map(r => ({
+    productId: r.id,
+    variantId: r.variantId,
+    quantity: intent.quantity
+  })));
+
+  // Sepete eklenen ürünler, önerildikleri yanıtın etkileşimine sayılır
+  cart.items.forEach(item => {
+    engagement.recordEvent(chat.session.lastResponseId, 'add_to_cart', item.productId);
+  });
+
+  let reply = cart.permalink
+    ? getReply(chat.language, 'cartReady', cart.items.length, cart.permalink)
+    : getReply(chat.language, 'cartEmpty');
+  if (cart.unavailable.length > 0) {
+    reply += getReply(chat.language, 'cartUnavailable', cart.unavailable.map(item => `"${item.title}"`).join(', '));
+  }
+  console.log(`🛒 Sepet linki: ${cart.items.length} ürün, ${cart.unavailable.length} stokta yok`);
+
+  const productsById = new Map(catalog.products.map(p => [p.id, p]));
+  const products = cart.items.map(item => {
+    const product = productsById.get(item.productId);
+    const selectedVariant = product.variants.find(v => v.id === item.variantId);
+    return { ...toProductCard({ ...product, selectedVariant }), quantity: item.quantity };
+  });
+
+  return { reply, products, cart };
+}
+
+// Kalemler katalogdaki güncel varyantlarla eşleştirilir (fiyat, stok). variantId yoksa ürünün stoktaki ilk varyantı
+function createCart(shop, catalog, items) {
+  const productsById = new Map(catalog.products.map(p => [p.id, p]));
+  const lines = [];
+  const unavailable = [];
+  const notFound = [];
+
+  items.forEach(item => {
+    const product = item.productId
+      ? productsById.get(item.productId)
+      : catalog.products.find(p => p.variants.some(v => v.id === item.variantId));
+    const variant = product && (item.variantId
+      ? product.variants.find(v => v.id === item.variantId)
+      : product.variants.find(v => v.available) || product.variants[0]);
+
+    if (!variant) {
+      notFound.push(item.variantId || item.productId);
+      return;
+    }
+
+    // Aynı varyant birden fazla verilirse adetler toplanır
+    const list = variant.available ? lines : unavailable;
+    const existing = list.find(line => line.variantId === variant.id);
+    if (existing) {
+      existing.quantity = Math.min(existing.quantity + item.quantity, MAX_QUANTITY);
+      return;
+    }
+    list.push({
+      productId: product.id,
+      variantId: variant.id,
+      title: product.title,
+      variantTitle: variant.title,
+      handle: product.handle,
+      price: parseFloat(variant.price).toFixed(2),
+      quantity: item.quantity
+    });
+  });
+
+  return {
+    ...buildCart(shop.domain, lines),
+    items: lines,
+    unavailable,
+    notFound,
+    total: lines.reduce((sum, line) => sum + parseFloat(line.price) * line.quantity, 0).toFixed(2),
+    currency: 'TRY'
+  };
+}
+
+// AI yanıtını çöz, önerilen ürünleri kartlara çevir ve konuşma hafızasına kaydet
+function completeChatTurn(chat, content) {
+  const parsed = parseRecommendationResponse(content, chat);
+  const { reply, selections, replacements, safety, safetyNote } = validateExclusions(parsed.reply, parsed.selections, chat);
+  const recommended = extractProducts(selections, [...chat.productsForAI, ...replacements]);
+
+  if (chat.session) {
+    saveChatTurn(chat.session, chat.message, reply, chat.carriedTerms, recommended, chat.responseId);
+  }
+  trackResponse(chat, recommended);
+
+  return { reply, recommended, safety, safetyNote };
+}
+
+// Yanıt, widget'ın oy ve ürün olaylarını bildirebilmesi için responseId ile hatırlanır
+function trackResponse(chat, recommended) {
+  engagement.registerResponse(chat.responseId, {
+    shop: chat.shop.domain,
+    queryType: getQueryType(chat.searchTerms),
+    productIds: recommended.map(p => p.id)
+  });
+}
+
+// Turu analitiğe yazar: normalize sorgu, kriterler, filtrelenen ürün sayısı, öneriler, süre ve token kullanımı
+function recordChatTurn(chat, { usage = null, recommended = [], stream = false, error = null } = {}) {
+  analytics.record({
+    id: chat.responseId,
+    shop: chat.shop.domain,
+    // Oturum kimliği saklanmaz, sadece tekil oturum sayımı için özeti
+    session: chat.session ? crypto.createHash('sha256').update(chat.sessionId).digest('hex').substring(0, 16) : null,
+    query: normalizeText(chat.message),
+    language: chat.language,
+    searchTerms: chat.searchTerms,
+    filtered: chat.filteredCount,
+    candidates: chat.productsForAI.length,
+    recommended: recommended.map(p => ({ id: p.id, handle: p.handle, title: p.title, vendor: p.vendor })),
+    pet: chat.pet ? chat.pet.species : null,
+    stream,
+    latencyMs: Date.now() - chat.startedAt,
+    usage,
+    ...(chat.cartTurn ? { intent: 'cart' } : {}),
+    ...(error ? { error } : {})
+  });
+}
+
+// Yapılandırılmış yanıt: { reply, recommendations: [{ id, reason }] }.
+// JSON çözülemezse (veya yapılandırılmış çıktı kapalıysa) eski başlık eşleştirmesine düşülür.
+function parseRecommendationResponse(content, chat) {
+  if (chat.responseFormat) {
+    try {
+      const parsed = JSON.parse(content);
+      if (typeof parsed.reply === 'string' && Array.isArray(parsed.recommendations)) {
+        return { reply: parsed.reply, selections: parsed.recommendations };
+      }
+      console.warn('⚠️ Yapılandırılmış yanıt beklenen formatta değil, başlık eşleştirmesi kullanılıyor');
+    } catch (error) {
+      console.warn('⚠️ Yapılandırılmış yanıt çözülemedi, başlık eşleştirmesi kullanılıyor:', error.message);
+    }
+  }
+
+  return { reply: content, selections: matchProductsInReply(content, chat.productsForAI) };
+}
+
+function getAnalyticsReport(req) {
+  const limit = parseInt(req.query.limit, 10);
+  return analytics.report({
+    from: req.query.from,
+    to: req.query.to,
+    shop: req.query.shop ? normalizeShopDomain(req.query.shop) : null,
+    limit: limit > 0 ? Math.min(limit, 100) : undefined
+  });
+}
+
+// Profil sahibi anahtarı (mağaza + kimlik), kimlik doğrulanamazsa null:
+// 1. Shopify app proxy isteği: imzalı query'deki logged_in_customer_id
+// 2. x-customer-token: mağazanın sunucusunun CUSTOMER_TOKEN_SECRET ile imzaladığı müşteri token'ı
+// 3. Anonim oturum: widget'ın ürettiği rastgele x-session-id (tahmin edilemesin diye en az 16 karakter)
+// Müşteri kimliği sadece kendi mağazasında geçerlidir; geçersiz token verilirse oturuma düşülmez
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+function getProfileOwner(req, shop) {
+  const proxy = verifyAppProxyRequest(req.query, securityConfig.appProxySecret);
+  if (proxy && proxy.customerId && normalizeShopDomain(proxy.shop) === shop.domain) {
+    return `${shop.domain}|customer:${proxy.customerId}`;
+  }
+
+  const token = req.get('x-customer-token');
+  if (token) {
+    const customer = verifyCustomerToken(token, securityConfig.customerTokenSecret);
+    return customer && normalizeShopDomain(customer.shop) === shop.domain
+      ? `${shop.domain}|customer:${customer.customerId}`
+      : null;
+  }
+
+  const sessionId = req.get('x-session-id');
+  return sessionId && SESSION_ID_PATTERN.test(sessionId) ? `${shop.domain}|session:${sessionId}` : null;
+}
+
+// Profil uç noktaları: /api/chat ile aynı mağaza ve kaynak kontrolü, ardından doğrulanmış sahip.
+// { owner } ya da { error: { status, body } }
+function checkProfileAccess(req) {
+  const shopDomain = req.query.shop || (req.body && req.body.shopDomain);
+  if (!shopDomain) {
+    return { error: { status: 400, body: { success: false, message: 'shop parametresi gerekli' } } };
+  }
+
+  const access = checkShopAccess(req, String(shopDomain));
+  if (access.error) {
+    return {
+      error: {
+        status: access.error.status,
+        body: { success: false, error: access.error.body.error, message: access.error.body.reply }
+      }
+    };
+  }
+
+  const owner = getProfileOwner(req, access.shop);
+  if (!owner) {
+    return {
+      error: {
+        status: 401,
+        body: { success: false, message: 'Doğrulanmış müşteri (app proxy ya da x-customer-token) veya geçerli x-session-id gerekli' }
+      }
+    };
+  }
+  return { owner };
+}
+
+// Sohbet hazırlanmadan dönen hatalar için dil (mesaj, body.language, Accept-Language)
+function getRequestLanguage(req) {
+  const body = req.body || {};
+  return resolveLanguage({
+    message: body.message,
+    requested: body.language,
+    acceptLanguage: req.get('Accept-Language')
+  }, vocabulary.current()).language;
+}
+
+// ========== GÜVENLİK KONTROLÜ (HARİÇ TUTULAN İÇERİKLER) ==========
+
+// Ürünün başlık, etiket, tür ve TAM açıklamasında geçen hariç tutulan kelimeler.
+// "Tahılsız", "grain free", "tavuk içermez" ihlal sayılmaz (lib/composition.js)
+function findExcludedIngredients(product, exclude) {
+  if (!exclude || exclude.length === 0) return [];
+
+  return findIngredientMentions(getSearchText(product).clauses, exclude, vocabulary.current().negativeWords);
+}
+
+// LLM yanıtından sonra çalışır (alerji vakaları için): önerilen ve yanıt metninde geçen ürünler
+// hariç tutulan içeriklere karşı tekrar kontrol edilir, ihlal edenler kartlardan çıkarılır ve raporlanır.
+// Çıkarılan önerilerin yerine skor sırasındaki sonraki güvenli ürünler konur (replacements).
+function validateExclusions(reply, selections, chat) {
+  const exclude = chat.searchTerms.exclude;
+  if (!exclude || exclude.length === 0) {
+    return { reply, selections, replacements: [], safety: null, safetyNote: '' };
+  }
+
+  const productsById = new Map(chat.productsForAI.map(p => [p.id, p]));
+  const removed = new Map();
+
+  const checkProduct = (product, source) => {
+    const matched = findExcludedIngredients(product, exclude);
+    if (matched.length === 0) return true;
+
+    const entry = removed.get(product.id) || {
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      matched,
+      sources: []
+    };
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+    removed.set(product.id, entry);
+    return false;
+  };
+
+  // 1. Önerilen ürünler (listede olmayan ID'ler extractProducts'ta zaten reddedilir)
+  const safeSelections = selections.filter(selection => {
+    const product = productsById.get(String(selection.id));
+    return !product || checkProduct(product, 'recommendation');
+  });
+
+  // 2. Yanıt metninde adı/linki geçen ürünler
+  matchProductsInReply(reply, chat.productsForAI).forEach(selection => {
+    checkProduct(productsById.get(selection.id), 'reply');
+  });
+
+  // 3. Kartlardan düşen öneri sayısı kadar, filtrelenmiş listede sıradaki güvenli ürün eklenir
+  const taken = new Set([...safeSelections.map(s => String(s.id)), ...removed.keys()]);
+  const replacements = (chat.candidates || [])
+    .filter(p => !taken.has(p.id) && findExcludedIngredients(p, exclude).length === 0)
+    .slice(0, selections.length - safeSelections.length)
+    .map(p => withSelectedVariant(p, chat.searchTerms));
+  if (replacements.length > 0) {
+    console.log(`🛡️ Güvenlik kontrolü: ${replacements.length} öneri sıradaki güvenli ürünlerle tamamlandı`);
+  }
+
+  const removedList = [...removed.values()];
+  let safetyNote = '';
+
+  if (removedList.length > 0) {
+    removedList.forEach(r => {
+      console.warn(`🛡️ Güvenlik kontrolü: "${r.title.substring(0, 40)}" çıkarıldı (${r.matched.join(', ')})`);
+    });
+
+    const titles = removedList.map(r => `"${r.title}"`).join(', ');
+    const words = [...new Set(removedList.flatMap(r => r.matched))].join(', ');
+    safetyNote = getReply(chat.language, 'safetyNote', titles, words);
+  }
+
+  return {
+    reply: reply + safetyNote,
+    selections: [
+      ...safeSelections,
+      ...replacements.map(p => ({ id: p.id, reason: getReply(chat.language, 'safeAlternative') }))
+    ],
+    replacements,
+    safety: {
+      checkedTerms: exclude,
+      removed: removedList,
+      replaced: replacements.map(p => p.id)
+    },
+    safetyNote
+  };
+}
+
+// ========== SHOP / KATALOG ==========
+
+// SHOPIFY_SHOPS="magaza1.myshopify.com=shpat_xxx,magaza2.myshopify.com=shpat_yyy"
+// Eski tek mağaza kurulumu: SHOPIFY_SHOP_DOMAIN + SHOPIFY_TOKEN
+function loadShopConfig() {
+  const shops = new Map();
+
+  (process.env.SHOPIFY_SHOPS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .forEach(entry => {
+      const separator = entry.indexOf('=');
+      if (separator === -1) {
+        console.warn(`⚠️ SHOPIFY_SHOPS girdisi hatalı (domain=token olmalı): ${entry}`);
+        return;
+      }
+      const domain = normalizeShopDomain(entry.substring(0, separator));
+      const token = entry.substring(separator + 1).trim();
+      if (domain && token) {
+        shops.set(domain, { domain, token });
+      }
+    });
+
+  if (shops.size === 0 && process.env.SHOPIFY_SHOP_DOMAIN && process.env.SHOPIFY_TOKEN) {
+    const domain = normalizeShopDomain(process.env.SHOPIFY_SHOP_DOMAIN);
+    shops.set(domain, { domain, token: process.env.SHOPIFY_TOKEN });
+  }
+
+  return shops;
+}
+
+function normalizeShopDomain(domain) {
+  return String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '');
+}
+
+// İzin listesinde olmayan mağaza için null döner
+function resolveShop(shopDomain) {
+  return shopConfig.get(normalizeShopDomain(shopDomain)) || null;
+}
+
+// ========== CORS VE İSTEK SINIRI ==========
+
+// CORS_ORIGINS=magaza.myshopify.com=https://laylapet.com|https://www.laylapet.com,diger.myshopify.com=*
+// Her mağazanın kendi adresi (https://<domain>) her zaman izinlidir
+function loadCorsOrigins(shops) {
+  const origins = new Map([...shops.keys()].map(domain => [domain, new Set([`https://${domain}`])]));
+
+  (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .forEach(entry => {
+      const separator = entry.indexOf('=');
+      const domain = separator === -1 ? null : normalizeShopDomain(entry.substring(0, separator));
+      if (!origins.has(domain)) {
+        console.warn(`⚠️ CORS_ORIGINS girdisi hatalı ya da mağaza izinli değil (domain=origin|origin olmalı): ${entry}`);
+        return;
+      }
+      entry.substring(separator + 1)
+        .split('|')
+        .map(normalizeOrigin)
+        .filter(origin => origin)
+        .forEach(origin => origins.get(domain).add(origin));
+    });
+
+  return origins;
+}
+
+function normalizeOrigin(origin) {
+  return String(origin || '').trim().toLowerCase().replace(/\/+$/, '');
+}
+
+// shop verilmezse herhangi bir mağaza için izinli olması yeterli
+function isAllowedOrigin(origin, shop = null) {
+  const normalized = normalizeOrigin(origin);
+  const allowed = shop ? [corsOrigins.get(shop.domain)] : [...corsOrigins.values()];
+  return allowed.some(origins => origins && (origins.has('*') || origins.has(normalized)));
+}
+
+// Hiçbir mağazaya ait olmayan tarayıcı kaynağı reddedilir (Origin göndermeyen sunucu istekleri serbest)
+function rejectUnknownOrigin(req, res, next) {
+  const origin = req.get('Origin');
+  if (!origin || isAllowedOrigin(origin)) return next();
+
+  console.warn(`⛔ İzin verilmeyen kaynak: ${origin} (${req.method} ${req.path})`);
+  res.status(403).json(rejection('origin_not_allowed', 'Bu site için asistan yetkili değil'));
+}
+
+// Her sohbet isteği LLM token'ı harcar ve katalog çekimini tetikleyebilir: IP ve oturum başına sınır
+function limitChatRequests(req, res, next) {
+  const checks = [['IP', ipLimiter, req.ip]];
+  const sessionId = req.get('x-session-id');
+  if (sessionId) {
+    checks.push(['oturum', sessionLimiter, sessionId]);
+  }
+
+  for (const [label, limiter, key] of checks) {
+    const result = limiter.hit(key);
+    if (!result.allowed) {
+      console.warn(`🚦 İstek sınırı aşıldı (${label}: ${key})`);
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json(rejection(
+        'rate_limited',
+        getReply(getRequestLanguage(req), 'rateLimited', result.retryAfterSeconds)
+      ));
+    }
+  }
+  next();
+}
+
+// Arama LLM harcamaz ama katalog çekimini tetikleyebilir: IP başına ayrı, daha geniş sınır
+function limitSearchRequests(req, res, next) {
+  limitByIp(searchLimiter, 'arama', req, res, next);
+}
+
+// Diğer herkese açık uç noktalar (sepet katalog çekimini tetikleyebilir, profiller diske yazar): IP başına ortak sınır
+function limitApiRequests(req, res, next) {
+  limitByIp(apiLimiter, 'API', req, res, next);
+}
+
+function limitByIp(limiter, label, req, res, next) {
+  const result = limiter.hit(req.ip);
+  if (!result.allowed) {
+    console.warn(`🚦 İstek sınırı aşıldı (${label}, IP: ${req.ip})`);
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({ success: false, message: `Çok fazla istek, ${result.retryAfterSeconds} saniye sonra tekrar deneyin` });
+  }
+  next();
+}
+
+// { products, index, vectors, time }: süresi dolmuş katalog beklenmeden kullanılır,
+// arka planda tek bir yenileme başlar (stale-while-revalidate). Katalog hiç yoksa çekim beklenir
+async function getCatalog(shop) {
+  if (catalogRestores.has(shop.domain)) {
+    await catalogRestores.get(shop.domain);
+  }
+
+  const cached = productCaches.get(shop.domain);
+  if (!cached) {
+    return refreshCatalog(shop);
+  }
+
+  const age = Math.floor((Date.now() - cached.time) / 1000);
+  if (Date.now() - cached.time < CACHE_DURATION) {
+    console.log(`⚡ Cache kullanılıyor (${shop.domain}, son güncelleme: ${age} saniye önce)`);
+  } else {
+    console.log(`♻️ Eski katalog kullanılıyor, arka planda yenileniyor (${shop.domain}, ${age} saniye önce)`);
+    refreshCatalog(shop).catch(() => {}); // Hata refreshCatalog'da loglanır, eski katalogla devam
+  }
+  return cached;
+}
+
+// Aynı mağaza için aynı anda tek çekim: eş zamanlı istekler aynı promise'i bekler
+function refreshCatalog(shop) {
+  if (catalogRefreshes.has(shop.domain)) {
+    return catalogRefreshes.get(shop.domain);
+  }
+
+  const status = catalogStatus.get(shop.domain) || { lastRefreshAt: null, lastError: null, lastErrorAt: null, progress: null };
+  catalogStatus.set(shop.domain, status);
+
+  const refresh = fetchCatalog(shop, progress => { status.progress = progress; })
+    .then(entry => {
+      status.lastRefreshAt = new Date();
+      status.lastError = null;
+      status.lastErrorAt = null;
+      if (catalogSnapshots) catalogSnapshots.save(shop.domain, entry);
+      return entry;
+    })
+    .catch(error => {
+      console.error(`❌ Katalog yenilenemedi (${shop.domain}):`, error.message);
+      status.lastError = error.message;
+      status.lastErrorAt = new Date();
+      throw error;
+    })
+    .finally(() => {
+      status.progress = null;
+      catalogRefreshes.delete(shop.domain);
+    });
+
+  catalogRefreshes.set(shop.domain, refresh);
+  return refresh;
+}
+
+async function fetchCatalog(shop, onProgress) {
+  const allProducts = await fetchShopifyProducts(shop, onProgress);
+  const entry = await buildCatalogEntry(shop, allProducts, Date.now());
+
+  // Cache'e kaydet (shop bazlı)
+  productCaches.set(shop.domain, entry);
+
+  console.log(`📊 Toplam ${allProducts.length} aktif ürün`);
+
+  // Mevcut markaları logla
+  const uniqueVendors = [...new Set(allProducts.map(p => p.vendor).filter(v => v))];
+  console.log(`🏷️ Mevcut markalar (${uniqueVendors.length}):`, uniqueVendors.slice(0, 15).join(', ') + '...');
+  
+  // Vendor boş olanları logla
+  const emptyVendorCount = allProducts.filter(p => !p.vendor).length;
+  if (emptyVendorCount > 0) {
+    console.log(`⚠️ ${emptyVendorCount} ürünün vendor alanı boş`);
+  }
+
+  return entry;
+}
+
+// Arama indeksi ve vektörler katalogla birlikte bir kez kurulur
+async function buildCatalogEntry(shop, products, time) {
+  const indexStarted = Date.now();
+  const index = createSearchIndex(products);
+  console.log(`🗂️ Arama indeksi kuruldu: ${index.size} ürün, ${Date.now() - indexStarted} ms`);
+
+  const vectors = embedder ? await loadVectorStore(shop, products) : null;
+  return { products, index, vectors, time };
+}
+
+// Açılışta diskteki snapshot'lar yüklenir; bu sırada gelen istekler yüklemeyi bekler
+function restoreCatalogSnapshots() {
+  if (!catalogSnapshots) return;
+
+  shopConfig.forEach(shop => {
+    const snapshot = catalogSnapshots.load(shop.domain);
+    if (!snapshot) return;
+
+    const restore = buildCatalogEntry(shop, snapshot.products, snapshot.fetchedAt)
+      .then(entry => {
+        // Yükleme sürerken tamamlanan bir çekim daha yenidir
+        if (!productCaches.has(shop.domain)) productCaches.set(shop.domain, entry);
+        console.log(`💽 Katalog snapshot'ı yüklendi (${shop.domain}): ${entry.products.length} ürün, ${Math.floor((Date.now() - entry.time) / 1000)} saniye önce çekilmiş`);
+      })
+      .catch(error => {
+        console.error(`❌ Katalog snapshot'ı yüklenemedi (${shop.domain}):`, error.message);
+      })
+      .finally(() => catalogRestores.delete(shop.domain));
+
+    catalogRestores.set(shop.domain, restore);
+  });
+}
+
+// Anlamsal arama isteğe bağlıdır: vektörler hazırlanamazsa sadece anahtar kelime araması kullanılır
+async function loadVectorStore(shop, products) {
+  const file = path.join(CATALOG_DATA_DIR, shop.domain, `vectors-${embedder.name}-${embedder.model.replace(/[^\w.-]/g, '_')}.json`);
+  const store = createVectorStore({ provider: embedder, file });
+
+  try {
+    const started = Date.now();
+    const result = await store.sync(products);
+    console.log(`🧭 Vektörler hazır (${embedder.name}/${embedder.model}): ${result.embedded} yeni, ${result.reused} diskten, ${Date.now() - started} ms`);
+    return store;
+  } catch (error) {
+    console.error('❌ Vektörler hazırlanamadı, anahtar kelime aramasıyla devam:', error.message);
+    return null;
+  }
+}
+
+// Map(id → benzerlik) ya da null (kapalı/hata)
+async function searchSemantic(catalog, message) {
+  if (!catalog.vectors) return null;
+  try {
+    return await catalog.vectors.search(message);
+  } catch (error) {
+    console.error('❌ Anlamsal arama hatası:', error.message);
+    return null;
+  }
+}
+
+// Offline geliştirme/test: CATALOG_FIXTURE=fixtures/products.json (Admin API ürün formatı)
+function loadFixtureProducts(fixturePath) {
+  const data = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const rawProducts = Array.isArray(data) ? data : (data.products || []);
+  console.log(`🧪 Fixture katalog yüklendi: ${fixturePath} (${rawProducts.length} ürün)`);
+  return rawProducts
+    .filter(p => p.status === 'active')
+    .map(normalizeProduct);
+}
+
+async function fetchShopifyProducts(shop, onProgress = () => {}) {
+  if (process.env.CATALOG_FIXTURE) {
+    return loadFixtureProducts(process.env.CATALOG_FIXTURE);
+  }
+  if (CATALOG_IMPORTER === 'bulk') {
+    return fetchShopifyProductsBulk(shop, onProgress);
+  }
+
+  console.log(`🔄 Tüm ürünler Shopify'dan çekiliyor (${shop.domain})...`);
+  
+  let allShopifyProducts = [];
+  let nextPageUrl = `https://${shop.domain}/admin/api/2024-01/products.json?limit=250&status=active`;
+  let pageCount = 0;
+  const maxPages = 20; // Max 5000 ürün (250 x 20)
+  
+  while (nextPageUrl && pageCount < maxPages) {
+    pageCount++;
+    console.log(`📄 Sayfa ${pageCount}/${maxPages} çekiliyor...`);
+    
+    const shopifyRes = await fetch(nextPageUrl, {
+      method: 'GET',
+      headers: {
+        'X-Shopify-Access-Token': shop.token,
+        'Content-Type': 'application/json'
+      },
+      signal: AbortSignal.timeout(SHOPIFY_TIMEOUT)
+    });
+
+    const shopifyData = await shopifyRes.json();
+    
+    console.log(`📦 Shopify status: ${shopifyRes.status}`);
+    
+    if (shopifyData.errors) {
+      console.error('❌ Shopify errors:', shopifyData.errors);
+      throw new Error('Shopify hatası: ' + JSON.stringify(shopifyData.errors));
+    }
+    
+    if (!shopifyData.products || shopifyData.products.length === 0) {
+      console.log('ℹ️ Daha fazla ürün yok');
+      break;
+    }
+
+    allShopifyProducts = allShopifyProducts.concat(shopifyData.products);
+    console.log(`✓ ${shopifyData.products.length} ürün eklendi (toplam: ${allShopifyProducts.length})`);
+    
+    // Pagination: Link header'dan sonraki sayfayı al
+    const linkHeader = shopifyRes.headers.get('Link');
+    nextPageUrl = null;
+    
+    if (linkHeader) {
+      const links = linkHeader.split(',');
+      const nextLink = links.find(link => link.includes('rel="next"'));
+      
+      if (nextLink) {
+        const match = nextLink.match(/<([^>]+)>/);
+        if (match) {
+          nextPageUrl = match[1];
+          console.log('➡️ Sonraki sayfa bulundu');
+        }
+      }
+    }
+    
+    // Rate limiting: Shopify API limit (2 req/sec)
+    if (nextPageUrl) {
+      await new Promise(resolve => setTimeout(resolve, 550)); // 550ms bekle
+    }
+  }
+  
+  console.log(`🎉 Toplam ${allShopifyProducts.length} ürün çekildi (${pageCount} sayfa)`);
+  if (nextPageUrl) {
+    console.warn(`⚠️ Sayfa sınırına ulaşıldı, katalog eksik yüklendi (${shop.domain}). Tüm ürünler için CATALOG_IMPORTER=bulk`);
+  }
+
+  // Admin API formatından normalize et
+  const allProducts = allShopifyProducts
+    .filter(p => p.status === 'active')
+    .map(normalizeProduct);
+
+  return allProducts;
+}
+
+// GraphQL bulk operation: ürün sınırı yok, ilerleme /health'te görünür.
+// SHOPIFY_API_URL ile yerel stub'a yönlendirilebilir (scripts/shopify-stub.js)
+async function fetchShopifyProductsBulk(shop, onProgress) {
+  console.log(`🔄 Tüm ürünler Shopify'dan bulk operation ile çekiliyor (${shop.domain})...`);
+
+  const importer = createBulkImporter({
+    domain: shop.domain,
+    token: shop.token,
+    apiBase: process.env.SHOPIFY_API_URL || undefined,
+    metafieldNamespaces: METAFIELD_NAMESPACES,
+    requestTimeout: SHOPIFY_TIMEOUT,
+    normalize: normalizeProduct,
+    onProgress: progress => {
+      if (progress.stage === 'running') {
+        console.log(`📦 Bulk işlem ${progress.status} (${shop.domain}): ${progress.objectCount} nesne`);
+      } else if (progress.stage === 'reading') {
+        console.log(`📥 Bulk sonucu okunuyor (${shop.domain}): ${progress.products} ürün`);
+      }
+      onProgress(progress);
+    }
+  });
+
+  return importer.importProducts();
+}
+
+// Admin API (REST / webhook) ürününü ortak formata çevir
+function normalizeProduct(p) {
+  // HTML tag'lerini temizle ve TAM AÇIKLAMAYI al
+  const fullDesc = p.body_html 
+    ? p.body_html
+        .replace(/<[^>]*>/g, '') // HTML tag'leri sil
+        .replace(/&nbsp;/g, ' ') // &nbsp; → boşluk
+        .replace(/&amp;/g, '&')  // &amp; → &
+        .replace(/&quot;/g, '"') // &quot; → "
+        .replace(/&#39;/g, "'")  // &#39; → '
+        .replace(/&lt;/g, '<')   // &lt; → <
+        .replace(/&gt;/g, '>')   // &gt; → >
+        .replace(/\s+/g, ' ')    // Çoklu boşlukları tek yap
+        .trim()
+    : '';
+  
+  // Varyantlar: paket boyutu, fiyat, stok (inventory webhook'ları inventoryItemId ile eşleşir)
+  const optionNames = (p.options || []).map(o => o.name);
+  const variants = (p.variants || []).map(v => {
+    const options = ['option1', 'option2', 'option3']
+      .map((key, i) => v[key] ? { name: optionNames[i] || key, value: v[key] } : null)
+      .filter(o => o);
+    // Boyut önce varyant seçeneklerinden, tek varyantlı üründe başlıktan okunur
+    const size = parsePackageSize(options.map(o => o.value).join(' ') + ' ' + (v.title || '')) ||
+      ((p.variants || []).length === 1 ? parsePackageSize(p.title) : null);
+
+    const variant = {
+      id: String(v.id),
+      title: v.title || options.map(o => o.value).join(' / '),
+      options,
+      sku: v.sku || '',
+      size, // { amount, unit, baseQuantity, baseUnit }
+      price: v.price,
+      compareAtPrice: v.compare_at_price || null,
+      inventoryItemId: v.inventory_item_id ? String(v.inventory_item_id) : null,
+      inventoryQuantity: v.inventory_quantity || 0,
+      inventoryPolicy: v.inventory_policy || 'deny'
+    };
+    variant.available = isVariantAvailable(variant);
+    variant.unitPrice = calculateUnitPrice(variant);
+    return variant;
+  });
+
+  // Gösterilen fiyat: stoktaki en ucuz varyant (hiç stok yoksa tüm varyantların en ucuzu)
+  const pricedVariants = variants.filter(v => v.available).length > 0
+    ? variants.filter(v => v.available)
+    : variants;
+  const prices = pricedVariants.map(v => parseFloat(v.price) || 0);
+  
+  return {
+    id: p.id.toString(),
+    title: p.title,
+    handle: p.handle,
+    vendor: p.vendor || '',
+    productType: p.product_type || '',
+    tags: p.tags ? (typeof p.tags === 'string' ? p.tags.split(', ') : p.tags) : [],
+    priceRange: {
+      minVariantPrice: {
+        amount: prices.length > 0 ? Math.min(...prices).toFixed(2) : '0',
+        currencyCode: 'TRY'
+      },
+      maxVariantPrice: {
+        amount: prices.length > 0 ? Math.max(...prices).toFixed(2) : '0',
+        currencyCode: 'TRY'
+      }
+    },
+    description: fullDesc, // TAM AÇIKLAMA (filtreleme için)
+    descriptionShort: fullDesc.substring(0, 150), // Kısa özet (AI için)
+    composition: parseComposition(fullDesc), // { ingredients: [{ name, percent }], analysis: { protein, fat, ... } }
+    availableForSale: isAnyVariantAvailable(variants),
+    featuredImage: {
+      url: p.image?.src || (p.images && p.images[0] ? p.images[0].src : '')
+    },
+    variants,
+    // Facet'ler sadece bulk çekimde gelir (REST ve webhook gövdesinde yok)
+    collections: (p.collections || []).map(c => ({ handle: c.handle, title: c.title })),
+    metafields: normalizeMetafields(p.metafields, METAFIELD_NAMESPACES)
+  };
+}
+
+function isVariantAvailable(variant) {
+  return variant.inventoryQuantity > 0 || variant.inventoryPolicy === 'continue';
+}
+
+function isAnyVariantAvailable(variants) {
+  return variants.some(isVariantAvailable);
+}
+
+// ========== PAKET BOYUTU / VARYANT ==========
+
+const SIZE_REGEX = /(\d+(?:[.,]\d+)?)\s*(kg|kilo|gr|gram|g|lt|litre|l|ml)(?![a-zçğıöşü])/i;
+
+// "2 kg", "400 gr", "1,5 lt", "85g" → { amount: 2, unit: 'kg', baseQuantity: 2, baseUnit: 'kg' }
+function parsePackageSize(text) {
+  const match = String(text || '').toLowerCase().match(SIZE_REGEX);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(',', '.'));
+  if (!amount) return null;
+
+  const unit = {
+    kg: 'kg', kilo: 'kg',
+    gr: 'g', gram: 'g', g: 'g',
+    lt: 'l', litre: 'l', l: 'l',
+    ml: 'ml'
+  }[match[2].toLowerCase()];
+
+  const isWeight = unit === 'kg' || unit === 'g';
+  const baseQuantity = unit === 'g' || unit === 'ml' ? amount / 1000 : amount;
+
+  return { amount, unit, baseQuantity, baseUnit: isWeight ? 'kg' : 'l' };
+}
+
+// Fiyat karşılaştırması için kg / litre başına fiyat
+function calculateUnitPrice(variant) {
+  if (!variant.size || !variant.size.baseQuantity) return null;
+  const price = parseFloat(variant.price) || 0;
+  return {
+    amount: (price / variant.size.baseQuantity).toFixed(2),
+    unit: variant.size.baseUnit
+  };
+}
+
+// %10 tolerans: "2 kg" isteği 1.8 kg - 2.2 kg paketlerle eşleşir
+function matchesPackageSize(variant, size) {
+  if (!size) return true;
+  if (!variant.size || variant.size.baseUnit !== size.baseUnit) return false;
+  return Math.abs(variant.size.baseQuantity - size.baseQuantity) <= size.baseQuantity * 0.1;
+}
+
+function matchesVariantPrice(variant, price) {
+  if (!price) return true;
+  const amount = parseFloat(variant.price) || 0;
+  if (price.min !== null && amount < price.min) return false;
+  if (price.max !== null && amount > price.max) return false;
+  return true;
+}
+
+// Arama kriterlerine en uygun varyant: boyut + bütçe uyumu, sonra stok, sonra fiyat sıralaması
+function selectVariant(product, searchTerms) {
+  const variants = product.variants || [];
+  if (variants.length === 0) return null;
+
+  const sizeMatches = variants.filter(v => matchesPackageSize(v, searchTerms.size));
+  let candidates = sizeMatches.length > 0 ? sizeMatches : variants;
+
+  const priceMatches = candidates.filter(v => matchesVariantPrice(v, searchTerms.price));
+  if (priceMatches.length > 0) candidates = priceMatches;
+
+  const inStock = candidates.filter(v => v.available);
+  if (inStock.length > 0) candidates = inStock;
+
+  const sort = searchTerms.price && searchTerms.price.sort;
+  if (sort) {
+    const direction = sort === 'desc' ? -1 : 1;
+    candidates = [...candidates].sort((a, b) => (parseFloat(a.price) - parseFloat(b.price)) * direction);
+  }
+
+  return candidates[0];
+}
+
+// "kg'lık", "2kg", "gramlık" gibi boyut kelimeleri marka araması sanılmasın
+function isSizeWord(word) {
+  return /^(\d+([.,]\d+)?)?(kg|gr|ml|lt)(['’]\S*)?$/.test(word) ||
+    /^(\d+([.,]\d+)?)?(kilo|gram|litre)(luk|lık|lik|ları|lar|ler)?$/.test(word) ||
+    /^\d+([.,]\d+)?(g|l)$/.test(word);
+}
+
+function hasMatchingSize(product, size) {
+  return (product.variants || []).some(v => matchesPackageSize(v, size));
+}
+
+// Prompt ve ürün kartları için seçili varyantı ekle (cache'teki ürün değiştirilmez)
+function withSelectedVariant(product, searchTerms) {
+  return { ...product, selectedVariant: selectVariant(product, searchTerms) };
+}
+
+// ========== WEBHOOK (ARTIMLI GÜNCELLEME) ==========
+
+function verifyShopifyWebhook(req, res, next) {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ SHOPIFY_WEBHOOK_SECRET tanımlı değil, webhook reddedildi');
+    return res.status(503).json({ success: false, message: 'Webhook yapılandırılmamış' });
+  }
+
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256') || '';
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(req.rawBody || '')
+    .digest('base64');
+
+  const expected = Buffer.from(digest);
+  const received = Buffer.from(hmacHeader);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    console.warn('⛔ Geçersiz webhook imzası');
+    return res.status(401).json({ success: false, message: 'Geçersiz imza' });
+  }
+
+  const shop = resolveShop(req.get('X-Shopify-Shop-Domain'));
+  if (!shop) {
+    console.warn(`⛔ İzin verilmeyen mağazadan webhook: ${req.get('X-Shopify-Shop-Domain')}`);
+    return res.status(403).json({ success: false, message: 'Bu mağaza için yetki yok' });
+  }
+
+  req.shop = shop;
+  next();
+}
+
+// Cache henüz yüklenmediyse null döner: ilk arama zaten güncel kataloğu çeker
+function getLoadedCatalog(shop) {
+  return productCaches.get(shop.domain) || null;
+}
+
+// Webhook değişiklikleri snapshot'a da yazılır (yeniden başlatmada kaybolmasın)
+function saveCatalogSnapshotLater(shop) {
+  if (catalogSnapshots) catalogSnapshots.scheduleSave(shop.domain, () => getLoadedCatalog(shop));
+}
+
+// Ürün listesi ve arama indeksi birlikte güncellenir
+function upsertCachedProduct(shop, shopifyProduct) {
+  const catalog = getLoadedCatalog(shop);
+  if (!catalog) return 'skipped';
+
+  const { products } = catalog;
+  const id = String(shopifyProduct.id);
+  const index = products.findIndex(p => p.id === id);
+
+  // Aktif olmayan (draft/archived) ürün katalogdan çıkar
+  if (shopifyProduct.status && shopifyProduct.status !== 'active') {
+    if (index !== -1) products.splice(index, 1);
+    catalog.index.remove(id);
+    syncVectors(catalog, id, null);
+    saveCatalogSnapshotLater(shop);
+    return 'removed';
+  }
+
+  const normalized = normalizeProduct(shopifyProduct);
+  // Webhook gövdesinde koleksiyon ve metafield yok: mevcut üründekiler korunur (sonraki tam çekimde yenilenir)
+  if (index !== -1) {
+    normalized.collections = products[index].collections || [];
+    normalized.metafields = products[index].metafields || {};
+  }
+  catalog.index.add(normalized);
+  syncVectors(catalog, id, normalized);
+  saveCatalogSnapshotLater(shop);
+  if (index === -1) {
+    products.push(normalized);
+    return 'added';
+  }
+  products[index] = normalized;
+  return 'updated';
+}
+
+function removeCachedProduct(shop, productId) {
+  const catalog = getLoadedCatalog(shop);
+  if (!catalog) return 'skipped';
+
+  const { products } = catalog;
+  const index = products.findIndex(p => p.id === String(productId));
+  if (index === -1) return 'not-found';
+
+  products.splice(index, 1);
+  catalog.index.remove(String(productId));
+  syncVectors(catalog, String(productId), null);
+  saveCatalogSnapshotLater(shop);
+  return 'removed';
+}
+
+// Webhook yanıtını bekletmez (uzak embedding sağlayıcısı yavaş olabilir)
+function syncVectors(catalog, id, product) {
+  if (!catalog.vectors) return;
+  const update = product ? catalog.vectors.upsert(product) : catalog.vectors.remove(id);
+  update.catch(error => console.error(`❌ Vektör güncellenemedi (${id}):`, error.message));
+}
+
+// Not: tek lokasyon varsayılır, "available" doğrudan varyant stoğu olur
+function updateCachedInventory(shop, inventoryItemId, available) {
+  const catalog = getLoadedCatalog(shop);
+  if (!catalog) return 'skipped';
+
+  // Stok metin içermez, indeks güncellenmez (skorlamada ürün üzerinden okunur)
+  for (const product of catalog.products) {
+    const variant = product.variants.find(v => v.inventoryItemId === String(inventoryItemId));
+    if (variant) {
+      variant.inventoryQuantity = available || 0;
+      variant.available = isVariantAvailable(variant);
+      product.availableForSale = isAnyVariantAvailable(product.variants);
+      saveCatalogSnapshotLater(shop);
+      return 'updated';
+    }
+  }
+  return 'not-found';
+}
+
+// ========== KONUŞMA HAFIZASI ==========
+
+// Oturumlar ve son öneriler mağaza + x-session-id ile tutulur
+function getSessionKey(shop, sessionId) {
+  return `${shop.domain}|${sessionId}`;
+}
+
+function getChatSession(sessionId) {
+  const now = Date.now();
+
+  // Süresi dolan session'ları temizle
+  for (const [key, value] of chatSessions) {
+    if (now - value.lastActivity > SESSION_TTL) {
+      chatSessions.delete(key);
+    }
+  }
+
+  let session = chatSessions.get(sessionId);
+  if (session) {
+    // En sona taşı (Map sırası = son kullanım sırası)
+    chatSessions.delete(sessionId);
+  } else {
+    session = { history: [], searchTerms: null, lastRecommendedPrices: [], lastRecommended: [], recentRecommended: [], lastResponseId: null, lastActivity: now };
+  }
+  session.lastActivity = now;
+  chatSessions.set(sessionId, session);
+
+  // Boyut sınırı: en eski session'ları at
+  while (chatSessions.size > MAX_SESSIONS) {
+    const oldestKey = chatSessions.keys().next().value;
+    chatSessions.delete(oldestKey);
+  }
+
+  return session;
+}
+
+// Sıralama korunur: önce yeni ürünler, ardından son önerilenler
+function demoteRecent(products, recentIds) {
+  if (recentIds.length === 0) return products;
+  const recent = new Set(recentIds);
+  return [
+    ...products.filter(p => !recent.has(p.id)),
+    ...products.filter(p => recent.has(p.id))
+  ];
+}
 
-  const uniqueVendors = [...new Set(productCache.map(p => p.vendor || '(BOŞ)'))].sort();
-  
-  const emptyVendorProducts = productCache
-    .filter(p => !p.vendor)
-    .slice(0, 20)
-    .map(p => p.title.substring(0, 60));
+function saveChatTurn(session, message, reply, searchTerms, recommended, responseId) {
+  session.history.push(
+    { role: 'user', content: message },
+    { role: 'assistant', content: reply }
+  );
+  session.history = session.history.slice(-MAX_HISTORY_TURNS * 2);
+  session.searchTerms = searchTerms;
+  if (recommended.length > 0) {
+    session.lastRecommendedPrices = recommended.map(r => parseFloat(r.price));
+    // "Bu üçünü sepete ekle" için
+    session.lastRecommended = recommended.map(r => ({ id: r.id, variantId: r.variantId }));
+    session.recentRecommended = [...session.recentRecommended, ...recommended.map(r => r.id)].slice(-MAX_RECENT_RECOMMENDED);
+    session.lastResponseId = responseId;
+  }
+  session.lastActivity = Date.now();
+}
 
-  res.json({
-    totalProducts: productCache.length,
-    uniqueVendors: uniqueVendors,
-    vendorCount: uniqueVendors.length,
-    emptyVendorCount: productCache.filter(p => !p.vendor).length,
-    sampleProducts: vendorList,
-    emptyVendorSamples: emptyVendorProducts
-  });
-});
+// Takip sorusu: "peki tahılsız olanı var mı?" → önceki hayvan/kategori/marka korunur
+function mergeSearchTerms(previous, current) {
+  // Farklı hayvan veya kategori sorulduysa yeni konu başlamıştır
+  const animalChanged = current.animal && previous.animal && current.animal !== previous.animal;
+  const categoryChanged = current.category && previous.category && current.category !== previous.category;
 
-app.get('/', (req, res) => {
-  const cacheAge = cacheTime ? Math.floor((Date.now() - cacheTime) / 1000) : null;
-  const cacheStatus = cacheAge ? `${cacheAge}s önce güncellendi` : 'Hen��z yüklenmedi';
-  
-  res.send(`
-    <html>
-      <body style="font-family: Arial; padding: 40px; text-align: center;">
-        <h1>🐾 Laylapet AI Assistant</h1>
-        <p><strong>Server çalışıyor!</strong> ✅</p>
-        <p>API: <code>POST /api/chat</code></p>
-        <hr style="margin: 30px 0;">
-        <p style="color: #666;">
-          <strong>Environment:</strong><br>
-          OPENAI_KEY: ${process.env.OPENAI_KEY ? '✅ Set' : '❌ Missing'}<br>
-          SHOPIFY_TOKEN: ${process.env.SHOPIFY_TOKEN ? '✅ Set (Admin API)' : '❌ Missing'}
-        </p>
-        <p style="color: #666;">
-          <strong>Cache:</strong><br>
-          Ürünler: ${productCache ? productCache.length : 0}<br>
-          Durum: ${cacheStatus}<br>
-          Geçerlilik: ${CACHE_DURATION / 60000} dakika
-        </p>
-        <p style="font-size: 12px; color: #999;">
-          v5.0 - Dynamic Negative Filter + Full Description + Title Search
-        </p>
-        <p>
-          <a href="/api/vendors" style="color: #4CAF50;">Vendor Listesi</a>
-        </p>
-      </body>
-    </html>
-  `);
-});
+  if (animalChanged || categoryChanged) {
+    console.log('🔀 Yeni konu algılandı, önceki kriterler sıfırlandı');
+    return current;
+  }
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK',
-    api: 'Admin API',
-    version: '5.0',
-    features: [
-      'pagination', 
-      'cache', 
-      'dynamic-negative-filter',
-      'full-description',
-      'title-brand-search', 
-      'vendor-search'
-    ],
-    cache: {
-      products: productCache ? productCache.length : 0,
-      ageSeconds: cacheTime ? Math.floor((Date.now() - cacheTime) / 1000) : null,
-      validFor: CACHE_DURATION / 1000
-    },
-    timestamp: new Date()
-  });
-});
+  const union = (a, b) => [...new Set([...a, ...b])];
+  // Gruplar içerikleriyle karşılaştırılır ("kısır" iki mesajda geçerse tek grup)
+  const unionGroups = (a = [], b = []) => [...new Map([...a, ...b].map(group => [group.join('|'), group])).values()];
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`📡 Using Shopify Admin API with Pagination`);
-  console.log(`💾 Cache enabled (${CACHE_DURATION / 60000} minutes)`);
-  console.log(`🚫 Dynamic negative filtering enabled`);
-  console.log(`📝 Full product descriptions enabled`);
-  console.log(`🏷️ Title + Vendor based brand search enabled`);
-});
+  return {
+    animal: current.animal || previous.animal,
+    category: current.category || previous.category,
+    special: union(previous.special, current.special),
+    specialGroups: unionGroups(previous.specialGroups, current.specialGroups),
+    brandKeywords: union(previous.brandKeywords, current.brandKeywords),
+    freeText: union(previous.freeText, current.freeText),
+    exclude: union(previous.exclude, current.exclude),
+    price: mergePriceConstraint(previous.price, current.price),
+    size: current.size || previous.size,
+    composition: mergeCompositionConstraints(previous.composition, current.composition)
+  };
+}
 
-// ========== YARDIMCI FONKSİYONLAR ==========
+// Aynı konu ve yöndeki kısıtta son mesaj kazanır ("%10'dan az" → "%5'ten az")
+function mergeCompositionConstraints(previous = [], current = []) {
+  const kept = previous.filter(p => !current.some(c => c.subject === p.subject && c.op === p.op));
+  return [...kept, ...current];
+}
 
+function mergePriceConstraint(previous, current) {
+  if (!previous) return current;
+  return {
+    min: current.min !== null ? current.min : previous.min,
+    max: current.max !== null ? current.max : previous.max,
+    sort: current.sort || previous.sort,
+    cheaper: current.cheaper
+  };
+}
+
+// Hayvan, kategori, özel durum ve içerik kelimeleri sözlükten gelir (config/vocabulary.json, lib/vocabulary.js)
 function buildSearchTerms(message) {
-  const msg = message.toLowerCase();
+  const vocab = vocabulary.current();
+  const msg = toLowerTr(message);
+  // Ekli ("kedime") ve hatalı yazılmış ("mnama") kelimeler sözlükteki karşılıklarına çözülür
+  const { has } = createQueryMatcher(msg, vocab.queryWords);
   const terms = {
     animal: null,
     category: null,
     special: [],
+    specialGroups: [], // Aynı durumun eş anlamlıları bir grup: facet eşleşmesi durum başına sayılır
     brandKeywords: [],
     freeText: [],
-    exclude: [] // Hariç tutulacak HERHANGI BİR içerik
+    exclude: [], // Hariç tutulacak HERHANGI BİR içerik
+    price: parsePriceConstraint(msg), // { min, max, sort, cheaper }
+    size: parsePackageSize(msg), // "2 kg'lık" → { amount, unit, baseQuantity, baseUnit }
+    composition: parseCompositionConstraints(msg) // "protein %35 üstü" → [{ subject, type, op, value }]
   };
 
-  // Hayvan türü
-  if (msg.includes('kedi')) {
-    terms.animal = 'kedi';
-  } else if (msg.includes('köpek') || msg.includes('kopek')) {
-    terms.animal = 'köpek';
-  } else if (msg.includes('kuş') || msg.includes('kus')) {
-    terms.animal = 'kuş';
-  } else if (msg.includes('balık') || msg.includes('balik')) {
-    terms.animal = 'balık';
-  }
-
-  // Kategoriler
-  if (msg.includes('mama')) {
-    terms.category = 'mama';
-  } else if (msg.includes('ödül') || msg.includes('odul') || msg.includes('treat')) {
-    terms.category = 'ödül';
-  } else if (msg.includes('oyuncak')) {
-    terms.category = 'oyuncak';
-  } else if (msg.includes('krem') || msg.includes('şampuan') || msg.includes('sampuan')) {
-    terms.category = 'bakım';
-    if (msg.includes('krem')) terms.freeText.push('krem', 'cream');
-    if (msg.includes('şampuan') || msg.includes('sampuan')) terms.freeText.push('şampuan', 'shampoo');
-  } else if (msg.includes('tasma') || msg.includes('gezdirme')) {
-    terms.category = 'aksesuar';
-    terms.freeText.push('tasma', 'gezdirme', 'leash', 'collar');
-  } else if (msg.includes('kum') || msg.includes('tuvalet')) {
-    terms.category = 'hijyen';
-    terms.freeText.push('kum', 'litter', 'tuvalet');
-  } else if (msg.includes('tırnak') || msg.includes('tirnak')) {
-    terms.freeText.push('tırnak', 'nail', 'clipper', 'makas');
-  } else if (msg.includes('diş') || msg.includes('dis')) {
-    terms.freeText.push('diş', 'dental', 'tooth');
-  } else if (msg.includes('kulak')) {
-    terms.freeText.push('kulak', 'ear');
-  } else if (msg.includes('taşıma') || msg.includes('tasima') || msg.includes('çanta')) {
-    terms.freeText.push('taşıma', 'carrier', 'çanta');
+  // Hayvan türü (sözlükteki sırayla ilk eşleşen)
+  // "balık oranı %10'dan az" hayvan türü değil, içerik kısıtıdır
+  const animal = vocab.animals.find(a => has(...a.match) && !terms.composition.some(c => c.subject === a.name));
+  if (animal) {
+    terms.animal = animal.name;
+  }
+
+  // Kategoriler (ilk eşleşen kural); freeText eşleşen kelimeye göre de verilebilir ("krem" → "cream")
+  const categoryRule = vocab.categories.find(rule => has(...rule.match));
+  if (categoryRule) {
+    if (categoryRule.category) {
+      terms.category = categoryRule.category;
+    }
+    if (Array.isArray(categoryRule.freeText)) {
+      terms.freeText.push(...categoryRule.freeText);
+    } else if (categoryRule.freeText) {
+      categoryRule.match
+        .filter(word => has(word))
+        .forEach(word => terms.freeText.push(...(categoryRule.freeText[word] || [])));
+    }
   }
 
   // ========== DİNAMİK NEGATİF ALGILAMA ==========
   
   // NEGATİF KELİMELER
-  const negativeWords = ['yok', 'olmadan', 'içermesin', 'icermesin', 'hariç', 'haric', 'istemiyorum', 'istemem', 'değil', 'degil'];
+  const negativeWords = vocab.negativeWords;
   
   // 1. "-sız/-siz/-suz/-süz" ekleri: "tavuksuz", "tahılsız"
   const suffixPattern = /([\wğüşıöçĞÜŞİÖÇ]{3,})(sız|siz|suz|süz)/gi;
+  const negatedWords = []; // "tahılsız" marka kelimesi sayılmasın
   let match;
   
   while ((match = suffixPattern.exec(msg)) !== null) {
     const ingredient = match[1].toLowerCase();
     if (ingredient.length > 2) {
+      negatedWords.push(normalizeText(match[0]));
       terms.exclude.push(ingredient);
       const translations = getTranslations(ingredient);
       terms.exclude.push(...translations);
@@ -408,16 +2382,15 @@ function buildSearchTerms(message) {
   }
   
   // 2. NEGATİF CÜMLE: "tavuk içermesin", "patates yok"
-  const negativeRegex = new RegExp(
-    `([\\wğüşıöçĞÜŞİÖÇ]{3,})\\s*(${negativeWords.join('|')})`,
+  const negativeRegex = negativeWords.length > 0 && new RegExp(
+    `([\\wğüşıöçĞÜŞİÖÇ]{3,})\\s*(${negativeWords.map(escapeRegExp).join('|')})`,
     'gi'
   );
   
-  while ((match = negativeRegex.exec(msg)) !== null) {
+  while (negativeRegex && (match = negativeRegex.exec(msg)) !== null) {
     const ingredient = match[1].toLowerCase();
-    const stopWords = ['bir', 'bu', 'şu', 'ne', 'var', 'mi', 'mı', 'için', 'ürün', 'urun'];
     
-    if (ingredient.length > 2 && !stopWords.includes(ingredient)) {
+    if (ingredient.length > 2 && !vocab.negativeStopWords.includes(ingredient)) {
       terms.exclude.push(ingredient);
       const translations = getTranslations(ingredient);
       terms.exclude.push(...translations);
@@ -425,25 +2398,15 @@ function buildSearchTerms(message) {
   }
   
   // 3. "X-FREE": "grain-free", "gluten-free"
-  if (msg.includes('grain-free') || msg.includes('grain free') || msg.includes('tahılsız')) {
-    terms.exclude.push('tahıl', 'grain', 'buğday', 'wheat', 'mısır', 'corn', 'arpa', 'barley');
-  }
-  if (msg.includes('gluten-free') || msg.includes('gluten free') || msg.includes('glutensiz')) {
-    terms.exclude.push('gluten', 'glüten', 'buğday', 'wheat');
-  }
-  if (msg.includes('dairy-free') || msg.includes('dairy free')) {
-    terms.exclude.push('süt', 'dairy', 'milk', 'peynir', 'cheese', 'yoğurt', 'yogurt');
-  }
-  
-  // 4. "AZ X": "az tavuk", "düşük tavuk"
-  const lowContentRegex = /(az|düşük|dusuk|low|minimum)\s+([\\wğüşıöçĞÜŞİÖÇ]{3,})/gi;
-  while ((match = lowContentRegex.exec(msg)) !== null) {
-    const ingredient = match[2].toLowerCase();
-    if (ingredient.length > 2 && ingredient !== 'içerik' && ingredient !== 'icerik') {
-      terms.exclude.push(ingredient);
-      const translations = getTranslations(ingredient);
-      terms.exclude.push(...translations);
+  vocab.freeFrom.forEach(rule => {
+    if (has(...rule.match)) {
+      terms.exclude.push(...rule.exclude);
     }
+  });
+  
+  // 4. "AZ X" / "X oranı %10'dan az": hariç tutma değil, bileşim kısıtı (terms.composition)
+  if (terms.composition.length > 0) {
+    console.log(`📊 İçerik kısıtları: ${terms.composition.map(formatConstraint).join(', ')}`);
   }
   
   // Tekrarları temizle
@@ -455,337 +2418,400 @@ function buildSearchTerms(message) {
   }
 
   // MARKA TESPİTİ
-  const stopWords = [
-    'var', 'mi', 'mı', 'için', 'lazim', 'lazım', 'ne', 'nedir', 
-    'varmı', 'var mi', 'bir', 'bu', 'şu', 'o', 've', 'ile',
-    'çok', 'az', 'iyi', 'güzel', 'ucuz', 'pahalı', 'mnama'
-  ];
-  
-  const categoryWords = [
-    'kedi', 'köpek', 'kopek', 'mama', 'ödül', 'odul', 'oyuncak', 
-    'yaş', 'yas', 'kuş', 'kus', 'treat', 'food', 'kuru'
-  ];
+  const stopWords = vocab.stopWords.map(normalizeText);
+  const categoryWords = vocab.brandIgnoreWords;
   
-  const words = msg.split(' ').filter(w => 
-    w.length > 2 && 
-    !stopWords.includes(w) && 
-    !categoryWords.includes(w) &&
-    !negativeWords.includes(w)
-  );
+  // Fiyat/boyut/bileşim ifadeleri ham haliyle ayıklanır, kalanlar normalize edilir ("acana'nın" → "acana")
+  const foldedNegatives = negativeWords.map(normalizeText);
+  const foldedExcludes = terms.exclude.map(normalizeText);
+  const words = msg.split(/\s+/)
+    .filter(w => !isPriceWord(w) && !isSizeWord(w) && !isCompositionWord(w, terms.composition))
+    .flatMap(w => normalizeText(w.replace(/['’].*$/, '')).split(' '))
+    .filter(w => 
+      w.length > 2 && 
+      !stopWords.includes(w) && 
+      !foldedNegatives.includes(w) &&
+      !matchesAnyWord(w, categoryWords) // "kedime", "köpeğim", "mnama" de kategori kelimesi
+    );
   
-  terms.brandKeywords = words.filter(w => !terms.exclude.includes(w));
+  terms.brandKeywords = [...new Set(words.filter(w => !foldedExcludes.includes(w) && !negatedWords.includes(w)))];
 
   // Yaş aralığı
   const ageMatch = msg.match(/(\d+)\s*(yaş|yas|yaşında|yasinda|aylık|aylik)/);
   if (ageMatch) {
     const age = parseInt(ageMatch[1]);
+    const { seniorAge, terms: ageTerms } = vocab.lifeStages;
     
-    if (age < 1 || msg.includes('aylık') || msg.includes('aylik')) {
-      terms.special.push('yavru', 'kitten', 'puppy', 'junior');
-    } else if (age >= 7) {
-      terms.special.push('yaşlı', 'senior', '7+', 'mature');
-    } else {
-      terms.special.push('yetişkin', 'adult');
-    }
+    const stage = age < 1 || has('aylık') ? 'yavru' : age >= seniorAge ? 'yaşlı' : 'yetişkin';
+    terms.special.push(...ageTerms[stage]);
+    terms.specialGroups.push(ageTerms[stage]);
   }
 
-  // Özel durumlar
-  if (msg.includes('kısır') || msg.includes('kisir') || msg.includes('steril') || msg.includes('neutered')) {
-    terms.special.push('kısır', 'sterilised', 'neutered', 'steril');
-  }
-  
-  if (msg.includes('yavru') || msg.includes('puppy') || msg.includes('kitten')) {
-    terms.special.push('yavru', 'puppy', 'kitten', 'junior');
-  }
-  
-  if (msg.includes('tahılsız') || msg.includes('tahilsiz') || msg.includes('grain free')) {
-    terms.special.push('tahılsız', 'grain free', 'grainfree');
-    // Tahılsız = tahıl içermesin
-    if (!terms.exclude.includes('tahıl')) {
-      terms.exclude.push('tahıl', 'grain', 'buğday', 'wheat', 'mısır', 'corn');
+  // Özel durumlar ve sağlık ("kısır", "yavru", "böbrek"...)
+  // "15 kilo" paket boyutudur, kilo problemi değil: boyut ifadeleri çıkarılarak aranır
+  const msgWithoutSize = msg.replace(new RegExp(SIZE_REGEX.source, 'gi'), ' ');
+  const specialMatcher = createQueryMatcher(msgWithoutSize, vocab.queryWords);
+  vocab.specials.forEach(rule => {
+    // unless: "yaşlı" geçiyorsa "yaş mama" kuralı uygulanmaz
+    if (specialMatcher.has(...rule.match) && !(rule.unless && specialMatcher.has(...rule.unless))) {
+      terms.special.push(...rule.terms);
+      terms.specialGroups.push(rule.terms);
+    }
+  });
+
+  return terms;
+}
+
+// ========== FİYAT KISITLARI ==========
+
+const CURRENCY_PATTERN = "(?:tl|lira|₺)[\\wğüşıöç'’]*";
+const AMOUNT_PATTERN = '(\\d[\\d.,]*)';
+
+// "500 TL altı", "200-400 TL arası", "en fazla 300 lira", "en ucuz" → { min, max, sort, cheaper }
+function parsePriceConstraint(msg) {
+  const price = { min: null, max: null, sort: null, cheaper: false };
+  let match;
+
+  // Aralık: "200-400 TL", "200 ile 400 TL arası", "₺200 - 400 lira"
+  const rangeRegex = new RegExp(`₺?${AMOUNT_PATTERN}\\s*(?:${CURRENCY_PATTERN})?\\s*(?:-|–|ile|ila)\\s*₺?${AMOUNT_PATTERN}\\s*${CURRENCY_PATTERN}`);
+  if ((match = msg.match(rangeRegex))) {
+    const a = parseAmount(match[1]);
+    const b = parseAmount(match[2]);
+    price.min = Math.min(a, b);
+    price.max = Math.max(a, b);
+  } else {
+    // Üst sınır: "500 TL altı", "500 tl'den ucuz", "500 liraya kadar"
+    const maxAfter = new RegExp(`₺?${AMOUNT_PATTERN}\\s*${CURRENCY_PATTERN}\\s+(?:altı|alti|altında|altinda|az|ucuz|kadar)`);
+    // Üst sınır: "en fazla 500 TL", "max 500 tl", "bütçem 500 TL"
+    const maxBefore = new RegExp(`(?:^|\\s)(?:en fazla|en çok|en cok|max|maksimum|bütçem|butcem|bütçe|butce)\\s*:?\\s*₺?${AMOUNT_PATTERN}\\s*${CURRENCY_PATTERN}`);
+    // Alt sınır: "300 TL üstü", "300 tl'den pahalı"
+    const minAfter = new RegExp(`₺?${AMOUNT_PATTERN}\\s*${CURRENCY_PATTERN}\\s+(?:üstü|ustu|üzeri|uzeri|üstünde|ustunde|fazla|pahalı|pahali)`);
+    // Alt sınır: "en az 300 TL", "min 300 tl"
+    const minBefore = new RegExp(`(?:^|\\s)(?:en az|min|minimum)\\s*:?\\s*₺?${AMOUNT_PATTERN}\\s*${CURRENCY_PATTERN}`);
+
+    if ((match = msg.match(maxAfter) || msg.match(maxBefore))) {
+      price.max = parseAmount(match[1]);
+    }
+    if ((match = msg.match(minAfter) || msg.match(minBefore))) {
+      price.min = parseAmount(match[1]);
     }
-  }
-  
-  // YAŞLI vs YAŞ MAMA
-  if (msg.includes('yaşlı') || msg.includes('yasli') || msg.includes('senior')) {
-    terms.special.push('yaşlı', 'senior', '7+', 'mature', 'elderly');
-  } else if (msg.includes('yaş mama') || msg.includes('yas mama') || msg.includes('wet') || msg.includes('pouch')) {
-    terms.special.push('yaş', 'wet', 'pouch', 'konserve');
-  }
-  
-  if (msg.includes('kuru') || msg.includes('dry') || msg.includes('kibble')) {
-    terms.special.push('dry', 'kibble');
-  }
-  
-  if (msg.includes('hassas') || msg.includes('sensitive')) {
-    terms.special.push('hassas', 'sensitive');
-  }
-  
-  if (msg.includes('yetişkin') || msg.includes('adult')) {
-    terms.special.push('yetişkin', 'adult');
   }
 
-  // Sağlık
-  if (msg.includes('böbrek') || msg.includes('bobrek') || msg.includes('renal')) {
-    terms.special.push('böbrek', 'renal', 'kidney');
+  // Sıralama niyeti
+  if (msg.includes('en pahalı') || msg.includes('en pahali')) {
+    price.sort = 'desc';
+  } else if (/(ucuz|uygun fiyat|hesaplı|hesapli|ekonomik)/.test(msg)) {
+    price.sort = 'asc';
   }
-  if (msg.includes('idrar') || msg.includes('urinary')) {
-    terms.special.push('idrar', 'urinary');
+
+  // "daha ucuzu var mı?" → önceki önerilerden ucuz olanlar
+  if (msg.includes('daha ucuz') || msg.includes('daha uygun')) {
+    price.cheaper = true;
   }
-  if (msg.includes('kilo') || msg.includes('obez') || msg.includes('light')) {
-    terms.special.push('light', 'kilo', 'weight', 'obez');
+
+  if (price.min !== null || price.max !== null || price.sort) {
+    console.log(`💰 Fiyat kısıtı: min=${price.min}, max=${price.max}, sıralama=${price.sort || '-'}`);
   }
-  if (msg.includes('deri') || msg.includes('skin') || msg.includes('tüy') || msg.includes('tuy')) {
-    terms.special.push('deri', 'skin', 'coat', 'tüy');
+
+  return price;
+}
+
+// "1.500" → 1500, "1.299,90" → 1299.9, "249.90" → 249.9
+function parseAmount(text) {
+  let value = text.replace(/[.,]$/, '');
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(value)) {
+    value = value.replace(/\./g, '').replace(',', '.');
+  } else {
+    value = value.replace(',', '.');
   }
+  return parseFloat(value);
+}
 
-  return terms;
+// Fiyat ifadeleri marka araması sanılmasın: "500", "tl'den", "altı"
+function isPriceWord(word) {
+  const priceWords = ['altı', 'alti', 'altında', 'altinda', 'üstü', 'ustu', 'üzeri', 'uzeri', 'arası', 'arasi', 'kadar', 'fiyat', 'fiyatlı', 'fiyatli', 'uygun', 'ekonomik', 'bütçem', 'butcem', 'daha', 'max', 'min', 'fazla'];
+  return priceWords.includes(word) ||
+    /^₺?\d[\d.,]*(-₺?\d[\d.,]*)?(tl|₺)?$/.test(word) ||
+    new RegExp(`^${CURRENCY_PATTERN}$`).test(word) ||
+    /^(en )?(ucuz|pahal)/.test(word);
 }
 
-// İçerik çevirileri
+// Arama kriterleri verilirse seçilecek varyantın fiyatı, yoksa en düşük fiyat
+function getProductPrice(product, searchTerms) {
+  const variant = searchTerms ? selectVariant(product, searchTerms) : null;
+  if (variant) return parseFloat(variant.price) || 0;
+  return parseFloat(product.priceRange.minVariantPrice.amount) || 0;
+}
+
+// Herhangi bir varyantı bütçeye uyuyorsa ürün geçer
+function matchesPriceConstraint(product, price) {
+  if (!price || (price.min === null && price.max === null)) return true;
+  if (product.variants && product.variants.length > 0) {
+    return product.variants.some(v => matchesVariantPrice(v, price));
+  }
+  return matchesVariantPrice({ price: product.priceRange.minVariantPrice.amount }, price);
+}
+
+// İçerik çevirileri (sözlükteki "ingredients" tablosu): "tavuk" → ["chicken", "tavuklu", "poultry"]
 function getTranslations(ingredient) {
-  const translations = {
-    // Et türleri
-    'tavuk': ['chicken', 'tavuklu', 'poultry'],
-    'chicken': ['tavuk', 'tavuklu'],
-    'balık': ['fish', 'balıklı', 'salmon', 'somon', 'tuna', 'ton'],
-    'fish': ['balık', 'balıklı'],
-    'sığır': ['beef', 'dana', 'sığırlı'],
-    'beef': ['sığır', 'dana'],
-    'kuzu': ['lamb', 'kuzulu'],
-    'lamb': ['kuzu', 'kuzulu'],
-    'hindi': ['turkey', 'hindili'],
-    'turkey': ['hindi', 'hindili'],
-    'ördek': ['duck', 'ördekli'],
-    'domuz': ['pork', 'domuzlu'],
-    
-    // Tahıl ve karbonhidratlar
-    'tahıl': ['grain', 'tahıllı', 'cereal'],
-    'grain': ['tahıl', 'tahıllı'],
-    'buğday': ['wheat', 'buğdaylı'],
-    'wheat': ['buğday', 'buğdaylı'],
-    'mısır': ['corn', 'mısırlı', 'maize'],
-    'corn': ['mısır', 'mısırlı'],
-    'pirinç': ['rice', 'pirinçli'],
-    'rice': ['pirinç', 'pirinçli'],
-    'patates': ['potato', 'patatesli'],
-    'potato': ['patates', 'patatesli'],
-    'soya': ['soy', 'soyalı', 'soybean'],
-    'soy': ['soya', 'soyalı'],
-    'arpa': ['barley', 'arpalı'],
-    'yulaf': ['oat', 'yulaflı'],
-    
-    // Süt ürünleri
-    'süt': ['milk', 'dairy', 'sütlü'],
-    'milk': ['süt', 'sütlü'],
-    'dairy': ['süt', 'süt ürünü'],
-    'peynir': ['cheese', 'peynirli'],
-    'yoğurt': ['yogurt', 'yoğurtlu'],
-    
-    // Diğer
-    'gluten': ['glüten'],
-    'glüten': ['gluten'],
-    'yumurta': ['egg', 'yumurtalı'],
-    'egg': ['yumurta', 'yumurtalı']
+  return vocabulary.current().translate(ingredient);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Ürün metinleri sorgu ile aynı biçimde (normalizeText) bir kez hesaplanıp üründe saklanır
+function getSearchText(product) {
+  if (!product.searchText) {
+    const text = {
+      title: normalizeText(product.title),
+      vendor: normalizeText(product.vendor),
+      tags: normalizeText(product.tags.join(' ')),
+      productType: normalizeText(product.productType),
+      description: normalizeText(product.description)
+    };
+    text.all = [text.title, text.tags, text.productType, text.description].join(' ');
+    // Hariç tutma kontrolü için noktalamayla bölünmüş hali (olumsuzlama cümlecik dışına taşmaz)
+    text.clauses = splitClauses([product.title, product.tags.join(', '), product.productType, product.description].join('. '));
+    product.searchText = text;
+  }
+  return product.searchText;
+}
+
+// Skor ağırlıkları: her arama kriteri, indeksteki BM25 skoru (0-1) ile çarpılır
+const SCORE_WEIGHTS = {
+  brand: 50,
+  animal: 20,
+  category: 15,
+  freeText: 15,
+  special: 10,
+  // Koleksiyon / metafield eşleşmesi: aynı kriterin anahtar kelime skorundan (en fazla ağırlığı kadar) hep yüksek
+  facetAnimal: 30,
+  facetCategory: 25,
+  facetSpecial: 15,
+  // Stoktaki ürüne sabit puan (alaka sayılmaz, eşit skorlularda stoktaki öne geçer)
+  inStock: 3,
+  semantic: embeddingConfig.weight,
+  // Aynı sorgu tipinde sürekli tıklanan / sepete eklenen ürünlere en fazla bu kadar puan (0 = kapalı)
+  engagement: process.env.ENGAGEMENT_WEIGHT !== undefined ? parseFloat(process.env.ENGAGEMENT_WEIGHT) : 0
+};
+
+// Sorgudaki her kriterin indeks skorları bir kez hesaplanır (ürün başına tekrar edilmez)
+function scoreQueryTerms(index, searchTerms, semanticScores, engagementScores) {
+  const scoreAll = terms => terms.map(term => index.scoreTerm(term));
+  return {
+    brand: scoreAll(searchTerms.brandKeywords),
+    animal: scoreAll(searchTerms.animal ? [searchTerms.animal] : []),
+    category: scoreAll(searchTerms.category ? [searchTerms.category] : []),
+    freeText: scoreAll(searchTerms.freeText),
+    special: scoreAll(searchTerms.special),
+    semantic: semanticScores ? [normalizeSimilarities(semanticScores)] : [],
+    engagement: engagementScores ? [engagementScores] : [],
+    facets: createFacetQuery(searchTerms, {
+      animals: vocabulary.current().animals.map(a => a.name),
+      categories: vocabulary.current().categories.map(rule => rule.category).filter(Boolean)
+    })
   };
-  
-  return translations[ingredient.toLowerCase()] || [];
 }
 
-function smartFilter(products, searchTerms, originalMessage) {
-  const msg = originalMessage.toLowerCase();
-  
-  const filtered = products.filter(p => {
-    let score = 0;
-    const titleLower = p.title.toLowerCase();
-    const descLower = p.description.toLowerCase(); // TAM AÇIKLAMA!
-    const vendorLower = p.vendor.toLowerCase();
-    const allTags = p.tags.map(t => t.toLowerCase()).join(' ');
-    const productTypeLower = p.productType.toLowerCase();
-    const combined = titleLower + ' ' + allTags + ' ' + productTypeLower + ' ' + descLower;
-
-    // 0. NEGATİF FİLTRELEME - EN ÖNCELİKLİ!
-    if (searchTerms.exclude.length > 0) {
-      let excludeMatches = 0;
-      let foundExcludes = [];
-      
-      searchTerms.exclude.forEach(excludeWord => {
-        if (combined.includes(excludeWord)) {
-          excludeMatches++;
-          foundExcludes.push(excludeWord);
-        }
-      });
-      
-      if (excludeMatches > 0) {
-        score -= 100; // Yüksek ceza
-        console.log(`⛔ "${p.title.substring(0, 40)}" - İçeriyor: ${foundExcludes.join(', ')}`);
-      }
-    }
+// Benzerlikler en iyi sonuca göre 0-1 aralığına çekilir (sağlayıcılar farklı ölçekte döner)
+function normalizeSimilarities(scores) {
+  const max = Math.max(0, ...scores.values());
+  const normalized = new Map();
+  if (max > 0) {
+    scores.forEach((similarity, id) => normalized.set(id, similarity / max));
+  }
+  return normalized;
+}
 
-    // 1. MARKA KONTROLÜ (VENDOR + TITLE)
-    if (searchTerms.brandKeywords.length > 0) {
-      searchTerms.brandKeywords.forEach(keyword => {
-        if (vendorLower && vendorLower === keyword) {
-          score += 50;
-        } else if (vendorLower && (vendorLower.includes(keyword) || keyword.includes(vendorLower))) {
-          score += 45;
-        } else if (titleLower.includes(keyword)) {
-          score += 48;
-        } else if (allTags.includes(keyword)) {
-          score += 15;
-        } else if (descLower.includes(keyword)) {
-          score += 10;
-        }
-      });
-    }
+// semanticScores: vektör aramasından Map(id → benzerlik); anahtar kelime skoruyla birleştirilir
+// engagementScores: aynı sorgu tipindeki etkileşimden Map(id → -1..1)
+function smartFilter(products, searchTerms, originalMessage, index = createSearchIndex(products), semanticScores = null, engagementScores = null) {
+  const started = Date.now();
+  const scored = scoreProducts(products, searchTerms, index, semanticScores, engagementScores)
+    .filter(s => s.score > 0); // Sadece pozitif skorlu ürünler
+  scored.sort((a, b) => b.score - a.score);
+  sortRelevantByPrice(scored, searchTerms);
 
-    // 2. Hayvan türü
-    if (searchTerms.animal) {
-      const animalMatch = 
-        productTypeLower.includes(searchTerms.animal) ||
-        allTags.includes(searchTerms.animal) ||
-        titleLower.includes(searchTerms.animal);
-      
-      if (animalMatch) {
-        score += 20;
-      } else {
-        score -= 5;
-      }
-    }
+  // Debug logging
+  console.log(`🎯 İlk 5 ürün skorları (${products.length} ürün, ${Date.now() - started} ms):`);
+  scored.slice(0, 5).forEach(({ product: p, score }, i) => {
+    console.log(`  ${i + 1}. ${p.title.substring(0, 50)} - Skor: ${score.toFixed(1)} - Vendor: ${p.vendor || '(BOŞ)'}`);
+  });
 
-    // 3. Kategori
-    if (searchTerms.category) {
-      const catMatch = 
-        allTags.includes(searchTerms.category) ||
-        titleLower.includes(searchTerms.category) ||
-        productTypeLower.includes(searchTerms.category);
-      
-      if (catMatch) score += 15;
-    }
+  return scored.map(s => s.product);
+}
 
-    // 4. Serbest metin
-    if (searchTerms.freeText.length > 0) {
-      let freeTextMatches = 0;
-      searchTerms.freeText.forEach(keyword => {
-        if (combined.includes(keyword)) {
-          freeTextMatches++;
-        }
-      });
-      
-      if (freeTextMatches > 0) {
-        score += freeTextMatches * 15;
-      }
-    }
+// Kesin filtrelerden geçen ürünler skorlarıyla: [{ product, score, facets }] (sırasız, skor negatif olabilir)
+function scoreProducts(products, searchTerms, index, semanticScores = null, engagementScores = null) {
+  const termScores = scoreQueryTerms(index, searchTerms, semanticScores, engagementScores);
 
-    // 5. Özel durumlar
-    if (searchTerms.special.length > 0) {
-      let specialMatches = 0;
-      searchTerms.special.forEach(keyword => {
-        if (combined.includes(keyword)) {
-          specialMatches++;
-        }
-      });
-      
-      if (specialMatches > 0) {
-        score += specialMatches * 10;
-      }
-    }
+  const scored = [];
+  let facetMatches = 0;
+  products.forEach(p => {
+    // Fiyat ve bileşim kısıtı kesin filtredir (bütçe dışı ürün hiç gösterilmez)
+    if (!matchesPriceConstraint(p, searchTerms.price)) return;
+    if (scoreComposition(p, searchTerms.composition) === null) return;
 
-    // 6. Stokta olmalı
-    if (p.availableForSale) {
-      score += 3;
-    }
+    // Koleksiyonu / metafield'ı başka bir türü ya da kategoriyi gösteren ürün de elenir
+    const facets = matchFacets(p, termScores.facets);
+    if (facets.animal === 'mismatch' || facets.category === 'mismatch') return;
+    if (facets.animal === 'match' || facets.category === 'match' || facets.specials > 0) facetMatches++;
 
-    return score > 0; // Sadece pozitif skorlu ürünler
-  })
-  .sort((a, b) => {
-    const scoreA = calculateScore(a, searchTerms, originalMessage);
-    const scoreB = calculateScore(b, searchTerms, originalMessage);
-    return scoreB - scoreA;
+    scored.push({ product: p, score: calculateScore(p, searchTerms, termScores, facets), facets });
   });
 
-  // Debug logging
-  console.log(`🎯 İlk 5 ürün skorları:`);
-  filtered.slice(0, 5).forEach((p, i) => {
-    const score = calculateScore(p, searchTerms, originalMessage);
-    console.log(`  ${i + 1}. ${p.title.substring(0, 50)} - Skor: ${score} - Vendor: ${p.vendor || '(BOŞ)'}`);
-  });
+  if (facetMatches > 0) {
+    console.log(`🏷️ Koleksiyon/metafield eşleşmesi: ${facetMatches} ürün`);
+  }
+  return scored;
+}
 
-  return filtered;
+// "En ucuz" / "en pahalı": alakalı ürünler (en iyi skorun yarısı ve üstü) fiyata göre sıralanır.
+// scored skora göre sıralı olmalı, yerinde değiştirilir
+function sortRelevantByPrice(scored, searchTerms) {
+  if (!searchTerms.price || !searchTerms.price.sort || scored.length === 0) return;
+
+  const topScore = scored[0].score;
+  const relevant = scored.filter(s => s.score >= topScore / 2);
+  const rest = scored.slice(relevant.length);
+  const direction = searchTerms.price.sort === 'desc' ? -1 : 1;
+
+  relevant.sort((a, b) => (getProductPrice(a.product, searchTerms) - getProductPrice(b.product, searchTerms)) * direction);
+  scored.splice(0, scored.length, ...relevant, ...rest);
 }
 
-function calculateScore(product, searchTerms, originalMessage) {
+// Tek skor fonksiyonu: termScores, scoreQueryTerms ile aynı sorgu için hesaplanmış indeks skorlarıdır
+// facets: matchFacets sonucu; eşleşen facet o kriterin anahtar kelime skorunun yerine geçer
+function calculateScore(product, searchTerms, termScores, facets = matchFacets(product, termScores.facets)) {
   let score = 0;
-  const titleLower = product.title.toLowerCase();
-  const vendorLower = product.vendor.toLowerCase();
-  const descLower = product.description.toLowerCase();
-  const allTags = product.tags.map(t => t.toLowerCase()).join(' ');
-  const productTypeLower = product.productType.toLowerCase();
-  const combined = titleLower + ' ' + allTags + ' ' + productTypeLower + ' ' + descLower;
-
-  // 0. NEGATİF FİLTRELEME
+  const termScore = (scores, weight) => scores.reduce((sum, s) => sum + (s.get(product.id) || 0) * weight, 0);
+
+  // 0. NEGATİF FİLTRELEME - EN ÖNCELİKLİ! (ekli geçişler de sayılır, "tahılsız" / "grain free" sayılmaz)
   if (searchTerms.exclude.length > 0) {
-    searchTerms.exclude.forEach(excludeWord => {
-      if (combined.includes(excludeWord)) {
-        score -= 100;
-      }
-    });
-  }
+    const foundExcludes = findExcludedIngredients(product, searchTerms.exclude);
 
-  // 1. Vendor + Title
-  searchTerms.brandKeywords.forEach(keyword => {
-    if (vendorLower && vendorLower === keyword) {
-      score += 50;
-    } else if (vendorLower && (vendorLower.includes(keyword) || keyword.includes(vendorLower))) {
-      score += 45;
-    } else if (titleLower.includes(keyword)) {
-      score += 48;
+    if (foundExcludes.length > 0) {
+      score -= 100 * foundExcludes.length; // Yüksek ceza
+      console.log(`⛔ "${product.title.substring(0, 40)}" - İçeriyor: ${foundExcludes.join(', ')}`);
     }
-  });
+  }
 
-  // 2. Hayvan
-  if (searchTerms.animal && combined.includes(searchTerms.animal)) {
-    score += 20;
+  // 1. MARKA KONTROLÜ (VENDOR + TITLE, yazım hatası toleranslı)
+  score += termScore(termScores.brand, SCORE_WEIGHTS.brand);
+
+  // 2. Hayvan türü (koleksiyon/metafield kesin, yoksa metin)
+  if (facets.animal === 'match') {
+    score += SCORE_WEIGHTS.facetAnimal;
+  } else if (searchTerms.animal) {
+    const animalScore = termScore(termScores.animal, SCORE_WEIGHTS.animal);
+    score += animalScore > 0 ? animalScore : -5;
   }
 
-  // 3. Kategori
-  if (searchTerms.category && combined.includes(searchTerms.category)) {
-    score += 15;
+  // 3. Kategori: istenen kategoride olmayan ürün (mama aranırken oyuncak) başka türün ürünlerinin de altına düşer
+  if (facets.category === 'match') {
+    score += SCORE_WEIGHTS.facetCategory;
+  } else if (searchTerms.category) {
+    const categoryScore = termScore(termScores.category, SCORE_WEIGHTS.category);
+    score += categoryScore > 0 ? categoryScore : -SCORE_WEIGHTS.category;
   }
 
   // 4. Serbest metin
-  searchTerms.freeText.forEach(keyword => {
-    if (combined.includes(keyword)) {
-      score += 15;
-    }
-  });
+  score += termScore(termScores.freeText, SCORE_WEIGHTS.freeText);
 
-  // 5. Özel
-  searchTerms.special.forEach(keyword => {
-    if (combined.includes(keyword)) {
-      score += 10;
+  // 5. Özel durumlar: metin skoru + facet'te eşleşen her durum için ek puan
+  score += termScore(termScores.special, SCORE_WEIGHTS.special) + facets.specials * SCORE_WEIGHTS.facetSpecial;
+
+  // 6. Paket boyutu ("2 kg'lık")
+  if (searchTerms.size && hasMatchingSize(product, searchTerms.size)) {
+    score += 20;
+  }
+
+  // 7. Stokta olmalı
+  if (product.availableForSale) {
+    score += SCORE_WEIGHTS.inStock;
+  }
+
+  // 8. Bileşim kısıtları ("protein %35 üstü")
+  score += scoreComposition(product, searchTerms.composition) || 0;
+
+  // 9. Anlamsal benzerlik ("tüy dökümü" → "deri ve tüy sağlığı")
+  score += termScore(termScores.semantic, SCORE_WEIGHTS.semantic);
+
+  // 10. Müşteri etkileşimi: sadece zaten alakalı ürünlerin sırasını değiştirir
+  if (score > 0) {
+    score += termScore(termScores.engagement, SCORE_WEIGHTS.engagement);
+  }
+
+  return score;
+}
+
+// Bileşim kısıtlarının skor katkısı; kısıtı ihlal eden ürün için null
+function scoreComposition(product, constraints) {
+  if (!constraints || constraints.length === 0) return 0;
+
+  let score = 0;
+  for (const constraint of constraints) {
+    const result = evaluateConstraint(product, constraint);
+    if (result === false) {
+      return null;
     }
-  });
-  
+    score += result === true ? 25 : -10; // null: içerik geçiyor ama oranı bilinmiyor
+  }
   return score;
 }
 
-function generateSystemPrompt(products, domain, searchTerms) {
+function generateSystemPrompt(products, domain, searchTerms, options = {}) {
   // Hariç tutulan içerikleri AI'ya bildir
   const excludeWarning = searchTerms.exclude.length > 0 
     ? `\n⚠️ KULLANICI ŞU İÇERİKLERİ İSTEMİYOR: ${searchTerms.exclude.join(', ')}\nBu içerikleri içeren ürünleri ASLA önerme!\n`
     : '';
 
-  return `Sen Laylapet'in AI danışmanısın! 🐾 Türkçe konuş, profesyonel ama samimi ol.
-${excludeWarning}
+  // Bütçe bilgisini AI'ya bildir
+  const price = searchTerms.price || { min: null, max: null, sort: null };
+  let budgetWarning = '';
+  if (price.min !== null && price.max !== null) {
+    budgetWarning = `\n💰 KULLANICININ BÜTÇESİ: ${price.min} - ${price.max} TL arası. Bu aralık dışındaki ürünleri ASLA önerme!\n`;
+  } else if (price.max !== null) {
+    budgetWarning = `\n💰 KULLANICININ BÜTÇESİ: en fazla ${price.max.toFixed(2)} TL. Daha pahalı ürünleri ASLA önerme!\n`;
+  } else if (price.min !== null) {
+    budgetWarning = `\n💰 KULLANICI ${price.min} TL ve üstü ürünler istiyor.\n`;
+  }
+  if (price.sort === 'asc') {
+    budgetWarning += '💸 Kullanıcı uygun fiyatlı ürün arıyor: en ucuz seçenekleri öne çıkar.\n';
+  } else if (price.sort === 'desc') {
+    budgetWarning += '💎 Kullanıcı premium ürün arıyor: en pahalı seçenekleri öne çıkar.\n';
+  }
+
+  // Bileşim kısıtlarını AI'ya bildir
+  const compositionWarning = searchTerms.composition && searchTerms.composition.length > 0
+    ? `\n📊 İÇERİK KISITLARI: ${searchTerms.composition.map(formatConstraint).join(', ')}\nÜrünlerin 🧪 satırındaki oranlara bak; oranı bilinmeyen ürünlerde bunu belirt.\n`
+    : '';
+
+  // Evcil hayvan profili: AI hayvandan adıyla bahsetsin
+  const petInfo = options.pet
+    ? `\n🐾 EVCİL HAYVAN PROFİLİ: ${describePet(options.pet)}\nYanıtta ondan adıyla (${options.pet.name}) bahset; yaşına, alerjilerine ve sağlık durumuna uygun ürünler öner.\n`
+    : '';
+
+  // Yanıt dili: giriş müşterinin dilinde, Türkçe değilse ayrıca açıkça belirtilir
+  const language = options.language || 'tr';
+  const languageRule = language !== 'tr'
+    ? `\n🌍 YANIT DİLİ: Müşteri ${LANGUAGE_NAMES[language]} yazıyor. Yanıtın tamamını${options.structured ? ' (reason alanları dahil)' : ''} ${LANGUAGE_NAMES[language]} yaz; ürün adlarını, fiyatları ve linkleri değiştirme.\n`
+    : '';
+
+  return `${getReply(language, 'promptIntro')}
+${languageRule}${petInfo}${excludeWarning}${budgetWarning}${compositionWarning}
 MEVCUT ÜRÜNLER (${products.length} adet - ÇEŞİTLİ FİYAT VE MARKA SEÇENEKLERDEN):
 ${products.map((p, i) => `
 ${i + 1}. **${p.title}**
+   🆔 ID: ${p.id}
    🏷️ Marka: ${p.vendor || 'Belirtilmemiş'}
-   💰 ${parseFloat(p.priceRange.minVariantPrice.amount).toFixed(2)} TL
-   📦 ${p.productType}
+   💰 ${formatVariantPrice(p)}${formatVariantOptions(p)}
+   📦 ${p.productType}${formatComposition(p.composition) ? `
+   🧪 ${formatComposition(p.composition)}` : ''}
    📝 ${p.descriptionShort}${p.description.length > 150 ? '...' : ''}
-   🔗 https://${domain}/products/${p.handle}
+   🔗 https://${domain}/products/${p.handle}${p.selectedVariant ? `?variant=${p.selectedVariant.id}` : ''}
 `).join('\n')}
 
 KURALLAR:
@@ -796,7 +2822,7 @@ KURALLAR:
 5. Marka bilgilerini vurgula
 6. ÇEŞİTLİLİK SAĞLA: Farklı fiyat ve içerik seçenekleri sun
 7. Her ürün için kısa açıklama yap (neden uygun, içeriği ne)
-8. Fiyatları belirt ve karşılaştır
+8. Fiyatları belirt ve karşılaştır (paket boyutu ve kg/litre fiyatıyla)
 9. Link ver: [Ürün Adı](URL)
 10. Emoji kullan (🐱 🐶 ⭐ 💝 ✅)
 11. Maksimum 200 kelime
@@ -804,64 +2830,97 @@ KURALLAR:
 ÖNEMLİ: 
 - Sadece yukarıdaki ürünlerden öner!
 - Kullanıcının istediği içeriklere sahip ürünleri öner!
-- İçerik bilgilerini açıklamadan oku ve belirt!`;
+- İçerik bilgilerini açıklamadan oku ve belirt!${options.structured ? `
+
+YANIT FORMATI (JSON):
+- "reply": Kullanıcıya gösterilecek mesaj (yukarıdaki kurallara uygun, markdown)
+- "recommendations": reply'da önerdiğin ürünler, aynı sırayla: [{ "id": "<🆔 ID>", "reason": "<kısa neden>" }]
+- Sadece listedeki ID'leri kullan, en fazla 3 ürün` : ''}`;
+}
+
+// "850.00 TL (2 kg, 425.00 TL/kg) ~~900.00 TL~~"
+function formatVariantPrice(product) {
+  const variant = product.selectedVariant;
+  if (!variant) {
+    return `${parseFloat(product.priceRange.minVariantPrice.amount).toFixed(2)} TL`;
+  }
+
+  const details = [];
+  if (variant.size) details.push(`${variant.size.amount} ${variant.size.unit}`);
+  if (variant.unitPrice) details.push(`${variant.unitPrice.amount} TL/${variant.unitPrice.unit}`);
+  if (!variant.available) details.push('stokta yok');
+
+  let text = `${parseFloat(variant.price).toFixed(2)} TL`;
+  if (details.length > 0) text += ` (${details.join(', ')})`;
+  if (variant.compareAtPrice && parseFloat(variant.compareAtPrice) > parseFloat(variant.price)) {
+    text += ` ~~${parseFloat(variant.compareAtPrice).toFixed(2)} TL~~ indirimde`;
+  }
+  return text;
+}
+
+// Diğer paket seçenekleri: "400 g: 320.00 TL (stokta yok), 2 kg: 850.00 TL"
+function formatVariantOptions(product) {
+  const others = (product.variants || []).filter(v => !product.selectedVariant || v.id !== product.selectedVariant.id);
+  if (others.length === 0) return '';
+
+  const list = others
+    .slice(0, 4)
+    .map(v => `${v.title}: ${parseFloat(v.price).toFixed(2)} TL${v.available ? '' : ' (stokta yok)'}`)
+    .join(', ');
+  return `\n   📏 Diğer seçenekler: ${list}`;
+}
+
+// Widget'a dönen ürün kartı (seçili varyant bilgisiyle)
+function toProductCard(p) {
+  const variant = p.selectedVariant || null;
+  return {
+    id: p.id,
+    title: p.title,
+    handle: p.handle,
+    price: parseFloat(variant ? variant.price : p.priceRange.minVariantPrice.amount).toFixed(2),
+    currency: p.priceRange.minVariantPrice.currencyCode,
+    image: p.featuredImage?.url || '',
+    vendor: p.vendor || '',
+    variantId: variant ? variant.id : null,
+    variantTitle: variant ? variant.title : null,
+    compareAtPrice: variant && variant.compareAtPrice ? parseFloat(variant.compareAtPrice).toFixed(2) : null,
+    unitPrice: variant ? variant.unitPrice : null,
+    available: variant ? variant.available : p.availableForSale
+  };
 }
 
-function extractProducts(reply, allProducts, sessionId = 'default') {
+// Önerilen ürün ID'lerini kartlara çevir; AI'ya gönderilmeyen ID'ler reddedilir
+function extractProducts(selections, allProducts) {
+  const productsById = new Map(allProducts.map(p => [p.id, p]));
   const recommended = [];
-  
-  const recent = recentRecommendations.get(sessionId) || [];
-  
-  allProducts.forEach(p => {
-    const titleMatch = reply.includes(p.title);
-    const handleMatch = reply.includes(p.handle);
-    
-    if ((titleMatch || handleMatch) && 
-        recommended.length < 3 && 
-        !recent.includes(p.id)) {
-      recommended.push({
-        title: p.title,
-        handle: p.handle,
-        price: parseFloat(p.priceRange.minVariantPrice.amount).toFixed(2),
-        currency: p.priceRange.minVariantPrice.currencyCode,
-        image: p.featuredImage?.url || '',
-        vendor: p.vendor || ''
-      });
+
+  selections.forEach(selection => {
+    const product = productsById.get(String(selection.id));
+
+    if (!product) {
+      console.warn(`⚠️ Listede olmayan ürün ID'si reddedildi: ${selection.id}`);
+      return;
+    }
+
+    if (recommended.length < 3 && !recommended.some(r => r.id === product.id)) {
+      recommended.push({ ...toProductCard(product), reason: selection.reason || '' });
     }
   });
-  
-  if (recommended.length < 3) {
-    allProducts.forEach(p => {
-      const titleMatch = reply.includes(p.title);
-      const handleMatch = reply.includes(p.handle);
-      
-      if ((titleMatch || handleMatch) && recommended.length < 3) {
-        const alreadyAdded = recommended.some(r => r.handle === p.handle);
-        if (!alreadyAdded) {
-          recommended.push({
-            title: p.title,
-            handle: p.handle,
-            price: parseFloat(p.priceRange.minVariantPrice.amount).toFixed(2),
-            currency: p.priceRange.minVariantPrice.currencyCode,
-            image: p.featuredImage?.url || '',
-            vendor: p.vendor || ''
-          });
-        }
-      }
-    });
-  }
-  
-  const productIds = recommended.map(r => r.handle);
-  const updatedRecent = [...recent, ...productIds].slice(-15);
-  recentRecommendations.set(sessionId, updatedRecent);
-  
-  if (recentRecommendations.size > 1000) {
-    const entries = Array.from(recentRecommendations.entries());
-    recentRecommendations.clear();
-    entries.slice(-500).forEach(([key, value]) => {
-      recentRecommendations.set(key, value);
-    });
-  }
-  
+
   return recommended;
-}
\ No newline at end of file
+}
+
+// Yedek yöntem: yanıt metninde başlığı veya handle'ı geçen ürünler
+function matchProductsInReply(reply, allProducts) {
+  return allProducts
+    .filter(p => reply.includes(p.title) || reply.includes(p.handle))
+    .map(p => ({ id: p.id, reason: '' }));
+}
+
+module.exports = {
+  app,
+  buildSearchTerms,
+  smartFilter,
+  findExcludedIngredients,
+  loadFixtureProducts
+};
\ No newline at end of file
@@ -0,0 +1,219 @@
+// ========== SOHBET ANALİTİĞİ ==========
+//
+// Her sohbet turu günlük JSON Lines dosyasına eklenir (data/analytics/turns-YYYY-MM-DD.jsonl, UTC gün).
+// Raporlar tarih aralığındaki dosyalar satır satır okunarak hesaplanır; ayrı bir veritabanı gerekmez.
+//
+//   analytics.record({ id, shop, query, searchTerms, filtered, recommended, latencyMs, usage, ... })
+//   await analytics.report({ from: '2026-01-01', to: '2026-01-31', shop, limit })
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^turns-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_LIMIT = 20;
+
+// Tek bölüm raporları: /api/admin/analytics/<isim> → rapordaki alan
+const REPORT_SECTIONS = {
+  queries: 'topQueries',
+  'zero-results': 'zeroResultQueries',
+  products: 'topProducts',
+  vendors: 'topVendors',
+  exclusions: 'exclusions',
+  languages: 'languages'
+};
+
+function toDay(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+function isValidDay(day) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(day)) && !isNaN(new Date(day).getTime());
+}
+
+// from/to (YYYY-MM-DD, dahil) → gün listesi; varsayılan son 7 gün. Hatalıysa { error }
+function resolveRange({ from, to } = {}) {
+  if ((from && !isValidDay(from)) || (to && !isValidDay(to))) {
+    return { error: 'from/to YYYY-MM-DD biçiminde olmalı' };
+  }
+
+  const end = to || toDay(Date.now());
+  const start = from || toDay(new Date(end).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (start > end) {
+    return { error: 'from, to tarihinden sonra olamaz' };
+  }
+
+  const days = [];
+  for (let time = new Date(start).getTime(); time <= new Date(end).getTime(); time += DAY_MS) {
+    days.push(toDay(time));
+    if (days.length > MAX_RANGE_DAYS) {
+      return { error: `En fazla ${MAX_RANGE_DAYS} günlük aralık raporlanabilir` };
+    }
+  }
+  return { from: start, to: end, days };
+}
+
+// Sayaç: anahtar → { count, ...ek alanlar }; sıralı ilk N listesi döner
+function createCounter() {
+  const items = new Map();
+  return {
+    add(key, extra = {}) {
+      if (!key) return;
+      const item = items.get(key) || { count: 0 };
+      item.count++;
+      Object.assign(item, extra);
+      items.set(key, item);
+    },
+    top(limit, keyName) {
+      return [...items.entries()]
+        .sort((a, b) => b[1].count - a[1].count || (a[0] < b[0] ? -1 : 1))
+        .slice(0, limit)
+        .map(([key, item]) => ({ [keyName]: key, ...item }));
+    }
+  };
+}
+
+function createAnalyticsStore({ dir, retentionDays = 90 }) {
+  let pendingWrite = Promise.resolve();
+  let lastPrunedDay = null;
+
+  function fileFor(day) {
+    return path.join(dir, `turns-${day}.jsonl`);
+  }
+
+  // Saklama süresini aşan günlük dosyalar silinir (günde bir kez)
+  async function prune(today) {
+    if (!(retentionDays > 0) || lastPrunedDay === today) return;
+    lastPrunedDay = today;
+
+    const oldest = toDay(new Date(today).getTime() - retentionDays * DAY_MS);
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    for (const file of files) {
+      const match = file.match(FILE_PATTERN);
+      if (match && match[1] < oldest) {
+        await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+      }
+    }
+  }
+
+  // Yanıtı bekletmez; yazmalar sıraya alınır
+  function record(turn) {
+    const entry = { time: new Date().toISOString(), ...turn };
+    const day = toDay(entry.time);
+
+    pendingWrite = pendingWrite.then(async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(fileFor(day), JSON.stringify(entry) + '\n');
+      await prune(day);
+    }).catch(error => {
+      console.error(`❌ Analitik kaydı yazılamadı (${dir}):`, error.message);
+    });
+    return pendingWrite;
+  }
+
+  async function readDay(day, onTurn) {
+    const file = fileFor(day);
+    if (!fs.existsSync(file)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        onTurn(JSON.parse(line));
+      } catch (error) {
+        // Yarım kalmış satır (ani kapanma) raporu bozmasın
+      }
+    }
+  }
+
+  // Tarih aralığındaki turları okur ve özetler. shop verilirse sadece o mağaza
+  async function report({ from, to, shop = null, limit = DEFAULT_LIMIT } = {}) {
+    const range = resolveRange({ from, to });
+    if (range.error) return { error: range.error };
+
+    // Okunmamış kayıt kalmasın
+    await pendingWrite;
+
+    const queries = createCounter();
+    const zeroResults = createCounter();
+    const products = createCounter();
+    const vendors = createCounter();
+    const exclusions = createCounter();
+    const languages = createCounter();
+    const sessions = new Set();
+    const latencies = [];
+    const tokens = { prompt: 0, completion: 0, total: 0 };
+    const totals = { turns: 0, zeroResults: 0, errors: 0, withRecommendations: 0 };
+
+    for (const day of range.days) {
+      await readDay(day, turn => {
+        if (shop && turn.shop !== shop) return;
+
+        totals.turns++;
+        if (turn.session) sessions.add(turn.session);
+        if (turn.error) totals.errors++;
+        if (typeof turn.latencyMs === 'number') latencies.push(turn.latencyMs);
+        if (turn.usage) {
+          tokens.prompt += turn.usage.prompt_tokens || 0;
+          tokens.completion += turn.usage.completion_tokens || 0;
+          tokens.total += turn.usage.total_tokens || 0;
+        }
+
+        queries.add(turn.query, { lastSeen: turn.time });
+        languages.add(turn.language || 'tr');
+        if (turn.filtered === 0) {
+          totals.zeroResults++;
+          zeroResults.add(turn.query, { lastSeen: turn.time });
+        }
+
+        const recommended = turn.recommended || [];
+        if (recommended.length > 0) totals.withRecommendations++;
+        recommended.forEach(product => {
+          products.add(product.handle, { title: product.title });
+          vendors.add(product.vendor);
+        });
+
+        ((turn.searchTerms && turn.searchTerms.exclude) || []).forEach(term => exclusions.add(term));
+      });
+    }
+
+    latencies.sort((a, b) => a - b);
+    const percentile = p => (latencies.length > 0 ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))] : null);
+
+    return {
+      from: range.from,
+      to: range.to,
+      shop,
+      totals: {
+        ...totals,
+        sessions: sessions.size,
+        zeroResultRate: totals.turns > 0 ? Math.round(totals.zeroResults / totals.turns * 1000) / 1000 : 0
+      },
+      latencyMs: {
+        avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+        p50: percentile(0.5),
+        p95: percentile(0.95)
+      },
+      tokens,
+      topQueries: queries.top(limit, 'query'),
+      zeroResultQueries: zeroResults.top(limit, 'query'),
+      topProducts: products.top(limit, 'handle'),
+      topVendors: vendors.top(limit, 'vendor'),
+      exclusions: exclusions.top(limit, 'term'),
+      languages: languages.top(limit, 'language')
+    };
+  }
+
+  return {
+    record,
+    report
+  };
+}
+
+module.exports = {
+  REPORT_SECTIONS,
+  createAnalyticsStore
+};
@@ -0,0 +1,123 @@
+// ========== SEPET (CART PERMALINK / AJAX CART) ==========
+//
+// Önerilen ürünlerin varyantları tek linkle sepete eklenip ödemeye geçilebilir:
+//   https://<mağaza>/cart/<varyant id>:<adet>,<varyant id>:<adet>   (Shopify cart permalink, doğrudan checkout)
+// Tema içindeki widget aynı kalemleri Ajax Cart API'ye de gönderebilir:
+//   fetch('/cart/add.js', { method: 'POST', body: JSON.stringify(cart.ajax.body) })
+//
+// Sohbette "bu üçünü sepete ekle", "ilkinden 2 tane sepete at", "add the first one to cart"
+// son önerilen ürünlerden sepet linki üretir (parseCartIntent).
+
+const { toLowerTr } = require('./normalize');
+
+const MAX_ITEMS = 10;
+const MAX_QUANTITY = 20;
+
+// Sepete ekleme isteği: fiil + sepet ("sepete ekle", "add to cart", "in den Warenkorb legen", "أضف إلى السلة")
+const CART_INTENTS = [
+  /sepet\S*\s+(ekle|at|koy)/,
+  /\b(add|put)\b.*\b(cart|basket)\b/,
+  /\bbuy (it|them|these|this|all|both)\b/,
+  /warenkorb.*\b(leg|pack|hinzu|tu)|\b(leg|pack|füg|tu)\w*\b.*warenkorb/,
+  /(أضف|اضف|ضع|أضيف).*سل[ةه]/
+];
+
+// Sıra ifadeleri (son önerilen ürünlerdeki yeri, -1: sonuncu)
+const ORDINALS = [
+  { index: 0, words: ['ilk', 'ilki', 'ilkini', 'ilkinden', 'birinci', 'birinciyi', 'birinciden', 'first', 'erste', 'ersten', 'erstes', 'الأول', 'الاول'] },
+  { index: 1, words: ['ikinci', 'ikinciyi', 'ikincisini', 'ikinciden', 'second', 'zweite', 'zweiten', 'zweites', 'الثاني'] },
+  { index: 2, words: ['üçüncü', 'üçüncüyü', 'üçüncüsünü', 'üçüncüden', 'third', 'dritte', 'dritten', 'drittes', 'الثالث'] },
+  { index: -1, words: ['son', 'sonuncu', 'sonuncuyu', 'sonuncudan', 'last', 'letzte', 'letzten', 'letztes', 'الأخير'] }
+];
+
+// "ilk ikisini", "first two", "die ersten beiden"
+const FIRST_TWO = /\b(ilk iki|first two|ersten (zwei|beiden))/;
+
+// "2 tane", "3 adet", "2x", "x2", "2 pcs", "2 Stück"
+const QUANTITY = /(?:^|\s)(\d{1,2})\s*(?:tane|adet|x|pcs|pieces|stück)(?=\s|$)|(?:^|\s)x\s*(\d{1,2})(?=\s|$)/;
+
+// Mesaj sepete ekleme isteği değilse null; değilse { positions: [0, 2] | null (hepsi), quantity }
+function parseCartIntent(message) {
+  const msg = toLowerTr(message);
+  if (!CART_INTENTS.some(pattern => pattern.test(msg))) return null;
+
+  const words = msg.split(/[^\p{L}\d]+/u);
+  let positions = null;
+  if (FIRST_TWO.test(msg)) {
+    positions = [0, 1];
+  } else {
+    const mentioned = ORDINALS.filter(ordinal => ordinal.words.some(word => words.includes(word)));
+    if (mentioned.length > 0) positions = mentioned.map(ordinal => ordinal.index);
+  }
+
+  const quantityMatch = msg.match(QUANTITY);
+  const quantity = quantityMatch ? parseInt(quantityMatch[1] || quantityMatch[2], 10) : 1;
+
+  return { positions, quantity: Math.min(Math.max(quantity, 1), MAX_QUANTITY) };
+}
+
+// Son önerilen ürünlerden istenenler (sıra dışı olanlar atlanır)
+function selectPositions(recommended, positions) {
+  if (!positions) return recommended;
+  const selected = positions
+    .map(index => recommended[index < 0 ? recommended.length + index : index])
+    .filter(Boolean);
+  return [...new Set(selected)];
+}
+
+// İstek gövdesindeki kalemler: [{ variantId | productId, quantity }] → { errors, items }
+function validateCartItems(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { errors: ['items boş olmayan bir liste olmalı'], items: [] };
+  }
+  if (input.length > MAX_ITEMS) {
+    return { errors: [`En fazla ${MAX_ITEMS} kalem eklenebilir`], items: [] };
+  }
+
+  const errors = [];
+  const items = [];
+  input.forEach((item, i) => {
+    const variantId = item && item.variantId ? String(item.variantId) : null;
+    const productId = item && item.productId ? String(item.productId) : null;
+    const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+
+    if (!variantId && !productId) {
+      errors.push(`items[${i}]: variantId ya da productId gerekli`);
+    } else if ((variantId && !/^\d+$/.test(variantId)) || (productId && !/^\d+$/.test(productId))) {
+      errors.push(`items[${i}]: id sayısal olmalı`);
+    } else if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      errors.push(`items[${i}].quantity: 1 ile ${MAX_QUANTITY} arasında bir tam sayı olmalı`);
+    } else {
+      items.push({ variantId, productId, quantity });
+    }
+  });
+  return { errors, items };
+}
+
+// Kalemler: [{ variantId, quantity }] (stokta olanlar). Aynı varyantın adetleri toplanır
+function buildCart(domain, items) {
+  const quantities = new Map();
+  items.forEach(item => {
+    quantities.set(item.variantId, Math.min((quantities.get(item.variantId) || 0) + item.quantity, MAX_QUANTITY));
+  });
+  const lines = [...quantities.entries()];
+
+  return {
+    permalink: lines.length > 0
+      ? `https://${domain}/cart/${lines.map(([id, quantity]) => `${id}:${quantity}`).join(',')}`
+      : null,
+    ajax: {
+      endpoint: '/cart/add.js',
+      body: { items: lines.map(([id, quantity]) => ({ id: Number(id), quantity })) }
+    }
+  };
+}
+
+module.exports = {
+  MAX_ITEMS,
+  MAX_QUANTITY,
+  parseCartIntent,
+  selectPositions,
+  validateCartItems,
+  buildCart
+};
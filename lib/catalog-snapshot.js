@@ -0,0 +1,97 @@
+// ========== KATALOG SNAPSHOT'I ==========
+//
+// Shopify'dan çekilen normalize katalog mağaza klasöründe saklanır (data/<shop>/catalog.json).
+// Açılışta yüklenir: soğuk başlangıçta müşteri tüm sayfalı çekimi beklemez, eski veri
+// arka planda yenilenirken kullanılır. Webhook güncellemeleri de kısa gecikmeyle dosyaya yazılır.
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 5000;
+
+// omit: ürün üzerinde tutulan hesaplanmış önbellek alanları (dosyaya yazılmaz, yüklenince yeniden hesaplanır)
+function createCatalogSnapshotStore({ dir, format, omit = [] }) {
+  const info = new Map(); // domain → { fetchedAt, savedAt, products }
+  const saveTimers = new Map();
+  let pendingSave = Promise.resolve();
+
+  const fileFor = domain => path.join(dir, domain, 'catalog.json');
+
+  // { products, fetchedAt } ya da null (dosya yok, bozuk ya da ürün formatı değişmiş)
+  function load(domain) {
+    const file = fileFor(domain);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Katalog snapshot'ı okunamadı (${file}): ${error.message}`);
+      }
+      return null;
+    }
+
+    if (data.format !== format || !Array.isArray(data.products)) {
+      console.warn(`⚠️ Katalog snapshot'ı eski formatta (${file}), yok sayılıyor`);
+      return null;
+    }
+
+    const fetchedAt = Date.parse(data.fetchedAt);
+    info.set(domain, { fetchedAt, savedAt: Date.parse(data.savedAt), products: data.products.length });
+    return { products: data.products, fetchedAt };
+  }
+
+  // Yazmalar sıraya alınır; yarım dosya kalmaması için önce geçici dosyaya yazılır
+  function save(domain, catalog) {
+    pendingSave = pendingSave.then(async () => {
+      const file = fileFor(domain);
+      const savedAt = Date.now();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify({
+        format,
+        fetchedAt: new Date(catalog.time).toISOString(),
+        savedAt: new Date(savedAt).toISOString(),
+        products: catalog.products
+      }, (key, value) => (omit.includes(key) ? undefined : value)));
+      await fs.promises.rename(temp, file);
+      info.set(domain, { fetchedAt: catalog.time, savedAt, products: catalog.products.length });
+    }).catch(error => {
+      console.error(`❌ Katalog snapshot'ı yazılamadı (${domain}):`, error.message);
+    });
+    return pendingSave;
+  }
+
+  // Webhook'lar art arda gelebilir: kısa gecikmeyle tek yazma (o an bellekteki katalog yazılır)
+  function scheduleSave(domain, getCatalog) {
+    if (saveTimers.has(domain)) return;
+    const timer = setTimeout(() => {
+      saveTimers.delete(domain);
+      const catalog = getCatalog();
+      if (catalog) save(domain, catalog);
+    }, SAVE_DELAY);
+    timer.unref();
+    saveTimers.set(domain, timer);
+  }
+
+  // /health için: { ageSeconds (verinin çekildiği andan beri), savedAt, products } ya da null
+  function status(domain) {
+    const entry = info.get(domain);
+    if (!entry) return null;
+    return {
+      ageSeconds: Math.floor((Date.now() - entry.fetchedAt) / 1000),
+      savedAt: new Date(entry.savedAt),
+      products: entry.products
+    };
+  }
+
+  return {
+    load,
+    save,
+    scheduleSave,
+    status
+  };
+}
+
+module.exports = {
+  createCatalogSnapshotStore
+};
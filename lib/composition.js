@@ -0,0 +1,432 @@
+// ========== İÇERİK / BİLEŞİM AYRIŞTIRICI ==========
+//
+// Ürün açıklamasından yapılandırılmış bileşim çıkarır:
+//   "%32 tavuk, %10 somon, pirinç. Ham protein %33, ham yağ %12, 3900 kcal/kg"
+//   → { ingredients: [{ name: 'tavuk', percent: 32 }, { name: 'somon', percent: 10 }, { name: 'pirinç', percent: null }],
+//       analysis: { protein: 33, fat: 12, energyKcalPerKg: 3900 } }
+//
+// Kullanıcı mesajından eşik sorguları çıkarır:
+//   "balık oranı %10'dan az" → { subject: 'balık', type: 'ingredient', op: 'max', value: 10 }
+//   "protein %35 üstü"       → { subject: 'protein', type: 'nutrient', op: 'min', value: 35 }
+
+const { toLowerTr, normalizeText } = require('./normalize');
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+// Garanti analiz değerleri (anahtar → açıklamada geçen adlar)
+const NUTRIENTS = {
+  protein: ['ham protein', 'protein', 'crude protein'],
+  fat: ['ham yağ', 'ham yag', 'yağ', 'yag', 'crude fat', 'fat'],
+  ash: ['ham kül', 'ham kul', 'kül', 'kul', 'inorganik madde', 'crude ash', 'ash'],
+  fiber: ['ham selüloz', 'ham seluloz', 'selüloz', 'seluloz', 'ham lif', 'lif', 'crude fibre', 'crude fiber', 'fibre', 'fiber'],
+  moisture: ['nem', 'rutubet', 'moisture']
+};
+
+// Sorgudaki adlar → analiz anahtarı
+const NUTRIENT_QUERY_NAMES = {
+  protein: 'protein',
+  yağ: 'fat', yag: 'fat', fat: 'fat',
+  kül: 'ash', kul: 'ash', ash: 'ash',
+  lif: 'fiber', selüloz: 'fiber', seluloz: 'fiber', fiber: 'fiber',
+  nem: 'moisture', moisture: 'moisture'
+};
+
+// Grup sorguları: "et oranı", "balık oranı" → gruptaki tüm içeriklerin toplamı
+const INGREDIENT_GROUPS = {
+  et: ['tavuk', 'sığır', 'sigir', 'dana', 'kuzu', 'hindi', 'ördek', 'ordek', 'et', 'kümes', 'chicken', 'beef', 'lamb', 'turkey', 'duck', 'meat', 'poultry', 'somon', 'balık', 'balik', 'ton', 'ringa', 'sardalya', 'hamsi', 'alabalık', 'morina', 'salmon', 'fish', 'tuna', 'herring'],
+  balık: ['balık', 'balik', 'somon', 'ton', 'ringa', 'sardalya', 'hamsi', 'alabalık', 'alabalik', 'morina', 'fish', 'salmon', 'tuna', 'herring', 'trout'],
+  tavuk: ['tavuk', 'kümes', 'chicken', 'poultry'],
+  sığır: ['sığır', 'sigir', 'dana', 'beef'],
+  kuzu: ['kuzu', 'lamb'],
+  hindi: ['hindi', 'turkey'],
+  ördek: ['ördek', 'ordek', 'duck'],
+  somon: ['somon', 'salmon'],
+  tahıl: ['tahıl', 'tahil', 'buğday', 'bugday', 'mısır', 'misir', 'arpa', 'yulaf', 'pirinç', 'pirinc', 'grain', 'wheat', 'corn', 'barley', 'oat', 'rice'],
+  pirinç: ['pirinç', 'pirinc', 'rice'],
+  mısır: ['mısır', 'misir', 'corn', 'maize'],
+  patates: ['patates', 'potato'],
+  bezelye: ['bezelye', 'pea']
+};
+
+const GROUP_ALIASES = {
+  balik: 'balık', sigir: 'sığır', ordek: 'ördek', tahil: 'tahıl', pirinc: 'pirinç', misir: 'mısır', meat: 'et', fish: 'balık'
+};
+
+// Bileşim bölümünü başlatan / bitiren başlıklar
+const COMPOSITION_HEADERS = /([iİI]çindekiler|[iİI]cindekiler|bileşim|bilesim|bileşenler|bilesenler|[iİI]çerik|[iİI]cerik|composition|ingredients)\s*:/i;
+const ANALYSIS_HEADERS = /(analitik bileşenler|analitik bilesenler|analiz|besin değerleri|besin degerleri|garanti analiz|analytical constituents|katkı maddeleri|katki maddeleri|additives)\s*:?/i;
+
+const MIN_WORDS = ['en az', 'minimum', 'min', 'fazla', 'üstü', 'ustu', 'üzeri', 'uzeri', 'üstünde', 'ustunde', 'yüksek', 'yuksek', 'büyük', 'buyuk', 'geçen', 'gecen'];
+const MAX_WORDS = ['en fazla', 'en çok', 'en cok', 'maksimum', 'max', 'az', 'altı', 'alti', 'altında', 'altinda', 'düşük', 'dusuk', 'küçük', 'kucuk', 'geçmesin', 'gecmesin', 'aşmasın', 'asmasin', 'geçmeyen', 'gecmeyen'];
+
+// "az balık" gibi yüzdesiz isteklerde kullanılan üst sınır (%)
+const LOW_CONTENT_MAX_PERCENT = 10;
+
+function toNumber(text) {
+  return parseFloat(String(text).replace(',', '.'));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ========== ÜRÜN TARAFI ==========
+
+function parseComposition(description) {
+  const text = String(description || '');
+  return {
+    ingredients: parseIngredients(text),
+    analysis: parseAnalysis(text)
+  };
+}
+
+function parseIngredients(text) {
+  const headerMatch = text.match(COMPOSITION_HEADERS);
+  let section = text;
+
+  if (headerMatch) {
+    section = text.slice(headerMatch.index + headerMatch[0].length);
+    const analysisMatch = section.match(ANALYSIS_HEADERS);
+    if (analysisMatch) section = section.slice(0, analysisMatch.index);
+  }
+
+  // Virgül, noktalı virgül ve cümle sonu noktasıyla böl (ondalık nokta/virgül korunur)
+  const segments = section.split(/;|,(?!\d)|\.(?!\d)/);
+  const ingredients = [];
+
+  const addIngredient = (text, requirePercent) => {
+    const percentMatch = text.match(new RegExp(`%\\s*${NUMBER}|${NUMBER}\\s*%`));
+    const percent = percentMatch ? toNumber(percentMatch[1] || percentMatch[2]) : null;
+
+    // Başlıksız açıklamada sadece yüzdeli parçalar bileşim sayılır (cümleler karışmasın)
+    if (requirePercent && percent === null) return;
+
+    const name = toLowerTr(text)
+      .replace(/%\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*%/g, ' ')
+      .replace(/[:()\-–]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!name || name.split(' ').length > 5 || name.length > 50) return;
+    if (isNutrientName(name)) return;
+
+    ingredients.push({ name, percent });
+  };
+
+  segments.forEach(segment => {
+    // "et ve hayvansal yan ürünler (%4 kuzu)" → parantez içi ayrı içerik, dışı ayrı
+    const nested = segment.match(/\(([^)]*)\)/g) || [];
+    nested.forEach(group => {
+      const inner = group.slice(1, -1);
+      if (/[a-zçğıöşü]/i.test(inner.replace(/%|\d|[.,\s]/g, ''))) {
+        addIngredient(inner, true);
+      }
+    });
+
+    // Parantez sadece yüzde içeriyorsa ("tavuk (%32)") dıştaki içeriğe aittir
+    const outer = segment.replace(/\(([^)]*)\)/g, (group, inner) => (
+      /[a-zçğıöşü]/i.test(inner.replace(/%|\d|[.,\s]/g, '')) ? ' ' : ` ${inner} `
+    ));
+    addIngredient(outer, !headerMatch);
+  });
+
+  return ingredients;
+}
+
+function isNutrientName(name) {
+  return Object.values(NUTRIENTS).some(names => names.some(n => name === n || name.startsWith(n + ' ')));
+}
+
+function parseAnalysis(text) {
+  const lower = toLowerTr(text);
+  const analysis = {};
+
+  // Analiz başlığı varsa sadece o bölüme bakılır ("tavuk yağı %5" içerik, "yağ %15" analiz)
+  const analysisHeader = lower.match(ANALYSIS_HEADERS);
+  const section = analysisHeader ? lower.slice(analysisHeader.index) : lower;
+
+  Object.entries(NUTRIENTS).forEach(([key, names]) => {
+    for (const name of names) {
+      // "protein %33", "ham yağ: 12%", "yağ içeriği 15%" ("yağ asitleri" gibi devam eden kelimeler eşleşmez)
+      const regex = new RegExp(`${escapeRegex(name)}(?:ı|i|u|ü)?(?:\\s+(?:içeriği|oranı|miktarı))?\\s*[:\\-]?\\s*(?:%\\s*${NUMBER}|${NUMBER}\\s*%)`);
+      const match = section.match(regex);
+      if (match) {
+        analysis[key] = toNumber(match[1] || match[2]);
+        break;
+      }
+    }
+  });
+
+  // Enerji: "3900 kcal/kg", "390 kcal/100 g"
+  const perKg = lower.match(/(\d[\d.]*(?:,\d+)?)\s*kcal\s*\/\s*kg/);
+  const per100g = lower.match(/(\d+(?:[.,]\d+)?)\s*kcal\s*\/\s*100\s*g/);
+  if (perKg) {
+    analysis.energyKcalPerKg = parseFloat(perKg[1].replace(/\./g, '').replace(',', '.'));
+  } else if (per100g) {
+    analysis.energyKcalPerKg = toNumber(per100g[1]) * 10;
+  }
+
+  return analysis;
+}
+
+// Bir içerik grubunun ("balık", "et") ürün içindeki toplam oranı.
+// { percent, mentioned }: percent null ise içerik geçiyor ama oran bilinmiyor demektir.
+function getIngredientShare(product, subject) {
+  const terms = INGREDIENT_GROUPS[subject] || [subject];
+  const composition = product.composition || { ingredients: [] };
+  const matches = composition.ingredients.filter(i => terms.some(t => i.name.split(' ').some(word => word.startsWith(t))));
+
+  if (matches.length > 0) {
+    const known = matches.filter(i => i.percent !== null);
+    if (known.length === 0) return { percent: null, mentioned: true };
+    return { percent: known.reduce((sum, i) => sum + i.percent, 0), mentioned: true };
+  }
+
+  // Bileşimde yok ama açıklamada/başlıkta geçiyorsa oran bilinmiyor
+  const text = toLowerTr(`${product.title} ${product.description}`);
+  if (terms.some(t => text.includes(t))) {
+    return { percent: null, mentioned: true };
+  }
+  return { percent: 0, mentioned: false };
+}
+
+// Kısıtın ürün için sonucu: true (uyuyor), false (uymuyor), null (veri yok)
+function evaluateConstraint(product, constraint) {
+  let value;
+
+  if (constraint.type === 'nutrient') {
+    const analysis = (product.composition && product.composition.analysis) || {};
+    value = analysis[constraint.subject];
+    if (value === undefined) return null;
+  } else {
+    const share = getIngredientShare(product, constraint.subject);
+    if (share.percent === null) return null;
+    value = share.percent;
+  }
+
+  return constraint.op === 'min' ? value >= constraint.value : value <= constraint.value;
+}
+
+// ========== SORGU TARAFI ==========
+
+function resolveSubject(word) {
+  const clean = word.replace(/['’].*$/, '');
+  const stem = clean.replace(/(ları|leri|lar|ler|lı|li|lu|lü|ı|i|u|ü)$/, '');
+
+  for (const candidate of [clean, stem]) {
+    if (NUTRIENT_QUERY_NAMES[candidate]) {
+      return { subject: NUTRIENT_QUERY_NAMES[candidate], type: 'nutrient' };
+    }
+    const group = GROUP_ALIASES[candidate] || candidate;
+    if (INGREDIENT_GROUPS[group]) {
+      return { subject: group, type: 'ingredient' };
+    }
+  }
+  return null;
+}
+
+function findDirection(text) {
+  // "en az" / "en fazla" tek kelimelik "az" / "fazla"dan önce kontrol edilmeli
+  const candidates = [];
+  MIN_WORDS.forEach(w => {
+    const index = text.indexOf(w);
+    if (index !== -1) candidates.push({ index, length: w.length, op: 'min' });
+  });
+  MAX_WORDS.forEach(w => {
+    const index = text.indexOf(w);
+    if (index !== -1) candidates.push({ index, length: w.length, op: 'max' });
+  });
+  if (candidates.length === 0) return null;
+
+  // En yakın ve en uzun ifade kazanır ("en az" > "az")
+  candidates.sort((a, b) => a.index - b.index || b.length - a.length);
+  const first = candidates[0];
+  const overlapping = candidates.filter(c => c.index < first.index + first.length);
+  overlapping.sort((a, b) => b.length - a.length);
+  return overlapping[0].op;
+}
+
+function parseCompositionConstraints(msg) {
+  const constraints = [];
+  const percentRegex = new RegExp(`%\\s*${NUMBER}|${NUMBER}\\s*%`, 'g');
+  let match;
+
+  while ((match = percentRegex.exec(msg)) !== null) {
+    const value = toNumber(match[1] || match[2]);
+    const before = msg.slice(Math.max(0, match.index - 40), match.index);
+    const after = msg.slice(match.index + match[0].length, match.index + match[0].length + 30);
+
+    // Konu: önce solda en yakın kelime ("balık oranı %10"), yoksa sağda ("en az %30 et")
+    const leftWords = before.split(/\s+/).filter(w => w).reverse();
+    const rightWords = after.replace(/^['’]\S*/, '').split(/\s+/).filter(w => w);
+
+    let subject = null;
+    for (const word of leftWords) {
+      subject = resolveSubject(word);
+      if (subject) break;
+    }
+    if (!subject) {
+      for (const word of rightWords) {
+        subject = resolveSubject(word);
+        if (subject) break;
+      }
+    }
+    if (!subject) continue;
+
+    // Yön: önce sağda ("%10'dan az"), yoksa solda ("en fazla %10")
+    const op = findDirection(after.replace(/^['’]?(dan|den|tan|ten)?/, ' ')) || findDirection(before.slice(-20));
+    if (!op) continue;
+
+    constraints.push({ ...subject, op, value });
+  }
+
+  // "az balık", "düşük yağ" (yüzdesiz) → varsayılan üst sınır
+  const lowRegex = /(?:^|\s)(az|düşük|dusuk|low)\s+([a-zçğıöşü]{2,})/g;
+  while ((match = lowRegex.exec(msg)) !== null) {
+    const subject = resolveSubject(match[2]);
+    if (subject && !constraints.some(c => c.subject === subject.subject)) {
+      constraints.push({ ...subject, op: 'max', value: LOW_CONTENT_MAX_PERCENT, soft: true });
+    }
+  }
+
+  return constraints;
+}
+
+// Bileşim ifadesi kelimeleri marka araması sanılmasın: "oranı", "%35", "%10'dan",
+// ve kısıt konusu olan kelimeler ("düşük yağlı" → "yağlı")
+function isCompositionWord(word, constraints = []) {
+  if (['oranı', 'orani', 'oran', 'içeriği', 'icerigi', 'miktarı', 'miktari', 'yüzde', 'yuzde', 'düşük', 'dusuk', 'yüksek', 'yuksek'].includes(word) ||
+    /^%\d/.test(word) ||
+    /^\d+(?:[.,]\d+)?%/.test(word) ||
+    NUTRIENT_QUERY_NAMES[word]) {
+    return true;
+  }
+  const subject = resolveSubject(word);
+  return Boolean(subject && constraints.some(c => c.subject === subject.subject));
+}
+
+// ========== HARİÇ TUTULAN İÇERİK GEÇİŞLERİ ==========
+//
+// "Tahılsız formül", "grain free", "tahıl ve mısır içermez", "no chicken" ürünün o içeriği İÇERMEDİĞİNİ söyler:
+// düz alt metin araması bunları ihlal sayıyordu. Sadece kelime başında ve olumsuzlanmamış geçişler sayılır.
+// Olumsuzlama aynı cümlecikte kalır: "Ingredients: chicken, free from artificial colours" tavuk içerir.
+
+// Noktalama cümleciği bitirir; olumsuzlama bir sonrakine geçmez
+const CLAUSE_BREAK = /[,.;:!?\n]+/;
+// Katlanmış "-sız/-siz/-suz/-süz" eki ve bitişik "free" ("tahilsiz", "grainfree")
+const NEGATING_SUFFIX = /^(siz|suz|free)/;
+// İçeriğin hemen ardından gelip onu olumsuzlayan kelimeler (sözlükteki negativeWords de eklenir)
+const NEGATING_NEXT_WORDS = ['free', 'icermez', 'icermeyen', 'icermemektedir', 'ilavesiz'];
+// "free from / free of" ardından geleni olumsuzlar, öncekini değil
+const FREE_OBJECT_WORDS = ['from', 'of'];
+// İçerikten hemen önce gelip onu olumsuzlayan kelimeler
+const NEGATING_PREVIOUS_WORDS = ['no', 'without', 'ohne', 'kein', 'keine', 'sans'];
+// Olumsuzlama aynı cümlecikteki bir listeye uygulanabilir: "tahıl mısır ve buğday içermez"
+const LIST_CONNECTORS = ['ve', 'veya', 'ile', 'ya', 'da', 'and', 'or', 'und', 'oder'];
+// Kelime sonunda izin verilen en uzun ek ("tavuklu", "tahıllardan"); daha uzunu başka kelimedir
+const MAX_SUFFIX_LENGTH = 8;
+
+// Ham metin → cümlecik başına normalize kelime listeleri
+function splitClauses(text) {
+  return String(text || '')
+    .split(CLAUSE_BREAK)
+    .map(part => normalizeText(part))
+    .filter(Boolean)
+    .map(part => part.split(' '));
+}
+
+// tokens[i]'den başlayan geçiş: { end, suffix } ya da null (son kelime ek alabilir)
+function matchPhrase(tokens, i, words) {
+  const last = words.length - 1;
+  for (let j = 0; j < last; j++) {
+    if (tokens[i + j] !== words[j]) return null;
+  }
+  const token = tokens[i + last];
+  if (!token || !token.startsWith(words[last]) || token.length - words[last].length > MAX_SUFFIX_LENGTH) return null;
+  return { end: i + last, suffix: token.slice(words[last].length) };
+}
+
+// text: ham ürün metni ya da splitClauses çıktısı. exclude'dan ürünün gerçekten içerdiği (olumsuzlanmamış) kelimeler döner
+function findIngredientMentions(text, exclude, negativeWords = []) {
+  if (!text || !exclude || exclude.length === 0) return [];
+
+  const clauses = Array.isArray(text) ? text : splitClauses(text);
+  const phrases = exclude.map(word => ({ word, words: normalizeText(word).split(' ').filter(Boolean) }))
+    .filter(p => p.words.length > 0);
+  const negatingNext = new Set([...NEGATING_NEXT_WORDS, ...negativeWords.map(normalizeText)]);
+
+  // Olumsuzlanmış listedeki diğer içerikler atlanır ("tahıl mısır ve buğday içermez")
+  const skipListItem = (tokens, j) => {
+    if (LIST_CONNECTORS.includes(tokens[j])) return j + 1;
+    for (const phrase of phrases) {
+      const match = matchPhrase(tokens, j, phrase.words);
+      if (match && !NEGATING_SUFFIX.test(match.suffix)) return match.end + 1;
+    }
+    return null;
+  };
+
+  const negates = (tokens, j) => negatingNext.has(tokens[j]) &&
+    !(tokens[j] === 'free' && FREE_OBJECT_WORDS.includes(tokens[j + 1]));
+
+  const isNegated = (tokens, start, match) => {
+    if (NEGATING_SUFFIX.test(match.suffix)) return true;
+    if (NEGATING_PREVIOUS_WORDS.includes(tokens[start - 1])) return true;
+
+    // Sadece cümlecik sonuna kadar, araya liste dışında kelime girmeden
+    let j = match.end + 1;
+    while (j < tokens.length && !negatingNext.has(tokens[j])) {
+      const next = skipListItem(tokens, j);
+      if (next === null) return false;
+      j = next;
+    }
+    return negates(tokens, j);
+  };
+
+  return phrases
+    .filter(({ words }) => clauses.some(tokens => tokens.some((token, i) => {
+      const match = matchPhrase(tokens, i, words);
+      return match !== null && !isNegated(tokens, i, match);
+    })))
+    .map(p => p.word);
+}
+
+function formatConstraint(constraint) {
+  const labels = { protein: 'protein', fat: 'yağ', ash: 'kül', fiber: 'lif', moisture: 'nem' };
+  const name = constraint.type === 'nutrient' ? labels[constraint.subject] : constraint.subject;
+  return `${name} ${constraint.op === 'min' ? '≥' : '≤'} %${constraint.value}`;
+}
+
+// Prompt için kısa özet: "protein %33, yağ %12 | tavuk %32, somon %10"
+function formatComposition(composition) {
+  if (!composition) return '';
+  const labels = { protein: 'protein', fat: 'yağ', ash: 'kül', fiber: 'lif', moisture: 'nem' };
+  const parts = [];
+
+  const analysis = Object.entries(composition.analysis || {})
+    .filter(([key]) => labels[key])
+    .map(([key, value]) => `${labels[key]} %${value}`);
+  if (composition.analysis && composition.analysis.energyKcalPerKg) {
+    analysis.push(`${composition.analysis.energyKcalPerKg} kcal/kg`);
+  }
+  if (analysis.length > 0) parts.push(analysis.join(', '));
+
+  const ingredients = (composition.ingredients || [])
+    .filter(i => i.percent !== null)
+    .slice(0, 5)
+    .map(i => `${i.name} %${i.percent}`);
+  if (ingredients.length > 0) parts.push(ingredients.join(', '));
+
+  return parts.join(' | ');
+}
+
+module.exports = {
+  parseComposition,
+  parseCompositionConstraints,
+  evaluateConstraint,
+  getIngredientShare,
+  isCompositionWord,
+  formatConstraint,
+  formatComposition,
+  splitClauses,
+  findIngredientMentions
+};
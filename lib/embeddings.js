@@ -0,0 +1,288 @@
+// ========== EMBEDDING SAĞLAYICILARI ==========
+//
+// Her sağlayıcı aynı arayüzü uygular:
+//   embed(texts)  → Promise<vector[]>   (vector: number[] ya da seyrek { i: [], v: [] })
+//
+// Yerel sağlayıcılar katalogdan öğrenir ve öğrendiklerini vektörlerle birlikte saklatır:
+//   fit(texts) → state,  load(state)
+//
+// EMBEDDING_PROVIDER=none (varsayılan) iken anlamsal arama kapalıdır.
+
+const { tokenize, stemWord } = require('./normalize');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const providerFactories = {
+  local: createLocalProvider,
+  openai: createOpenAIEmbeddingProvider
+};
+
+// EMBEDDING_PROVIDER (none | local | openai), EMBEDDING_MODEL, EMBEDDING_BASE_URL, EMBEDDING_API_KEY,
+// EMBEDDING_DIMENSIONS (local lsa), EMBEDDING_TIMEOUT_MS, SEMANTIC_WEIGHT (anahtar kelime skoruna eklenen en yüksek puan)
+function loadEmbeddingConfig(env) {
+  const provider = (env.EMBEDDING_PROVIDER || 'none').toLowerCase();
+  return {
+    provider,
+    model: env.EMBEDDING_MODEL || (provider === 'local' ? 'tfidf' : 'text-embedding-3-small'),
+    baseUrl: (env.EMBEDDING_BASE_URL || env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ''),
+    apiKey: env.EMBEDDING_API_KEY || env.LLM_API_KEY || env.OPENAI_KEY || '',
+    dimensions: env.EMBEDDING_DIMENSIONS !== undefined ? parseInt(env.EMBEDDING_DIMENSIONS, 10) : 64,
+    timeoutMs: env.EMBEDDING_TIMEOUT_MS !== undefined ? parseInt(env.EMBEDDING_TIMEOUT_MS, 10) : 30000,
+    weight: env.SEMANTIC_WEIGHT !== undefined ? parseFloat(env.SEMANTIC_WEIGHT) : 30
+  };
+}
+
+// Kapalıysa null döner
+function createEmbeddingProvider(config) {
+  if (config.provider === 'none') return null;
+
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(`Bilinmeyen embedding sağlayıcısı: ${config.provider} (mevcut: none, ${Object.keys(providerFactories).join(', ')})`);
+  }
+  return factory(config);
+}
+
+// Yeni sağlayıcı eklemek için: registerEmbeddingProvider('isim', config => ({ name, model, embed }))
+function registerEmbeddingProvider(name, factory) {
+  providerFactories[name.toLowerCase()] = factory;
+}
+
+// ========== VEKTÖR YARDIMCILARI ==========
+
+function isSparse(vector) {
+  return !Array.isArray(vector);
+}
+
+function cosineSimilarity(a, b) {
+  if (isSparse(a) && isSparse(b)) {
+    // Seyrek vektörler normalize edilmiş ve indeksleri sıralıdır
+    let dot = 0;
+    let i = 0;
+    let j = 0;
+    while (i < a.i.length && j < b.i.length) {
+      if (a.i[i] === b.i[j]) dot += a.v[i++] * b.v[j++];
+      else if (a.i[i] < b.i[j]) i++;
+      else j++;
+    }
+    return dot;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let k = 0; k < a.length; k++) {
+    dot += a[k] * b[k];
+    normA += a[k] * a[k];
+    normB += b[k] * b[k];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ========== YEREL (TF-IDF / LSA) ==========
+//
+// Ağ bağlantısı ve model dosyası gerektirmez. Özellikler: eksiz kelimeler ve kelime içi 4'lü harf grupları,
+// böylece "şişmanlıyor" ile "şişmanlık", "tüy dökümü" ile "tüy sağlığı" ortak özellik taşır.
+// model=lsa: TF-IDF matrisinin ilk k tekil vektörüne (gizli anlam uzayı) izdüşüm; birlikte geçen kelimeleri yakınlaştırır.
+
+const MAX_FEATURES = 20000;
+const MAX_LSA_FEATURES = 8000;
+const NGRAM = 4;
+const NGRAM_WEIGHT = 0.5;
+const LSA_ITERATIONS = 5;
+
+function extractFeatures(text) {
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  tokenize(text).forEach(token => {
+    const stem = stemWord(token);
+    add(`w:${stem}`, 1);
+    const padded = `#${stem}#`;
+    if (padded.length > NGRAM + 1) {
+      for (let k = 0; k + NGRAM <= padded.length; k++) {
+        add(`g:${padded.slice(k, k + NGRAM)}`, NGRAM_WEIGHT);
+      }
+    }
+  });
+  return features;
+}
+
+// Tekrarlanabilir sonuç için sabit tohumlu sayı üreteci
+function seededRandom(seed) {
+  let value = seed;
+  return () => {
+    value = (value * 1664525 + 1013904223) % 4294967296;
+    return value / 4294967296 - 0.5;
+  };
+}
+
+function orthonormalize(columns) {
+  columns.forEach((column, c) => {
+    for (let prev = 0; prev < c; prev++) {
+      let dot = 0;
+      for (let k = 0; k < column.length; k++) dot += column[k] * columns[prev][k];
+      for (let k = 0; k < column.length; k++) column[k] -= dot * columns[prev][k];
+    }
+    let norm = 0;
+    for (let k = 0; k < column.length; k++) norm += column[k] * column[k];
+    norm = Math.sqrt(norm) || 1;
+    for (let k = 0; k < column.length; k++) column[k] /= norm;
+  });
+  return columns;
+}
+
+// Alt uzay iterasyonu: X^T X'in en büyük k özvektörü (X: seyrek belge × özellik matrisi)
+function computeLsaBasis(rows, featureCount, dimensions) {
+  const random = seededRandom(42);
+  let basis = orthonormalize(Array.from({ length: dimensions }, () =>
+    Float64Array.from({ length: featureCount }, random)));
+
+  for (let iteration = 0; iteration < LSA_ITERATIONS; iteration++) {
+    const next = Array.from({ length: dimensions }, () => new Float64Array(featureCount));
+    rows.forEach(row => {
+      basis.forEach((column, c) => {
+        let projection = 0;
+        for (let k = 0; k < row.i.length; k++) projection += row.v[k] * column[row.i[k]];
+        for (let k = 0; k < row.i.length; k++) next[c][row.i[k]] += projection * row.v[k];
+      });
+    });
+    basis = orthonormalize(next);
+  }
+  return basis.map(column => Array.from(column, x => Math.round(x * 1e5) / 1e5));
+}
+
+function createLocalProvider(config) {
+  const model = config.model === 'lsa' ? 'lsa' : 'tfidf';
+  let vocabulary = new Map(); // özellik → indeks
+  let idf = [];
+  let basis = null; // lsa: k × özellik
+
+  function toSparse(text) {
+    const entries = [];
+    extractFeatures(text).forEach((count, feature) => {
+      const index = vocabulary.get(feature);
+      if (index !== undefined) entries.push([index, (1 + Math.log(count + 1)) * idf[index]]);
+    });
+    entries.sort((a, b) => a[0] - b[0]);
+
+    const norm = Math.sqrt(entries.reduce((sum, [, value]) => sum + value * value, 0)) || 1;
+    return { i: entries.map(([index]) => index), v: entries.map(([, value]) => value / norm) };
+  }
+
+  function project(sparse) {
+    return basis.map(column => {
+      let value = 0;
+      for (let k = 0; k < sparse.i.length; k++) value += sparse.v[k] * column[sparse.i[k]];
+      return Math.round(value * 1e5) / 1e5;
+    });
+  }
+
+  function fit(texts) {
+    const documentFrequency = new Map();
+    texts.forEach(text => {
+      extractFeatures(text).forEach((count, feature) => {
+        documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+      });
+    });
+
+    // En yaygın özellikler tutulur (tek üründe geçen nadir harf grupları elenir)
+    const limit = model === 'lsa' ? MAX_LSA_FEATURES : MAX_FEATURES;
+    const kept = [...documentFrequency.entries()]
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, limit);
+
+    vocabulary = new Map(kept.map(([feature], index) => [feature, index]));
+    idf = kept.map(([, df]) => Math.log((1 + texts.length) / (1 + df)) + 1);
+    basis = null;
+
+    if (model === 'lsa') {
+      const dimensions = Math.max(1, Math.min(config.dimensions, texts.length - 1));
+      basis = computeLsaBasis(texts.map(toSparse), vocabulary.size, dimensions);
+    }
+    return exportState();
+  }
+
+  function exportState() {
+    return { features: [...vocabulary.keys()], idf, basis };
+  }
+
+  function load(state) {
+    vocabulary = new Map(state.features.map((feature, index) => [feature, index]));
+    idf = state.idf;
+    basis = state.basis || null;
+  }
+
+  async function embed(texts) {
+    return texts.map(text => (basis ? project(toSparse(text)) : toSparse(text)));
+  }
+
+  return {
+    name: 'local',
+    model,
+    fit,
+    load,
+    embed
+  };
+}
+
+// ========== OPENAI (ve OpenAI uyumlu /embeddings sunucuları) ==========
+
+const OPENAI_BATCH_SIZE = 100;
+
+function createOpenAIEmbeddingProvider(config) {
+  const url = `${config.baseUrl}/embeddings`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  async function embedBatch(input) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Embedding zaman aşımı')), config.timeoutMs);
+
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: config.model, input }),
+        signal: controller.signal
+      });
+      const data = await res.json();
+
+      if (data.error) {
+        throw new Error('Embedding hatası: ' + data.error.message);
+      }
+      if (!Array.isArray(data.data)) {
+        throw new Error('Embedding yanıtı geçersiz');
+      }
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function embed(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += OPENAI_BATCH_SIZE) {
+      vectors.push(...await embedBatch(texts.slice(start, start + OPENAI_BATCH_SIZE)));
+    }
+    return vectors;
+  }
+
+  return {
+    name: 'openai',
+    model: config.model,
+    embed
+  };
+}
+
+module.exports = {
+  cosineSimilarity,
+  loadEmbeddingConfig,
+  createEmbeddingProvider,
+  registerEmbeddingProvider
+};
@@ -0,0 +1,205 @@
+// ========== MÜŞTERİ ETKİLEŞİMİ (GERİ BİLDİRİM, TIKLAMA, SEPETE EKLEME) ==========
+//
+// /api/chat her yanıt için bir responseId döner; widget bu id ile yanıta oy (up/down) ve
+// önerilen ürüne tıklama / sepete ekleme bildirir. Sayaçlar mağaza + sorgu tipi ("kedi|mama") + ürün bazında tutulur:
+//   impressions: önerildi, clicks: tıklandı, carts: sepete eklendi, up/down: önerildiği yanıta verilen oy
+//
+// getScores() bu sayaçlardan -1..1 arası bir etkileşim sinyali üretir (calculateScore'da isteğe bağlı).
+
+const fs = require('fs');
+const path = require('path');
+
+const EVENT_TYPES = ['click', 'add_to_cart'];
+const RATINGS = ['up', 'down'];
+
+// Olay bildirimi için yanıt bu süre hatırlanır
+const RESPONSE_TTL = 24 * 60 * 60 * 1000;
+const MAX_RESPONSES = 10000;
+
+// Sinyal: (tıklama + 3 × sepet + 0.5 × (up - down)) / (gösterim + 5)
+// Az gösterimli ürün sinyal almaz; önsel gösterim tek tük olayın sıralamayı sarsmasını engeller
+const MIN_IMPRESSIONS = 5;
+const PRIOR_IMPRESSIONS = 5;
+const CART_WEIGHT = 3;
+const VOTE_WEIGHT = 0.5;
+
+const SAVE_DELAY = 5000;
+
+// Sorgu tipi: aynı hayvan + kategori için dönüşüm sayılır ("kedi|mama", "köpek|*")
+function getQueryType(searchTerms) {
+  return `${searchTerms.animal || '*'}|${searchTerms.category || '*'}`;
+}
+
+function emptyCounts() {
+  return { impressions: 0, clicks: 0, carts: 0, up: 0, down: 0 };
+}
+
+function getSignal(counts) {
+  if (counts.impressions < MIN_IMPRESSIONS) return null;
+  const value = (counts.clicks + CART_WEIGHT * counts.carts + VOTE_WEIGHT * (counts.up - counts.down)) /
+    (counts.impressions + PRIOR_IMPRESSIONS);
+  return Math.max(-1, Math.min(1, value));
+}
+
+function createEngagementStore({ file }) {
+  const stats = new Map(); // shop → Map(sorgu tipi → Map(ürün id → sayaçlar))
+  const responses = new Map(); // responseId → { shop, queryType, productIds, time, rating, events: Set }
+  let pendingSave = Promise.resolve();
+  let saveTimer = null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(data.shops || {}).forEach(([shop, types]) => {
+      stats.set(shop, new Map(Object.entries(types).map(([type, products]) => [type, new Map(Object.entries(products))])));
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Etkileşim dosyası okunamadı (${file}): ${error.message}`);
+    }
+  }
+
+  function getCounts(shop, queryType, productId) {
+    if (!stats.has(shop)) stats.set(shop, new Map());
+    const types = stats.get(shop);
+    if (!types.has(queryType)) types.set(queryType, new Map());
+    const products = types.get(queryType);
+    if (!products.has(productId)) products.set(productId, emptyCounts());
+    return products.get(productId);
+  }
+
+  function pruneResponses(now) {
+    for (const [id, response] of responses) {
+      if (now - response.time < RESPONSE_TTL && responses.size <= MAX_RESPONSES) break;
+      responses.delete(id); // Map ekleme sırasını korur: en eskiler önce
+    }
+  }
+
+  // Yanıt gönderilirken çağrılır: önerilen ürünler birer gösterim sayılır
+  function registerResponse(responseId, { shop, queryType, productIds }) {
+    const now = Date.now();
+    pruneResponses(now);
+    responses.set(responseId, { shop, queryType, productIds, time: now, rating: null, events: new Set() });
+
+    productIds.forEach(id => {
+      getCounts(shop, queryType, id).impressions++;
+    });
+    scheduleSave();
+  }
+
+  function getResponse(responseId) {
+    const response = responses.get(responseId);
+    if (!response || Date.now() - response.time >= RESPONSE_TTL) return null;
+    return response;
+  }
+
+  // Oy değiştirilebilir (up → down); aynı oy tekrar sayılmaz
+  function recordFeedback(responseId, rating) {
+    const response = getResponse(responseId);
+    if (!response) return null;
+    if (response.rating === rating) return 'duplicate';
+
+    response.productIds.forEach(id => {
+      const counts = getCounts(response.shop, response.queryType, id);
+      if (response.rating) counts[response.rating]--;
+      counts[rating]++;
+    });
+    response.rating = rating;
+    scheduleSave();
+    return 'recorded';
+  }
+
+  // Aynı yanıtta aynı ürün için aynı olay bir kez sayılır
+  function recordEvent(responseId, type, productId) {
+    const response = getResponse(responseId);
+    if (!response) return null;
+    if (!response.productIds.includes(productId)) return 'not_recommended';
+
+    const key = `${type}:${productId}`;
+    if (response.events.has(key)) return 'duplicate';
+    response.events.add(key);
+
+    getCounts(response.shop, response.queryType, productId)[type === 'click' ? 'clicks' : 'carts']++;
+    scheduleSave();
+    return 'recorded';
+  }
+
+  // Sorgu tipi için Map(ürün id → -1..1); yeterli gösterimi olmayan ürünler yer almaz
+  function getScores(shop, queryType) {
+    const scores = new Map();
+    const products = stats.has(shop) ? stats.get(shop).get(queryType) : null;
+    if (!products) return scores;
+
+    products.forEach((counts, id) => {
+      const signal = getSignal(counts);
+      if (signal !== null && signal !== 0) scores.set(id, signal);
+    });
+    return scores;
+  }
+
+  // Admin raporu: sorgu tipi başına en çok etkileşim alan ürünler
+  function summary(shop, { queryType = null, limit = 20 } = {}) {
+    const types = stats.get(shop) || new Map();
+    const result = [];
+
+    types.forEach((products, type) => {
+      if (queryType && type !== queryType) return;
+
+      const totals = emptyCounts();
+      const items = [...products.entries()].map(([id, counts]) => {
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+        return { id, ...counts, signal: getSignal(counts) };
+      });
+
+      items.sort((a, b) => (b.signal || 0) - (a.signal || 0) || b.impressions - a.impressions);
+      result.push({ queryType: type, totals, products: items.slice(0, limit) });
+    });
+
+    return result.sort((a, b) => b.totals.impressions - a.totals.impressions);
+  }
+
+  // Her olayda dosyaya yazmamak için kısa gecikmeyle toplu kaydedilir
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+
+  // Yazmalar sıraya alınır; yarım dosya kalmaması için önce geçici dosyaya yazılır
+  function save() {
+    pendingSave = pendingSave.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const data = { shops: {} };
+      stats.forEach((types, shop) => {
+        data.shops[shop] = {};
+        types.forEach((products, type) => {
+          data.shops[shop][type] = Object.fromEntries(products);
+        });
+      });
+      const temp = `${file}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(data));
+      await fs.promises.rename(temp, file);
+    }).catch(error => {
+      console.error(`❌ Etkileşim dosyası yazılamadı (${file}):`, error.message);
+    });
+    return pendingSave;
+  }
+
+  return {
+    registerResponse,
+    recordFeedback,
+    recordEvent,
+    getScores,
+    summary,
+    save
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RATINGS,
+  getQueryType,
+  createEngagementStore
+};
@@ -0,0 +1,125 @@
+// ========== KOLEKSİYON VE METAFIELD FACET'LERİ ==========
+//
+// Mağaza tür, yaş, mama tipi ve diyet bilgisini koleksiyonlarda ("Kedi Maması", "Tahılsız Mamalar")
+// ve ürün metafield'larında (custom.species = "kedi", custom.life_stage = ["yavru"]) tutar.
+// Bu değerler serbest metin tahmininden kesindir:
+//   - hayvan / kategori: ürünün facet'i sorguyla eşleşiyorsa anahtar kelime skorunun üstünde puan alır;
+//     facet'i başka bir türü / kategoriyi gösteriyorsa ürün elenir
+//   - özel durumlar (kısır, yavru, tahılsız...): eşleşen her durum için ek puan
+// Facet'i olmayan ürünler (REST çekimi, eksik etiketleme) anahtar kelime skoruyla yarışmaya devam eder.
+
+const { normalizeText, stemWord } = require('./normalize');
+
+// Anlamı değiştiren yapım ekleri: "balıklı" balık değildir, "tavuksuz" tavuk değildir
+const DERIVATIONAL = /(li|lu|lik|luk|siz|suz)$/;
+
+// Shopify metafield değeri → metin listesi. Liste tipleri JSON dizisi olarak gelir;
+// referanslar (gid://...) metin içermediği için alınmaz
+function readMetafieldValues(metafield) {
+  let values = [metafield.value];
+  if (String(metafield.type || '').startsWith('list.')) {
+    try {
+      values = JSON.parse(metafield.value);
+    } catch (error) {
+      values = [metafield.value];
+    }
+  }
+  return (Array.isArray(values) ? values : [values])
+    .map(value => (typeof value === 'string' ? value : String(value)).trim())
+    .filter(value => value && !value.startsWith('gid://'));
+}
+
+// [{ namespace, key, value, type }] → { "custom.species": ["kedi"] } (sadece izinli namespace'ler)
+function normalizeMetafields(metafields, namespaces) {
+  const result = {};
+  (metafields || [])
+    .filter(m => namespaces.includes(m.namespace))
+    .forEach(m => {
+      const values = readMetafieldValues(m);
+      if (values.length > 0) result[`${m.namespace}.${m.key}`] = values;
+    });
+  return result;
+}
+
+// Facet metinleri bir kez normalize edilip üründe saklanır: { words: Set, text: " kedi mamasi ... " }
+function getFacetText(product) {
+  if (!product.facetText) {
+    const values = [
+      ...(product.collections || []).flatMap(c => [c.title, c.handle]),
+      ...Object.values(product.metafields || {}).flat()
+    ].map(normalizeText).filter(Boolean);
+
+    product.facetText = {
+      words: new Set(values.flatMap(value => value.split(' '))),
+      text: ` ${values.join(' | ')} `
+    };
+  }
+  return product.facetText;
+}
+
+function hasFacets(product) {
+  return (product.collections && product.collections.length > 0) ||
+    Object.keys(product.metafields || {}).length > 0;
+}
+
+// Terim facet'lerde geçiyor mu? Tek kelime: kendisi ya da çekim ekli hali ("kediler", "maması");
+// çok kelimeli terim ("grain free"): ifade olarak
+function facetIncludes(facetText, term) {
+  if (term.includes(' ')) {
+    return facetText.text.includes(` ${term} `);
+  }
+  if (facetText.words.has(term)) return true;
+  for (const word of facetText.words) {
+    if (word.startsWith(term) && !DERIVATIONAL.test(word) && stemWord(word) === term) return true;
+  }
+  return false;
+}
+
+// Sorgu bir kez derlenir: { animal, category, specials } (kelimeler normalize)
+// animals / categories: sözlükteki tüm değerler (başka değeri gösteren facet'i tanımak için)
+function createFacetQuery(searchTerms, { animals, categories }) {
+  const dimension = (value, all) => value
+    ? { term: normalizeText(value), others: all.map(normalizeText).filter(v => v && v !== normalizeText(value)) }
+    : null;
+
+  // "2 aylık yavru": yaş ve "yavru" kuralı aynı grubu iki kez ekleyebilir
+  const specials = new Map();
+  (searchTerms.specialGroups || []).forEach(group => {
+    const terms = group.map(normalizeText);
+    specials.set(terms.join('|'), terms);
+  });
+
+  return {
+    animal: dimension(searchTerms.animal, animals),
+    category: dimension(searchTerms.category, categories),
+    specials: [...specials.values()]
+  };
+}
+
+// { animal, category }: 'match' | 'mismatch' | null (facet bilgisi yok), specials: eşleşen durum sayısı
+function matchFacets(product, facetQuery) {
+  if (!hasFacets(product)) {
+    return { animal: null, category: null, specials: 0 };
+  }
+
+  const facetText = getFacetText(product);
+  const compare = dimension => {
+    if (!dimension) return null;
+    if (facetIncludes(facetText, dimension.term)) return 'match';
+    return dimension.others.some(other => facetIncludes(facetText, other)) ? 'mismatch' : null;
+  };
+
+  return {
+    animal: compare(facetQuery.animal),
+    category: compare(facetQuery.category),
+    specials: facetQuery.specials.filter(group => group.some(term => facetIncludes(facetText, term))).length
+  };
+}
+
+module.exports = {
+  normalizeMetafields,
+  getFacetText,
+  hasFacets,
+  createFacetQuery,
+  matchFacets
+};
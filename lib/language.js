@@ -0,0 +1,320 @@
+// ========== DİL ALGILAMA VE ÇOK DİLLİ YANITLAR ==========
+//
+// Her mesajın dili algılanır (tr, en, de, ar). Türkçe dışındaki mesajlar sözlükteki "languages"
+// tablolarıyla Türkçe sorgu kelimelerine çevrilir, böylece buildSearchTerms aynı kalır:
+//   "grain free cat food without chicken under 500 tl" → "tahılsız kedi mama tavuk yok en fazla 500 tl"
+//   "Katzenfutter ohne Huhn"                            → "kedi mama tavuk yok"
+// Hariç tutulan içeriğin diğer adları yine sözlüğün "ingredients" tablosundan gelir (tavuk → chicken, tavuklu).
+// Sistem prompt'unun girişi ve hazır yanıtlar (sonuç yok, hata, güvenlik notu, sepet) müşterinin dilinde üretilir.
+
+const { toLowerTr, matchesAnyWord } = require('./normalize');
+
+const SUPPORTED_LANGUAGES = ['tr', 'en', 'de', 'ar'];
+const DEFAULT_LANGUAGE = 'tr';
+
+// Sistem prompt'unda yanıt dilini belirtmek için
+const LANGUAGE_NAMES = {
+  tr: 'Türkçe',
+  en: 'İngilizce',
+  de: 'Almanca',
+  ar: 'Arapça'
+};
+
+// Dile özgü harfler (ö/ü Almancada da var, sayılmaz)
+const ARABIC_SCRIPT = /[\u0600-\u06FF]/;
+const LETTER_HINTS = {
+  tr: /[ğışçİ]/,
+  de: /[ßä]/
+};
+const LETTER_HINT_WEIGHT = 2;
+
+const CURRENCY_WORDS = ['tl', 'lira', 'liras', '₺', 'ليرة'];
+const CONJUNCTIONS = ['or', 'and', 'nor', 'oder', 'und', 'noch', 'أو', 'او', 'و'];
+
+const REPLIES = {
+  tr: {
+    promptIntro: 'Sen Laylapet\'in AI danışmanısın! 🐾 Türkçe konuş, profesyonel ama samimi ol.',
+    noResults: 'Bu kriterlere uygun ürün bulamadım 😔\n\nBaşka bir şey deneyebilir misin?\n\n💡 Öneriler:\n• "Kedi maması"\n• "Tavuksuz kedi maması"\n• "Tahılsız köpek maması"\n• "Az balık içerikli mama"',
+    error: message => `Bir hata oluştu: ${message}`,
+    missingFields: 'Mesaj veya shop domain eksik',
+    shopNotAllowed: 'Bu mağaza için asistan yetkili değil',
+    originNotAllowed: 'Bu site için asistan yetkili değil',
+    rateLimited: seconds => `Çok fazla mesaj gönderildi, lütfen ${seconds} saniye sonra tekrar dene 🙏`,
+    safetyNote: (titles, words) => `\n\n⚠️ Not: ${titles} istemediğin içerikleri (${words}) barındırdığı için önerilerden çıkarıldı. Lütfen bu ürün(ler)i tercih etme.`,
+    safeAlternative: 'İstemediğin içerikleri barındırmayan alternatif',
+    cartReady: (count, link) => `🛒 ${count} ürün sepetine eklenmeye hazır! Ödemeye geçmek için: [Sepete git](${link})`,
+    cartUnavailable: titles => `\n\n⚠️ ${titles} şu anda stokta yok, sepete eklenmedi.`,
+    cartEmpty: 'Sepete eklenecek bir öneri bulamadım 🛒 Önce ne aradığını söyler misin?'
+  },
+  en: {
+    promptIntro: 'You are Laylapet\'s AI advisor! 🐾 Reply in English, be professional but friendly.',
+    noResults: 'I couldn\'t find any products matching these criteria 😔\n\nCould you try something else?\n\n💡 Suggestions:\n• "Cat food"\n• "Chicken-free cat food"\n• "Grain-free dog food"\n• "Senior dog food"',
+    error: message => `Something went wrong: ${message}`,
+    missingFields: 'Message or shop domain is missing',
+    shopNotAllowed: 'The assistant is not enabled for this shop',
+    originNotAllowed: 'The assistant is not enabled for this site',
+    rateLimited: seconds => `Too many messages, please try again in ${seconds} seconds 🙏`,
+    safetyNote: (titles, words) => `\n\n⚠️ Note: ${titles} contained ingredients you wanted to avoid (${words}) and was removed from the recommendations. Please don't choose these products.`,
+    safeAlternative: 'Alternative without the ingredients you want to avoid',
+    cartReady: (count, link) => `🛒 ${count} item(s) ready for your cart! To check out: [Go to cart](${link})`,
+    cartUnavailable: titles => `\n\n⚠️ ${titles}: currently out of stock, not added.`,
+    cartEmpty: 'I don\'t have any recommendations to add to your cart yet 🛒 What are you looking for?'
+  },
+  de: {
+    promptIntro: 'Du bist der KI-Berater von Laylapet! 🐾 Antworte auf Deutsch, professionell aber freundlich.',
+    noResults: 'Ich habe keine passenden Produkte gefunden 😔\n\nMöchtest du etwas anderes versuchen?\n\n💡 Vorschläge:\n• "Katzenfutter"\n• "Katzenfutter ohne Huhn"\n• "Getreidefreies Hundefutter"\n• "Futter für ältere Hunde"',
+    error: message => `Es ist ein Fehler aufgetreten: ${message}`,
+    missingFields: 'Nachricht oder Shop-Domain fehlt',
+    shopNotAllowed: 'Der Assistent ist für diesen Shop nicht freigegeben',
+    originNotAllowed: 'Der Assistent ist für diese Website nicht freigegeben',
+    rateLimited: seconds => `Zu viele Nachrichten, bitte versuche es in ${seconds} Sekunden erneut 🙏`,
+    safetyNote: (titles, words) => `\n\n⚠️ Hinweis: ${titles} enthielt unerwünschte Zutaten (${words}) und wurde aus den Empfehlungen entfernt. Bitte wähle diese Produkte nicht.`,
+    safeAlternative: 'Alternative ohne die unerwünschten Zutaten',
+    cartReady: (count, link) => `🛒 ${count} Artikel bereit für deinen Warenkorb! Zur Kasse: [Zum Warenkorb](${link})`,
+    cartUnavailable: titles => `\n\n⚠️ ${titles}: derzeit nicht auf Lager, nicht hinzugefügt.`,
+    cartEmpty: 'Ich habe noch keine Empfehlungen für deinen Warenkorb 🛒 Wonach suchst du?'
+  },
+  ar: {
+    promptIntro: 'أنت مستشار Laylapet الذكي! 🐾 أجب باللغة العربية بأسلوب مهني وودود.',
+    noResults: 'لم أجد منتجات تطابق هذه المعايير 😔\n\nهل يمكنك تجربة شيء آخر؟\n\n💡 اقتراحات:\n• "طعام قطط"\n• "طعام قطط بدون دجاج"\n• "طعام كلاب خالي من الحبوب"',
+    error: message => `حدث خطأ: ${message}`,
+    missingFields: 'الرسالة أو نطاق المتجر مفقود',
+    shopNotAllowed: 'المساعد غير مفعّل لهذا المتجر',
+    originNotAllowed: 'المساعد غير مفعّل لهذا الموقع',
+    rateLimited: seconds => `رسائل كثيرة جدًا، يرجى المحاولة مرة أخرى بعد ${seconds} ثانية 🙏`,
+    safetyNote: (titles, words) => `\n\n⚠️ ملاحظة: تمت إزالة ${titles} من التوصيات لأنه يحتوي على مكونات لا ترغب بها (${words}). يرجى عدم اختيار هذه المنتجات.`,
+    safeAlternative: 'بديل خالٍ من المكونات التي لا ترغب بها',
+    cartReady: (count, link) => `🛒 ${count} منتج جاهز لسلتك! لإتمام الشراء: [اذهب إلى السلة](${link})`,
+    cartUnavailable: titles => `\n\n⚠️ ${titles}: غير متوفر حاليًا ولم تتم إضافته.`,
+    cartEmpty: 'لا توجد توصيات لإضافتها إلى السلة بعد 🛒 عمّ تبحث؟'
+  }
+};
+
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+// Hazır yanıt: getReply('en', 'rateLimited', 30). Bilinmeyen dilde Türkçe döner
+function getReply(language, key, ...args) {
+  const value = (REPLIES[language] || REPLIES[DEFAULT_LANGUAGE])[key];
+  return typeof value === 'function' ? value(...args) : value;
+}
+
+// "de-DE,de;q=0.9,en;q=0.8" → desteklenen ilk dil (q değerine göre) ya da null
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { language: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.substring(2)) || 0 : 1, i };
+    })
+    .filter(entry => entry.q > 0 && isSupportedLanguage(entry.language))
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(entry => entry.language)[0] || null;
+}
+
+// ========== SÖZLÜK TABLOLARI ==========
+
+// Sözlükteki dil tablosunu eşleştirmeye hazır hale getirir (lib/vocabulary.js derlerken çağırır)
+//   words: { "cat": "kedi", "grain free": "tahılsız" } — çok kelimeliler önce, uzundan kısaya denenir
+function compileLexicon(lexicon) {
+  const toPhrases = list => list
+    .map(text => text.split(' '))
+    .sort((a, b) => b.length - a.length);
+
+  return {
+    words: new Map(Object.entries(lexicon.words)),
+    phrases: toPhrases(Object.keys(lexicon.words).filter(key => key.includes(' '))),
+    stopWords: new Set(lexicon.stopWords),
+    negation: toPhrases(lexicon.negation),
+    negationSuffixes: lexicon.negationSuffixes,
+    priceMax: toPhrases(lexicon.priceMax),
+    priceMin: toPhrases(lexicon.priceMin),
+    prefixes: lexicon.prefixes,
+    suffixes: lexicon.suffixes
+  };
+}
+
+// Türkçe olmayan metin: küçük harf, Arapça rakamlar, kelime içi tire ("chicken-free") ve noktalama
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/['’]s\b/g, '')
+    .replace(/(\p{L})-(\p{L})/gu, '$1 $2')
+    .replace(/[!?;:"“”()¿¡،؟]|(?<!\d)[.,]|[.,](?!\d)/g, ' ')
+    .split(/\s+/)
+    .filter(token => token);
+}
+
+// Tablodaki kelime; yoksa ön/son ekleri atılarak denenir ("cats" → "cat", "القطط" → "قطط")
+function lookupWord(lexicon, token) {
+  if (lexicon.words.has(token)) return lexicon.words.get(token);
+
+  for (const prefix of lexicon.prefixes) {
+    if (token.startsWith(prefix) && token.length - prefix.length >= 2 && lexicon.words.has(token.slice(prefix.length))) {
+      return lexicon.words.get(token.slice(prefix.length));
+    }
+  }
+  for (const suffix of lexicon.suffixes) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= 3 && lexicon.words.has(token.slice(0, -suffix.length))) {
+      return lexicon.words.get(token.slice(0, -suffix.length));
+    }
+  }
+  return null;
+}
+
+// tokens[i]'den başlayan en uzun ifade (kelime listesi olarak verilmiş), eşleşen kelime sayısı
+function matchPhrase(tokens, i, phrases) {
+  const phrase = phrases.find(words => words.every((word, k) => tokens[i + k] === word));
+  return phrase ? phrase.length : 0;
+}
+
+// tokens[i]'deki kelime ya da çok kelimeli ifade → { text: Türkçe karşılığı ya da kelimenin kendisi, next }
+function translateAt(lexicon, tokens, i) {
+  const length = matchPhrase(tokens, i, lexicon.phrases);
+  if (length > 0) {
+    return { text: lexicon.words.get(tokens.slice(i, i + length).join(' ')), next: i + length };
+  }
+  return { text: lookupWord(lexicon, tokens[i]) || tokens[i], next: i + 1 };
+}
+
+// "under 500 tl", "unter 500", "أقل من ٥٠٠ ليرة" → "en fazla 500 tl" (oran ifadesi "less than 10%" fiyat değil)
+function matchPrice(lexicon, tokens, i) {
+  for (const [phrases, turkish] of [[lexicon.priceMax, 'en fazla'], [lexicon.priceMin, 'en az']]) {
+    const length = matchPhrase(tokens, i, phrases);
+    if (length === 0) continue;
+
+    const amount = (tokens[i + length] || '').match(/^₺?(\d[\d.,]*)(tl|₺)?$/);
+    if (!amount) continue;
+
+    let next = i + length + 1;
+    if (CURRENCY_WORDS.includes(tokens[next])) next++;
+    return { text: `${turkish} ${amount[1]} tl`, next };
+  }
+  return null;
+}
+
+// Türkçe olmayan mesajı buildSearchTerms'in anladığı Türkçe sorguya çevirir.
+// Tabloda olmayan kelimeler (marka adları) olduğu gibi kalır, dolgu kelimeleri atılır.
+function toSearchQuery(message, language, vocab) {
+  const lexicon = language !== DEFAULT_LANGUAGE ? vocab.languages[language] : null;
+  if (!lexicon) return message;
+
+  const tokens = tokenize(message);
+  const output = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    // 1. Çok kelimeli ifade: "grain free" → "tahılsız", "years old" → "yaş"
+    const phraseLength = matchPhrase(tokens, i, lexicon.phrases);
+    if (phraseLength > 0) {
+      const { text, next } = translateAt(lexicon, tokens, i);
+      output.push(text);
+      i = next;
+      continue;
+    }
+
+    // 2. Fiyat sınırı
+    const price = matchPrice(lexicon, tokens, i);
+    if (price) {
+      output.push(price.text);
+      i = price.next;
+      continue;
+    }
+
+    // 3. Olumsuz: "without chicken or beef", "ohne Huhn" → "tavuk yok sığır yok"
+    const negationLength = matchPhrase(tokens, i, lexicon.negation);
+    if (negationLength > 0 && i + negationLength < tokens.length) {
+      let next = i + negationLength;
+      do {
+        const ingredient = translateAt(lexicon, tokens, next);
+        output.push(`${ingredient.text} yok`);
+        next = ingredient.next;
+      } while (CONJUNCTIONS.includes(tokens[next]) && next + 1 < tokens.length && ++next);
+      i = next;
+      continue;
+    }
+
+    // 4. "chicken free" / "chicken-free" / "hühnchenfrei" → "tavuk yok"
+    const word = translateAt(lexicon, tokens, i);
+    if (lexicon.negationSuffixes.includes(tokens[word.next])) {
+      output.push(`${word.text} yok`);
+      i = word.next + 1;
+      continue;
+    }
+    const suffix = lexicon.negationSuffixes.find(s => tokens[i].endsWith(s) && tokens[i].length - s.length >= 3);
+    if (suffix && !lexicon.words.has(tokens[i])) {
+      output.push(`${lookupWord(lexicon, tokens[i].slice(0, -suffix.length)) || tokens[i].slice(0, -suffix.length)} yok`);
+      i++;
+      continue;
+    }
+
+    // 5. Tek kelime; dolgu kelimeleri atılır
+    if (!lexicon.stopWords.has(tokens[i]) || word.text !== tokens[i]) {
+      output.push(word.text);
+    }
+    i = word.next;
+  }
+
+  return output.join(' ');
+}
+
+// ========== ALGILAMA ==========
+
+// Mesajın dili ya da emin olunamıyorsa null ("royal canin", "ok", "2 kg")
+// Türkçe: sözlükteki sorgu, dolgu ve olumsuz kelimeleri; diğerleri: dil tablosundaki kelimeler
+function detectLanguage(message, vocab) {
+  const text = String(message || '');
+  if (ARABIC_SCRIPT.test(text) && vocab.languages.ar) return 'ar';
+
+  const scores = new Map();
+  const trWords = toLowerTr(text).split(/[^\p{L}]+/u).filter(word => word.length > 1);
+  scores.set(DEFAULT_LANGUAGE, trWords.filter(word => matchesAnyWord(word, vocab.turkishWords)).length);
+
+  const tokens = tokenize(text);
+  Object.entries(vocab.languages).forEach(([language, lexicon]) => {
+    scores.set(language, tokens.filter(token => lexicon.stopWords.has(token) || lookupWord(lexicon, token)).length);
+  });
+
+  Object.entries(LETTER_HINTS).forEach(([language, pattern]) => {
+    if (scores.has(language) && pattern.test(text)) {
+      scores.set(language, scores.get(language) + LETTER_HINT_WEIGHT);
+    }
+  });
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  if (ranked[0][1] === 0 || (ranked[1] && ranked[1][1] === ranked[0][1])) return null;
+  return ranked[0][0];
+}
+
+// Öncelik: istekteki tercih (body.language) → algılanan dil → oturumun son dili → Accept-Language → Türkçe
+// Dili belirsiz mesajlar ("royal canin", "2 kg") konuşmanın dilini değiştirmez
+function resolveLanguage({ message, requested = null, previous = null, acceptLanguage = null }, vocab) {
+  // Açıkça istenen dil (mağaza dili sabitlemiş olabilir) algılamadan önce gelir
+  const preferred = String(requested || '').toLowerCase().split('-')[0];
+  if (isSupportedLanguage(preferred)) return { language: preferred, source: 'request' };
+
+  const detected = detectLanguage(message, vocab);
+  if (detected) return { language: detected, source: 'detected' };
+  if (isSupportedLanguage(previous)) return { language: previous, source: 'session' };
+
+  const header = parseAcceptLanguage(acceptLanguage);
+  if (header) return { language: header, source: 'header' };
+
+  return { language: DEFAULT_LANGUAGE, source: 'default' };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  isSupportedLanguage,
+  getReply,
+  parseAcceptLanguage,
+  compileLexicon,
+  toSearchQuery,
+  detectLanguage,
+  resolveLanguage
+};
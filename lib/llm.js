@@ -0,0 +1,332 @@
+// ========== LLM SAĞLAYICILARI ==========
+//
+// Her sağlayıcı aynı arayüzü uygular:
+//   complete({ messages, context, responseFormat })                 → { content, usage }
+//   stream({ messages, context, responseFormat, onToken, signal })  → { content, usage }
+//
+// context: { products, domain, language } — sadece offline (mock) sağlayıcı kullanır.
+// responseFormat: { name, schema } — verilirse yanıt bu JSON şemasına uyan bir string olur.
+
+const { getReply } = require('./language');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+// LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY, LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_TIMEOUT_MS,
+// LLM_STRUCTURED_OUTPUT (json_schema | json_object | none)
+function loadLLMConfig(env) {
+  return {
+    provider: (env.LLM_PROVIDER || 'openai').toLowerCase(),
+    model: env.LLM_MODEL || 'gpt-4-turbo-preview',
+    baseUrl: (env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ''),
+    apiKey: env.LLM_API_KEY || env.OPENAI_KEY || '',
+    temperature: env.LLM_TEMPERATURE !== undefined ? parseFloat(env.LLM_TEMPERATURE) : 0.8,
+    maxTokens: env.LLM_MAX_TOKENS !== undefined ? parseInt(env.LLM_MAX_TOKENS, 10) : 500,
+    timeoutMs: env.LLM_TIMEOUT_MS !== undefined ? parseInt(env.LLM_TIMEOUT_MS, 10) : 60000,
+    // json_schema desteklemeyen OpenAI uyumlu sunucular için json_object veya none
+    structuredOutput: (env.LLM_STRUCTURED_OUTPUT || 'json_schema').toLowerCase()
+  };
+}
+
+function createLLMProvider(config) {
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(`Bilinmeyen LLM sağlayıcısı: ${config.provider} (mevcut: ${Object.keys(providerFactories).join(', ')})`);
+  }
+  return factory(config);
+}
+
+// Yeni sağlayıcı eklemek için: registerLLMProvider('isim', config => ({ name, model, complete, stream }))
+function registerLLMProvider(name, factory) {
+  providerFactories[name.toLowerCase()] = factory;
+}
+
+// ========== OPENAI (ve OpenAI uyumlu self-hosted sunucular) ==========
+
+function createOpenAIProvider(config) {
+  const url = `${config.baseUrl}/chat/completions`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  const buildResponseFormat = responseFormat => {
+    if (!responseFormat || config.structuredOutput === 'none') return undefined;
+    if (config.structuredOutput === 'json_object') return { type: 'json_object' };
+    return {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true }
+    };
+  };
+
+  const buildBody = (messages, responseFormat, extra) => JSON.stringify({
+    model: config.model,
+    messages,
+    temperature: config.temperature,
+    max_tokens: config.maxTokens,
+    response_format: buildResponseFormat(responseFormat),
+    ...extra
+  });
+
+  // Kullanıcı iptali ile zaman aşımını tek sinyalde birleştir (Node 18 uyumlu)
+  const buildSignal = signal => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('LLM zaman aşımı')), config.timeoutMs);
+    timer.unref();
+    if (signal) {
+      if (signal.aborted) controller.abort(signal.reason);
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller.signal;
+  };
+
+  async function complete({ messages, responseFormat }) {
+    const aiRes = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: buildBody(messages, responseFormat),
+      signal: buildSignal()
+    });
+
+    const aiData = await aiRes.json();
+    
+    console.log('🤖 LLM status:', aiRes.status);
+    
+    if (aiData.error) {
+      console.error('❌ LLM error:', aiData.error);
+      throw new Error('OpenAI hatası: ' + aiData.error.message);
+    }
+    
+    if (!aiData.choices || !aiData.choices[0]) {
+      console.error('❌ No choices:', aiData);
+      throw new Error('OpenAI yanıt vermedi');
+    }
+
+    return {
+      content: aiData.choices[0].message.content || '',
+      usage: aiData.usage || null
+    };
+  }
+
+  // stream: true ile parça parça yanıt; her parça onToken'a verilir
+  async function stream({ messages, responseFormat, onToken, signal }) {
+    const aiRes = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: buildBody(messages, responseFormat, { stream: true, stream_options: { include_usage: true } }),
+      signal: buildSignal(signal)
+    });
+
+    console.log('🤖 LLM stream status:', aiRes.status);
+
+    if (!aiRes.ok) {
+      const errorData = await aiRes.json().catch(() => ({}));
+      console.error('❌ LLM error:', errorData.error);
+      throw new Error('OpenAI hatası: ' + (errorData.error ? errorData.error.message : aiRes.status));
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of aiRes.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // SSE satırları: "data: {...}" veya "data: [DONE]"
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return { content, usage };
+
+        const parsed = JSON.parse(data);
+        if (parsed.error) {
+          throw new Error('OpenAI hatası: ' + parsed.error.message);
+        }
+        if (parsed.usage) {
+          usage = parsed.usage;
+        }
+
+        const token = parsed.choices && parsed.choices[0] && parsed.choices[0].delta
+          ? parsed.choices[0].delta.content
+          : null;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+    }
+
+    if (!content) {
+      throw new Error('OpenAI yanıt vermedi');
+    }
+    return { content, usage };
+  }
+
+  return {
+    name: 'openai',
+    model: config.model,
+    structuredOutput: config.structuredOutput !== 'none',
+    complete,
+    stream
+  };
+}
+
+// ========== MOCK (offline, deterministik) ==========
+//
+// Ağ bağlantısı ve API anahtarı olmadan tüm sohbet akışını çalıştırmak için.
+// Aynı ürün listesi için her zaman aynı yanıtı üretir: ilk 3 ürünü sırayla önerir.
+
+// context.language'e göre (yoksa Türkçe)
+const MOCK_TEXTS = {
+  tr: { intro: query => `🐾 "${query}" için önerilerim:`, best: 'Aramanızla en iyi eşleşen ürün', alternative: 'Alternatif seçenek' },
+  en: { intro: query => `🐾 My recommendations for "${query}":`, best: 'Best match for your search', alternative: 'Alternative option' },
+  de: { intro: query => `🐾 Meine Empfehlungen für "${query}":`, best: 'Passt am besten zu deiner Suche', alternative: 'Alternative' },
+  ar: { intro: query => `🐾 توصياتي لـ "${query}":`, best: 'أفضل تطابق مع بحثك', alternative: 'خيار بديل' }
+};
+
+function createMockProvider(config) {
+  function getTexts(context) {
+    return MOCK_TEXTS[context && context.language] || MOCK_TEXTS.tr;
+  }
+
+  function buildProse(messages, context) {
+    const products = (context && context.products) || [];
+    const domain = (context && context.domain) || 'localhost';
+    const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+
+    if (products.length === 0) {
+      return getReply(context && context.language, 'noResults');
+    }
+
+    const lines = products.slice(0, 3).map((p, i) => {
+      const variant = p.selectedVariant;
+      const price = parseFloat(variant ? variant.price : p.priceRange.minVariantPrice.amount).toFixed(2);
+      return `${i + 1}. [${p.title}](https://${domain}/products/${p.handle}) - ${price} TL ✅`;
+    });
+
+    return `${getTexts(context).intro(lastUserMessage ? lastUserMessage.content : '')}\n\n${lines.join('\n')}`;
+  }
+
+  function buildReply(messages, context, responseFormat) {
+    const prose = buildProse(messages, context);
+    if (!responseFormat) return prose;
+
+    const products = (context && context.products) || [];
+    const texts = getTexts(context);
+    return JSON.stringify({
+      reply: prose,
+      recommendations: products.slice(0, 3).map((p, i) => ({
+        id: p.id,
+        reason: i === 0 ? texts.best : texts.alternative
+      }))
+    });
+  }
+
+  // Kelime sayısına dayalı yaklaşık kullanım bilgisi
+  function estimateUsage(messages, content) {
+    const count = text => String(text || '').split(/\s+/).filter(w => w).length;
+    const promptTokens = messages.reduce((sum, m) => sum + count(m.content), 0);
+    const completionTokens = count(content);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  async function complete({ messages, context, responseFormat }) {
+    const content = buildReply(messages, context, responseFormat);
+    return { content, usage: estimateUsage(messages, content) };
+  }
+
+  async function stream({ messages, context, responseFormat, onToken, signal }) {
+    const content = buildReply(messages, context, responseFormat);
+    // Gerçek API gibi küçük parçalar (JSON yanıtta kaçış dizileri de bölünebilir)
+    const tokens = content.match(/[\s\S]{1,8}/g) || [];
+
+    for (const token of tokens) {
+      if (signal && signal.aborted) {
+        throw new Error('İstek iptal edildi');
+      }
+      onToken(token);
+    }
+    return { content, usage: estimateUsage(messages, content) };
+  }
+
+  return { name: 'mock', model: 'mock', structuredOutput: true, complete, stream };
+}
+
+// ========== YAPILANDIRILMIŞ YANIT STREAMING ==========
+//
+// JSON yanıt parça parça gelirken tek bir string alanın ({"reply": "..."}) çözülmüş metnini
+// geldikçe onText'e verir. Diğer alanlar yok sayılır.
+
+function createJsonStringFieldStream(field, onText) {
+  const keyPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+  let pending = '';   // Alan başlangıcı bulunana kadar biriken ham metin
+  let state = 'search'; // search → value → done
+  let escape = null;  // Yarım kalmış kaçış dizisi (ör. \u00 ile biten parça)
+
+  function decodeValue(chunk) {
+    let text = '';
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (escape !== null) {
+        escape += char;
+        if (escape.startsWith('\\u')) {
+          if (escape.length < 6) continue;
+          text += String.fromCharCode(parseInt(escape.slice(2), 16));
+        } else {
+          const map = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+          text += map[char] !== undefined ? map[char] : char;
+        }
+        escape = null;
+        continue;
+      }
+
+      if (char === '\\') {
+        escape = '\\';
+      } else if (char === '"') {
+        state = 'done';
+        break;
+      } else {
+        text += char;
+      }
+    }
+    if (text) onText(text);
+  }
+
+  return function push(chunk) {
+    if (state === 'done') return;
+
+    if (state === 'search') {
+      pending += chunk;
+      const match = pending.match(keyPattern);
+      if (!match) return;
+      state = 'value';
+      chunk = pending.slice(match.index + match[0].length);
+      pending = '';
+    }
+
+    decodeValue(chunk);
+  };
+}
+
+module.exports = {
+  createJsonStringFieldStream,
+  loadLLMConfig,
+  createLLMProvider,
+  registerLLMProvider
+};
@@ -0,0 +1,186 @@
+// ========== TÜRKÇE METİN NORMALİZASYONU ==========
+//
+// Sorgu ve ürün tarafı aynı biçime indirgenir, böylece yazım farkları eşleşmeyi bozmaz:
+//   "KÖPEĞİM İÇİN"  → "kopegim icin"   (Türkçe küçük harf + aksan katlama)
+//   "mamaları"      → "mama"           (basit ek temizleme)
+//   "mnama"         → "mama"           (sözlüğe karşı bulanık eşleme)
+
+// Aksan katlama: ç→c, ğ→g, ı→i, ö→o, ş→s, ü→u (â, é gibi diğerleri de)
+const DOTLESS_I = /ı/g;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const NON_WORD = /[^a-z0-9%+]+/g;
+
+// Uzundan kısaya: önce "larından", sonra "lar"
+const SUFFIXES = [
+  'larindan', 'lerinden', 'larina', 'lerine', 'larini', 'lerini', 'larin', 'lerin',
+  'lari', 'leri', 'lar', 'ler',
+  'imiz', 'umuz', 'miz', 'muz',
+  'imin', 'umun', 'ime', 'ima', 'ume', 'uma', 'im', 'um',
+  'dan', 'den', 'tan', 'ten', 'nin', 'nun',
+  'si', 'su', 'yi', 'yu', 'ye', 'ya', 'me', 'ma',
+  'lik', 'luk', 'li', 'lu'
+];
+const MIN_STEM_LENGTH = 3;
+
+// Kısa kelimeler (normalizeText) tekrar tekrar hesaplanmasın: skorlama döngüsünde çağrılıyor
+const normalizeCache = new Map();
+const NORMALIZE_CACHE_LIMIT = 5000;
+
+function toLowerTr(text) {
+  return String(text || '').toLocaleLowerCase('tr-TR');
+}
+
+function foldText(text) {
+  return toLowerTr(text)
+    .replace(DOTLESS_I, 'i')
+    .normalize('NFD')
+    .replace(COMBINING_MARKS, '');
+}
+
+// Küçük harf + katlama + noktalama temizliği: "Royal Canin® Kedi-Maması!" → "royal canin kedi mamasi"
+function normalizeText(text) {
+  const key = String(text || '');
+  const short = key.length <= 60;
+  if (short && normalizeCache.has(key)) return normalizeCache.get(key);
+
+  const normalized = foldText(key).replace(NON_WORD, ' ').trim();
+
+  if (short) {
+    if (normalizeCache.size >= NORMALIZE_CACHE_LIMIT) normalizeCache.clear();
+    normalizeCache.set(key, normalized);
+  }
+  return normalized;
+}
+
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Tek katman iyelik/çoğul/hal eki temizler: "kedime" → "kedi", "köpeğim" → "kopek", "mamaları" → "mama"
+function stemWord(word) {
+  let stem = normalizeText(word);
+  if (/\d/.test(stem)) return stem;
+
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= MIN_STEM_LENGTH);
+    if (!suffix) break;
+    stem = stem.slice(0, -suffix.length);
+  }
+
+  // Ünsüz yumuşaması geri alınır: "köpeğ-im" → "köpek"
+  if (stem.length >= 4 && /[aeiou]g$/.test(stem) && stem !== normalizeText(word)) {
+    stem = stem.slice(0, -1) + 'k';
+  }
+  return stem;
+}
+
+// Levenshtein mesafesi; max aşılınca erken çıkar
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Kelime uzunluğuna göre kabul edilen yazım hatası: kısa kelimede hiç ("kuzu" ≠ "kuru"), uzunda 2'ye kadar
+function allowedDistance(length) {
+  if (length < 5) return 0;
+  if (length <= 7) return 1;
+  return 2;
+}
+
+function fuzzyEquals(a, b) {
+  const max = allowedDistance(Math.max(a.length, b.length));
+  return max > 0 && editDistance(a, b, max) <= max;
+}
+
+// Metindeki herhangi bir kelime, aranan kelimeye yazım hatası toleransıyla eşit mi?
+// ("royl canin" içinde "royal" → true)
+function fuzzyIncludes(text, word) {
+  const target = normalizeText(word);
+  if (!target) return false;
+  const normalized = normalizeText(text);
+  if (normalized.includes(target)) return true;
+  return normalized.split(' ').some(token => fuzzyEquals(token, target));
+}
+
+// Kullanıcı mesajı için eşleştirici. Her kelime önce olduğu gibi, sonra eki atılmış haliyle,
+// en son da sözlüğe karşı bulanık olarak çözülür. Sözlük, bulanık eşlemenin yanlış kelimeye
+// kaymasını önler ("taşıma" sözlükte olduğu için "tasma"ya düşmez).
+function createQueryMatcher(text, vocabulary = []) {
+  const normalized = normalizeText(text);
+  const tokens = normalized ? normalized.split(' ') : [];
+  const known = new Set(vocabulary.map(normalizeText));
+  const forms = new Set();
+  const unresolved = [];
+
+  tokens.forEach(token => {
+    if (known.has(token)) {
+      forms.add(token);
+      return;
+    }
+    const stem = stemWord(token);
+    if (known.has(stem)) {
+      forms.add(stem);
+      return;
+    }
+    const candidates = [...known].filter(word => fuzzyEquals(token, word) || fuzzyEquals(stem, word));
+    if (candidates.length === 1) {
+      forms.add(candidates[0]);
+      return;
+    }
+    forms.add(token);
+    forms.add(stem);
+    unresolved.push(token);
+  });
+
+  // Çözülen kelime, ekli hal ya da (4+ harfte) önek: "kedicik" → "kedi"
+  const hasWord = word => {
+    const target = normalizeText(word);
+    if (!target) return false;
+    if (target.includes(' ')) return ` ${normalized} `.includes(` ${target} `);
+    if (forms.has(target)) return true;
+    return target.length >= 4 && unresolved.some(token => token.startsWith(target));
+  };
+
+  return {
+    normalized,
+    tokens,
+    has: (...words) => words.some(hasWord)
+  };
+}
+
+// Kelime listedeki bir kelimeye (ekli ya da hatalı yazılmış hali dahil) karşılık geliyor mu?
+// ("kedime", "mnama" → ['kedi', 'mama'] listesinde)
+function matchesAnyWord(word, words) {
+  const token = normalizeText(word);
+  const stem = stemWord(token);
+  const list = words.map(normalizeText);
+  return list.includes(token) || list.includes(stem) ||
+    list.some(w => fuzzyEquals(token, w) || fuzzyEquals(stem, w) || (w.length >= 4 && token.startsWith(w)));
+}
+
+module.exports = {
+  toLowerTr,
+  foldText,
+  normalizeText,
+  tokenize,
+  stemWord,
+  editDistance,
+  fuzzyEquals,
+  fuzzyIncludes,
+  createQueryMatcher,
+  matchesAnyWord
+};
@@ -0,0 +1,316 @@
+// ========== EVCİL HAYVAN PROFİLLERİ ==========
+//
+// Profil bir mağazadaki doğrulanmış müşteriye ya da anonim oturuma bağlıdır ve JSON dosyasında saklanır.
+// Sahip anahtarını (mağaza + müşteri/oturum) index.js üretir; dosya büyümesin diye sahip başına ve toplamda sınır vardır.
+// Sohbette aktif profil arama kriterlerine eklenir: tür, yaş (yavru/yetişkin/yaşlı), kısırlık,
+// alerjiler (hariç tutulan içerik) ve sağlık durumları (böbrek, idrar yolu...).
+// Türler, sağlık durumları ve eklenen kelimeler sözlükten gelir (lib/vocabulary.js, derlenmiş hali).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeText } = require('./normalize');
+
+const MAX_NAME_LENGTH = 50;
+const MAX_LIST_ITEMS = 20;
+const MAX_PETS_PER_OWNER = 10;
+const MAX_PROFILES = 50000;
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim().toLocaleLowerCase('tr-TR')).filter(Boolean))];
+}
+
+// Geçerli alanları profile yazar, hataları döner. partial: güncellemede sadece gönderilen alanlar
+function validatePetProfile(input, { partial = false, vocabulary }) {
+  const errors = [];
+  const profile = {};
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('name')) {
+    const name = String(input.name || '').trim();
+    if (!name) errors.push('name gerekli');
+    else if (name.length > MAX_NAME_LENGTH) errors.push(`name en fazla ${MAX_NAME_LENGTH} karakter olabilir`);
+    else profile.name = name;
+  }
+
+  if (!partial || has('species')) {
+    const species = vocabulary.species.find(s => normalizeText(s) === normalizeText(input.species));
+    if (!species) errors.push(`species şunlardan biri olmalı: ${vocabulary.species.join(', ')}`);
+    else profile.species = species;
+  }
+
+  if (has('breed')) {
+    profile.breed = input.breed ? String(input.breed).trim().substring(0, MAX_NAME_LENGTH) : null;
+  }
+
+  if (has('birthDate')) {
+    if (input.birthDate === null || input.birthDate === '') {
+      profile.birthDate = null;
+    } else {
+      const date = new Date(input.birthDate);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(input.birthDate)) || isNaN(date.getTime())) {
+        errors.push('birthDate YYYY-MM-DD biçiminde olmalı');
+      } else if (date.getTime() > Date.now()) {
+        errors.push('birthDate gelecekte olamaz');
+      } else {
+        profile.birthDate = input.birthDate;
+      }
+    }
+  }
+
+  if (has('weightKg')) {
+    if (input.weightKg === null || input.weightKg === '') {
+      profile.weightKg = null;
+    } else {
+      const weight = parseFloat(input.weightKg);
+      if (!(weight > 0) || weight > 150) errors.push('weightKg 0 ile 150 arasında olmalı');
+      else profile.weightKg = weight;
+    }
+  }
+
+  if (has('neutered')) {
+    if (typeof input.neutered !== 'boolean') errors.push('neutered true/false olmalı');
+    else profile.neutered = input.neutered;
+  }
+
+  if (has('allergies')) {
+    const allergies = toList(input.allergies);
+    if (allergies.length > MAX_LIST_ITEMS) errors.push(`En fazla ${MAX_LIST_ITEMS} alerji girilebilir`);
+    else profile.allergies = allergies;
+  }
+
+  if (has('conditions')) {
+    const conditions = toList(input.conditions).map(c => vocabulary.resolveCondition(c) || c);
+    const unknown = conditions.filter(c => !vocabulary.conditions[c]);
+    if (unknown.length > 0) {
+      errors.push(`Bilinmeyen sağlık durumu: ${unknown.join(', ')} (mevcut: ${Object.keys(vocabulary.conditions).join(', ')})`);
+    } else {
+      profile.conditions = [...new Set(conditions)];
+    }
+  }
+
+  return { errors, profile };
+}
+
+// Doğum tarihinden yaş (yıl, ondalıklı); tarih yoksa null
+function getAgeYears(pet, now = Date.now()) {
+  if (!pet.birthDate) return null;
+  return (now - new Date(pet.birthDate).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+function getLifeStage(pet, seniorAge) {
+  const age = getAgeYears(pet);
+  if (age === null) return null;
+  if (age < 1) return 'yavru';
+  if (age >= seniorAge) return 'yaşlı';
+  return 'yetişkin';
+}
+
+// Profili arama kriterlerine ekler (yerinde). Mesaj başka bir türden bahsediyorsa profil uygulanmaz.
+// vocabulary.translate: hariç tutulan içeriğin diğer adları ("tavuk" → "chicken")
+function applyPetProfile(searchTerms, pet, vocabulary) {
+  if (!pet) return false;
+  if (searchTerms.animal && searchTerms.animal !== pet.species) return false;
+
+  searchTerms.animal = pet.species;
+
+  // Her durum hem kelimeleriyle (special) hem grup olarak (specialGroups, facet eşleşmesi) eklenir
+  const addSpecial = terms => {
+    if (!terms || terms.length === 0) return;
+    searchTerms.special.push(...terms);
+    searchTerms.specialGroups.push(terms);
+  };
+
+  // Mesajda yaş belirtildiyse o geçerli
+  const { seniorAge, terms: ageTerms } = vocabulary.lifeStages;
+  const mentionsAge = Object.values(ageTerms).some(terms => terms.some(t => searchTerms.special.includes(t)));
+  const stage = getLifeStage(pet, seniorAge);
+  if (stage && !mentionsAge) {
+    addSpecial(ageTerms[stage]);
+  }
+
+  if (pet.neutered) {
+    addSpecial(vocabulary.neuteredTerms);
+  }
+
+  (pet.conditions || []).forEach(condition => {
+    addSpecial(vocabulary.conditions[condition]);
+  });
+
+  (pet.allergies || []).forEach(allergy => {
+    searchTerms.exclude.push(allergy, ...vocabulary.translate(allergy));
+  });
+
+  searchTerms.special = [...new Set(searchTerms.special)];
+  searchTerms.exclude = [...new Set(searchTerms.exclude)];
+  return true;
+}
+
+// Prompt için tek satır: "Pamuk (kedi, British Shorthair, 3 yaşında, 4.2 kg, kısırlaştırılmış)"
+function describePet(pet) {
+  const details = [pet.species];
+  if (pet.breed) details.push(pet.breed);
+
+  const age = getAgeYears(pet);
+  if (age !== null) {
+    details.push(age < 1 ? `${Math.max(1, Math.floor(age * 12))} aylık` : `${Math.floor(age)} yaşında`);
+  }
+  if (pet.weightKg) details.push(`${pet.weightKg} kg`);
+  if (pet.neutered) details.push('kısırlaştırılmış');
+
+  let text = `${pet.name} (${details.join(', ')})`;
+  if (pet.allergies && pet.allergies.length > 0) text += ` — Alerjiler: ${pet.allergies.join(', ')}`;
+  if (pet.conditions && pet.conditions.length > 0) text += ` — Sağlık: ${pet.conditions.join(', ')}`;
+  return text;
+}
+
+// ========== DEPO ==========
+
+function createPetProfileStore({ file, maxPerOwner = MAX_PETS_PER_OWNER, maxProfiles = MAX_PROFILES }) {
+  const owners = new Map(); // ownerId → { activePetId, pets: Map(id → profil) }
+  let size = 0;
+  let pendingSave = Promise.resolve();
+  let saveQueued = false;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(data.owners || {}).forEach(([ownerId, owner]) => {
+      owners.set(ownerId, {
+        activePetId: owner.activePetId || null,
+        pets: new Map(owner.pets.map(pet => [pet.id, pet]))
+      });
+      size += owner.pets.length;
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Profil dosyası okunamadı (${file}): ${error.message}`);
+    }
+  }
+
+  function getOwner(ownerId, create = false) {
+    if (!owners.has(ownerId) && create) {
+      owners.set(ownerId, { activePetId: null, pets: new Map() });
+    }
+    return owners.get(ownerId) || null;
+  }
+
+  function withActive(owner, pet) {
+    return { ...pet, active: owner.activePetId === pet.id };
+  }
+
+  function list(ownerId) {
+    const owner = getOwner(ownerId);
+    return owner ? [...owner.pets.values()].map(pet => withActive(owner, pet)) : [];
+  }
+
+  function get(ownerId, id) {
+    const owner = getOwner(ownerId);
+    const pet = owner && owner.pets.get(id);
+    return pet ? withActive(owner, pet) : null;
+  }
+
+  // İlk profil ya da active: true olan profil aktif olur.
+  // { pet } ya da sınır doluysa { error: 'owner_limit' | 'store_full' }
+  function create(ownerId, profile, { active = false } = {}) {
+    const existing = getOwner(ownerId);
+    if (existing && existing.pets.size >= maxPerOwner) return { error: 'owner_limit' };
+    if (size >= maxProfiles) return { error: 'store_full' };
+
+    const owner = getOwner(ownerId, true);
+    const now = new Date().toISOString();
+    const pet = {
+      id: crypto.randomUUID(),
+      name: profile.name,
+      species: profile.species,
+      breed: profile.breed || null,
+      birthDate: profile.birthDate || null,
+      weightKg: profile.weightKg || null,
+      neutered: profile.neutered || false,
+      allergies: profile.allergies || [],
+      conditions: profile.conditions || [],
+      createdAt: now,
+      updatedAt: now
+    };
+    owner.pets.set(pet.id, pet);
+    size++;
+    if (active || !owner.activePetId) owner.activePetId = pet.id;
+    save();
+    return { pet: withActive(owner, pet) };
+  }
+
+  function update(ownerId, id, changes, { active } = {}) {
+    const owner = getOwner(ownerId);
+    const pet = owner && owner.pets.get(id);
+    if (!pet) return null;
+
+    Object.assign(pet, changes, { updatedAt: new Date().toISOString() });
+    if (active === true) owner.activePetId = id;
+    if (active === false && owner.activePetId === id) owner.activePetId = null;
+    save();
+    return withActive(owner, pet);
+  }
+
+  function remove(ownerId, id) {
+    const owner = getOwner(ownerId);
+    if (!owner || !owner.pets.delete(id)) return false;
+    size--;
+
+    if (owner.activePetId === id) {
+      owner.activePetId = owner.pets.size > 0 ? owner.pets.keys().next().value : null;
+    }
+    if (owner.pets.size === 0) owners.delete(ownerId);
+    save();
+    return true;
+  }
+
+  // petId verilirse o profil, yoksa aktif profil
+  function getActive(ownerId, petId) {
+    const owner = getOwner(ownerId);
+    if (!owner) return null;
+    const pet = owner.pets.get(petId || owner.activePetId);
+    return pet ? withActive(owner, pet) : null;
+  }
+
+  // Yazmalar sıraya alınır; yarım dosya kalmaması için önce geçici dosyaya yazılır.
+  // Sırada bekleyen bir yazma varsa yenisi eklenmez: o yazma başladığında güncel hali yazar
+  function save() {
+    if (saveQueued) return pendingSave;
+    saveQueued = true;
+    pendingSave = pendingSave.then(async () => {
+      saveQueued = false;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const data = { owners: {} };
+      owners.forEach((owner, ownerId) => {
+        data.owners[ownerId] = { activePetId: owner.activePetId, pets: [...owner.pets.values()] };
+      });
+      const temp = `${file}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(data, null, 2));
+      await fs.promises.rename(temp, file);
+    }).catch(error => {
+      console.error(`❌ Profil dosyası yazılamadı (${file}):`, error.message);
+    });
+    return pendingSave;
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    getActive,
+    get size() {
+      return size;
+    }
+  };
+}
+
+module.exports = {
+  validatePetProfile,
+  applyPetProfile,
+  describePet,
+  getLifeStage,
+  createPetProfileStore
+};
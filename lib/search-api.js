@@ -0,0 +1,178 @@
+// ========== VİTRİN ARAMA API'Sİ (LLM'SİZ) ==========
+//
+// /api/search sohbetle aynı filtreleme ve sıralamayı LLM çağırmadan döner: anlık arama ve filtre sayfaları için.
+// Serbest metin (q) ve/veya açık facet'ler kabul edilir:
+//   GET  /api/search?shop=magaza1.myshopify.com&q=tahılsız+kedi+maması&brand=Acana,Orijen&maxPrice=1500&inStock=true&page=2
+//   POST /api/search { shopDomain, q, animal, category, brand: [...], minPrice, maxPrice, exclude: [...], inStock, sort, page, limit }
+// GET'te listeler virgülle ya da tekrarlanan parametreyle verilir.
+
+const { toLowerTr, normalizeText } = require('./normalize');
+const { SUPPORTED_LANGUAGES } = require('./language');
+
+const SORTS = ['relevance', 'price_asc', 'price_desc'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIST_ITEMS = 20;
+const MAX_FACET_VALUES = 30;
+
+// "a,b" | ["a", "b"] | ["a,b", "c"] → ["a", "b", "c"]
+function readList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function readBoolean(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// İstek (query string ya da JSON gövde) → { errors, params }
+// animals / categories: sözlükteki geçerli değerler
+function parseSearchParams(input, { animals, categories }) {
+  const errors = [];
+  const fail = (field, message) => errors.push(`${field}: ${message}`);
+  const source = input || {};
+
+  const q = String(source.q || '').trim();
+  if (q.length > MAX_QUERY_LENGTH) fail('q', `en fazla ${MAX_QUERY_LENGTH} karakter olabilir`);
+
+  const readChoice = (field, allowed) => {
+    if (source[field] === undefined || source[field] === '') return null;
+    const value = toLowerTr(String(source[field]).trim());
+    if (!allowed.includes(value)) {
+      fail(field, `geçerli değerler: ${allowed.join(', ')}`);
+      return null;
+    }
+    return value;
+  };
+
+  const readPrice = field => {
+    if (source[field] === undefined || source[field] === '') return null;
+    const value = Number(source[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      fail(field, 'sıfır ya da pozitif bir sayı olmalı');
+      return null;
+    }
+    return value;
+  };
+
+  const readCount = (field, fallback, max) => {
+    if (source[field] === undefined || source[field] === '') return fallback;
+    const value = Number(source[field]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      fail(field, `1 ile ${max} arasında bir tam sayı olmalı`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const readLimitedList = field => {
+    const list = readList(source[field]);
+    if (list.length > MAX_LIST_ITEMS) fail(field, `en fazla ${MAX_LIST_ITEMS} değer verilebilir`);
+    return list.slice(0, MAX_LIST_ITEMS);
+  };
+
+  const params = {
+    q,
+    language: SUPPORTED_LANGUAGES.includes(source.language) ? source.language : null,
+    animal: readChoice('animal', animals),
+    category: readChoice('category', categories),
+    brands: readLimitedList('brand'),
+    minPrice: readPrice('minPrice'),
+    maxPrice: readPrice('maxPrice'),
+    exclude: readLimitedList('exclude').map(word => toLowerTr(word)),
+    inStock: readBoolean(source.inStock),
+    sort: source.sort ? String(source.sort) : 'relevance',
+    page: readCount('page', 1, 1000),
+    limit: readCount('limit', DEFAULT_LIMIT, MAX_LIMIT)
+  };
+
+  if (!SORTS.includes(params.sort)) fail('sort', `geçerli değerler: ${SORTS.join(', ')}`);
+  if (params.minPrice !== null && params.maxPrice !== null && params.minPrice > params.maxPrice) {
+    fail('minPrice', 'maxPrice değerinden büyük olamaz');
+  }
+
+  return { errors, params };
+}
+
+// Marka filtresi büyük/küçük harf, aksan ve noktalamadan bağımsızdır ("hills" = "Hill's", "versele laga" = "Versele-Laga")
+function brandKey(value) {
+  return normalizeText(value).replace(/ /g, '');
+}
+
+function createBrandFilter(brands) {
+  if (brands.length === 0) return null;
+  const wanted = new Set(brands.map(brandKey));
+  return product => wanted.has(brandKey(product.vendor));
+}
+
+// Sonuç kümesindeki değer sayıları, çoktan aza: [{ value, count }]
+function countValues(products, getValues) {
+  const counts = new Map();
+  products.forEach(product => {
+    new Set(getValues(product).filter(Boolean)).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'tr'))
+    .slice(0, MAX_FACET_VALUES);
+}
+
+// Facet sayıları. Markalar, marka filtresi uygulanmadan önceki kümeden sayılır:
+// filtre sayfasında seçili markanın yanında diğer markalar da sayısıyla görünür
+function buildFacetCounts(results, beforeBrandFilter, getPrice) {
+  const price = priceRange(results, getPrice);
+  const collections = new Map();
+  results.forEach(product => (product.collections || []).forEach(c => collections.set(c.handle, c.title)));
+
+  return {
+    vendors: countValues(beforeBrandFilter, p => [p.vendor]),
+    productTypes: countValues(results, p => [p.productType]),
+    collections: countValues(results, p => (p.collections || []).map(c => c.handle))
+      .map(({ value, count }) => ({ handle: value, title: collections.get(value), count })),
+    availability: {
+      inStock: results.filter(p => p.availableForSale).length,
+      outOfStock: results.filter(p => !p.availableForSale).length
+    },
+    price: price && { min: price.min.toFixed(2), max: price.max.toFixed(2) }
+  };
+}
+
+// Tek geçişte en düşük / en yüksek fiyat (büyük katalogda Math.min(...fiyatlar) argüman sınırını aşar); fiyat yoksa null
+function priceRange(products, getPrice) {
+  let range = null;
+  products.forEach(product => {
+    const price = getPrice(product);
+    if (!(price > 0)) return;
+    if (!range) {
+      range = { min: price, max: price };
+    } else {
+      range.min = Math.min(range.min, price);
+      range.max = Math.max(range.max, price);
+    }
+  });
+  return range;
+}
+
+function paginate(items, page, limit) {
+  return {
+    total: items.length,
+    page,
+    limit,
+    pages: Math.ceil(items.length / limit),
+    items: items.slice((page - 1) * limit, page * limit)
+  };
+}
+
+module.exports = {
+  SORTS,
+  parseSearchParams,
+  createBrandFilter,
+  buildFacetCounts,
+  paginate
+};
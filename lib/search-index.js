@@ -0,0 +1,194 @@
+// ========== ARAMA İNDEKSİ (BM25F) ==========
+//
+// Katalog yüklenince bir kez kurulur, webhook'larla ürün bazında güncellenir.
+// Sorgu anında ürün metinleri tekrar işlenmez; sadece sorgu kelimelerinin posting listeleri okunur.
+//
+//   const index = createSearchIndex(products);
+//   index.scoreTerm('royal canin') → Map(productId → 0..1)
+
+const { tokenize, stemWord, fuzzyEquals } = require('./normalize');
+
+// Alan ağırlıkları: marka ve başlık eşleşmesi açıklamadaki geçişten değerlidir
+const FIELD_WEIGHTS = {
+  vendor: 5,
+  title: 4,
+  tags: 2,
+  productType: 2,
+  description: 1
+};
+
+// BM25 parametreleri: k1 terim sıklığı doygunluğu, b alan uzunluğu normalizasyonu
+const K1 = 1.2;
+const B = 0.75;
+
+// Tam eşleşme yoksa önek ("steril" → "sterilised") ve yazım hatası ("royl" → "royal") eşleşmesi daha az sayılır
+const PREFIX_FACTOR = 0.9;
+const FUZZY_FACTOR = 0.8;
+const MIN_PREFIX_LENGTH = 4;
+
+// Alan metnini indeks terimlerine çevirir: her kelime hem kendi hem de eksiz haliyle ("tavuklu" → "tavuk")
+function analyze(text) {
+  const terms = [];
+  tokenize(text).forEach(token => {
+    terms.push(token);
+    const stem = stemWord(token);
+    if (stem !== token) terms.push(stem);
+  });
+  return terms;
+}
+
+function createSearchIndex(products = []) {
+  const documents = new Map(); // id → { product, lengths: { alan: kelime sayısı }, terms: Set }
+  const postings = new Map(); // terim → Map(id → { alan: tf })
+  const totalLengths = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 0]));
+
+  function getFields(product) {
+    return {
+      vendor: product.vendor,
+      title: product.title,
+      tags: (product.tags || []).join(' '),
+      productType: product.productType,
+      description: product.description
+    };
+  }
+
+  function add(product) {
+    remove(product.id);
+
+    const fields = getFields(product);
+    const lengths = {};
+    const terms = new Set();
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const fieldTerms = analyze(text);
+      lengths[field] = fieldTerms.length;
+      totalLengths[field] += fieldTerms.length;
+
+      fieldTerms.forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const posting = postings.get(term);
+        if (!posting.has(product.id)) posting.set(product.id, {});
+        const frequencies = posting.get(product.id);
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        terms.add(term);
+      });
+    });
+
+    documents.set(product.id, { product, lengths, terms });
+  }
+
+  function remove(id) {
+    const doc = documents.get(id);
+    if (!doc) return false;
+
+    doc.terms.forEach(term => {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) postings.delete(term);
+    });
+    Object.entries(doc.lengths).forEach(([field, length]) => {
+      totalLengths[field] -= length;
+    });
+    documents.delete(id);
+    return true;
+  }
+
+  // Sorgu kelimesinin indeksteki karşılıkları: tam → önek → yazım hatası
+  function expand(token) {
+    const stem = stemWord(token);
+    const exact = [...new Set([token, stem])].filter(term => postings.has(term));
+    if (exact.length > 0) return exact.map(term => ({ term, factor: 1 }));
+
+    const expansions = [];
+    if (stem.length >= MIN_PREFIX_LENGTH) {
+      for (const term of postings.keys()) {
+        if (term.startsWith(stem)) expansions.push({ term, factor: PREFIX_FACTOR });
+      }
+    }
+    if (expansions.length > 0) return expansions;
+
+    for (const term of postings.keys()) {
+      if (fuzzyEquals(token, term)) expansions.push({ term, factor: FUZZY_FACTOR });
+    }
+    return expansions;
+  }
+
+  // Nadir terim daha değerlidir; her üründe geçen terim bile yarı ağırlık alır
+  function idfWeight(documentFrequency) {
+    const n = documents.size;
+    const idf = Math.log(1 + (n - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const maxIdf = Math.log(1 + (n - 1 + 0.5) / 1.5);
+    return maxIdf > 0 ? 0.5 + 0.5 * (idf / maxIdf) : 1;
+  }
+
+  function scoreToken(token) {
+    const scores = new Map();
+    const n = documents.size;
+    if (n === 0) return scores;
+
+    const averages = {};
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      averages[field] = totalLengths[field] / n || 1;
+    });
+
+    expand(token).forEach(({ term, factor }) => {
+      const posting = postings.get(term);
+      const idf = idfWeight(posting.size);
+
+      posting.forEach((frequencies, id) => {
+        const lengths = documents.get(id).lengths;
+        let weightedTf = 0;
+        Object.entries(frequencies).forEach(([field, tf]) => {
+          const norm = 1 - B + B * (lengths[field] / averages[field]);
+          weightedTf += FIELD_WEIGHTS[field] * tf / norm;
+        });
+
+        const score = factor * idf * weightedTf / (K1 + weightedTf);
+        if (score > (scores.get(id) || 0)) scores.set(id, score);
+      });
+    });
+    return scores;
+  }
+
+  // Çok kelimeli ifadede ("grain free") kelime skorlarının ortalaması: hepsi geçerse tam puan
+  function scoreTerm(text) {
+    const tokens = tokenize(text);
+    const scores = new Map();
+    if (tokens.length === 0) return scores;
+
+    tokens.forEach(token => {
+      scoreToken(token).forEach((score, id) => {
+        scores.set(id, (scores.get(id) || 0) + score / tokens.length);
+      });
+    });
+    return scores;
+  }
+
+  // Kelimenin her parçası en az bir ürünün verilen alanlarında geçiyor mu (tam, önek ya da yazım hatasıyla)
+  function matchesFields(text, fields) {
+    const tokens = tokenize(text);
+    return tokens.length > 0 && tokens.every(token => expand(token).some(({ term }) => {
+      for (const frequencies of postings.get(term).values()) {
+        if (fields.some(field => frequencies[field])) return true;
+      }
+      return false;
+    }));
+  }
+
+  products.forEach(add);
+
+  return {
+    add,
+    remove,
+    scoreTerm,
+    matchesFields,
+    get size() {
+      return documents.size;
+    }
+  };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  createSearchIndex
+};
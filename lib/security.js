@@ -0,0 +1,235 @@
+// ========== GÜVENLİK: ADMIN YETKİSİ VE İSTEK SINIRI ==========
+//
+// Admin endpoint'leri API anahtarı ya da imzalı token ister:
+//   Authorization: Bearer <ADMIN_API_KEY>     (ya da x-admin-key header'ı)
+//   Authorization: Bearer <imzalı token>      (scripts/admin-token.js ile, ADMIN_TOKEN_SECRET gerekir)
+//
+// Müşteriye bağlı veriler (evcil hayvan profilleri) doğrulanmış kimlik ister:
+//   Shopify app proxy isteği (signature + logged_in_customer_id query parametreleri)
+//   x-customer-token: <imzalı müşteri token'ı>  (mağazanın sunucusu CUSTOMER_TOKEN_SECRET ile üretir)
+//
+// Reddedilen istekler sohbet yanıtıyla aynı biçimde döner: { error, reply, products: [] }
+
+const crypto = require('crypto');
+
+// ADMIN_API_KEY (virgülle birden fazla), ADMIN_TOKEN_SECRET, CUSTOMER_TOKEN_SECRET,
+// SHOPIFY_API_SECRET (app proxy imzası; yoksa SHOPIFY_WEBHOOK_SECRET, ikisi de uygulamanın client secret'ı),
+// RATE_LIMIT_WINDOW_MS, RATE_LIMIT_IP, RATE_LIMIT_SESSION (pencere başına istek; 0 = sınırsız),
+// RATE_LIMIT_SEARCH_IP (LLM'siz /api/search için IP başına, anlık arama daha sık istek atar),
+// RATE_LIMIT_API_IP (diğer herkese açık uç noktalar: sepet, geri bildirim, olaylar, profiller, oturum sıfırlama),
+// TRUST_PROXY (proxy arkasında: true, proxy sayısı ya da Express'in kabul ettiği bir değer)
+function loadSecurityConfig(env) {
+  const trustProxy = env.TRUST_PROXY;
+  return {
+    adminKeys: (env.ADMIN_API_KEY || '').split(',').map(key => key.trim()).filter(Boolean),
+    tokenSecret: env.ADMIN_TOKEN_SECRET || '',
+    customerTokenSecret: env.CUSTOMER_TOKEN_SECRET || '',
+    appProxySecret: env.SHOPIFY_API_SECRET || env.SHOPIFY_WEBHOOK_SECRET || '',
+    rateLimit: {
+      windowMs: env.RATE_LIMIT_WINDOW_MS !== undefined ? parseInt(env.RATE_LIMIT_WINDOW_MS, 10) : 60000,
+      perIp: env.RATE_LIMIT_IP !== undefined ? parseInt(env.RATE_LIMIT_IP, 10) : 30,
+      perSession: env.RATE_LIMIT_SESSION !== undefined ? parseInt(env.RATE_LIMIT_SESSION, 10) : 10,
+      searchPerIp: env.RATE_LIMIT_SEARCH_IP !== undefined ? parseInt(env.RATE_LIMIT_SEARCH_IP, 10) : 120,
+      apiPerIp: env.RATE_LIMIT_API_IP !== undefined ? parseInt(env.RATE_LIMIT_API_IP, 10) : 60
+    },
+    trustProxy: !trustProxy ? null
+      : trustProxy === 'true' ? true
+        : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10)
+          : trustProxy
+  };
+}
+
+function rejection(error, reply) {
+  return { error, reply, products: [] };
+}
+
+// ========== İMZALI TOKEN ==========
+//
+// Token: base64url(JSON { ...claims, exp }) + '.' + base64url(HMAC-SHA256)
+// Admin token'ı { sub, exp }, müşteri token'ı { typ: 'customer', shop, sub, exp } taşır
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  // Uzunluk farkı sızmasın diye önce özetlenir
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function createSignedToken(secret, claims, ttlSeconds) {
+  const payload = Buffer.from(JSON.stringify({
+    ...claims,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Geçerli ve süresi dolmamışsa claims, değilse null
+function verifySignedToken(token, secret) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  if (!safeEqual(signature, sign(payload, secret))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createAdminToken(secret, { subject = 'admin', ttlSeconds = 24 * 60 * 60 } = {}) {
+  if (!secret) throw new Error('ADMIN_TOKEN_SECRET tanımlı değil');
+  return createSignedToken(secret, { sub: subject }, ttlSeconds);
+}
+
+// Geçerliyse { sub, exp }, değilse null (aynı secret kullanılsa bile müşteri token'ı admin sayılmaz)
+function verifyAdminToken(token, secret) {
+  const claims = verifySignedToken(token, secret);
+  return claims && !claims.typ ? claims : null;
+}
+
+// ========== MÜŞTERİ KİMLİĞİ ==========
+
+const APP_PROXY_MAX_AGE_SECONDS = 5 * 60;
+
+// Mağazanın sunucusu (ya da tema uygulaması) giriş yapmış müşteri için üretir
+function createCustomerToken(secret, { shop, customerId, ttlSeconds = 24 * 60 * 60 } = {}) {
+  if (!secret) throw new Error('CUSTOMER_TOKEN_SECRET tanımlı değil');
+  if (!shop || !customerId) throw new Error('shop ve customerId gerekli');
+  return createSignedToken(secret, { typ: 'customer', shop, sub: String(customerId) }, ttlSeconds);
+}
+
+// Geçerliyse { shop, customerId }, değilse null
+function verifyCustomerToken(token, secret) {
+  const claims = verifySignedToken(token, secret);
+  return claims && claims.typ === 'customer' && claims.shop && claims.sub
+    ? { shop: claims.shop, customerId: claims.sub }
+    : null;
+}
+
+// Shopify app proxy imzası: signature dışındaki parametreler anahtara göre sıralanıp "key=value" olarak
+// ayraçsız birleştirilir (çok değerliler virgülle), HMAC-SHA256 hex. Eski istekler tekrar kullanılamasın diye
+// timestamp en fazla 5 dakika eski olabilir. Geçerliyse { shop, customerId } (müşteri giriş yapmamışsa customerId null)
+function verifyAppProxyRequest(query, secret) {
+  if (!secret || !query || typeof query.signature !== 'string') return null;
+
+  const { signature, ...params } = query;
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${[].concat(params[key]).join(',')}`)
+    .join('');
+  const digest = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  if (!safeEqual(signature, digest)) return null;
+
+  const age = Date.now() / 1000 - Number(params.timestamp);
+  if (!(Math.abs(age) <= APP_PROXY_MAX_AGE_SECONDS)) return null;
+
+  return { shop: String(params.shop || ''), customerId: params.logged_in_customer_id ? String(params.logged_in_customer_id) : null };
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.get('x-admin-key') || '').trim();
+}
+
+// Express middleware: yetkili istekte req.admin = { subject }
+function createAdminAuth(config) {
+  return function requireAdmin(req, res, next) {
+    if (config.adminKeys.length === 0 && !config.tokenSecret) {
+      console.error('❌ ADMIN_API_KEY / ADMIN_TOKEN_SECRET tanımlı değil, admin isteği reddedildi');
+      return res.status(503).json(rejection('admin_not_configured', 'Admin erişimi yapılandırılmamış'));
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json(rejection('unauthorized', 'Bu işlem için admin yetkisi gerekli'));
+    }
+
+    if (config.adminKeys.some(key => safeEqual(key, token))) {
+      req.admin = { subject: 'api-key' };
+      return next();
+    }
+
+    const claims = verifyAdminToken(token, config.tokenSecret);
+    if (claims) {
+      req.admin = { subject: claims.sub };
+      return next();
+    }
+
+    console.warn(`⛔ Geçersiz admin anahtarı/token (${req.method} ${req.path})`);
+    res.status(401).json(rejection('unauthorized', 'Geçersiz admin anahtarı veya token'));
+  };
+}
+
+// ========== İSTEK SINIRI ==========
+//
+// Sabit pencere sayacı: anahtar (IP, oturum) başına windowMs içinde en fazla limit istek.
+// Bellekte tutulur; tek sunucu kurulumu için yeterli.
+// Anahtar sayısı sınırlıdır: sürekli yeni anahtar (oturum id'si) üretilse de bellek büyümez.
+
+const MAX_RATE_LIMIT_KEYS = 10000;
+
+function createRateLimiter({ windowMs, limit, maxKeys = MAX_RATE_LIMIT_KEYS }) {
+  // anahtar → { count, resetAt }. Sayaçlar açılış sırasıyla tutulur (yenilenen sayaç sona taşınır);
+  // pencere herkes için aynı uzunlukta olduğundan baştakiler ilk dolanlardır
+  const counters = new Map();
+
+  // Süresi dolanlar baştan silinir, ilk geçerli sayaçta durulur
+  function prune(now) {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt > now) break;
+      counters.delete(key);
+    }
+  }
+
+  // { allowed, remaining, retryAfterSeconds }
+  function hit(key) {
+    if (!(limit > 0)) return { allowed: true, remaining: Infinity, retryAfterSeconds: 0 };
+
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counters.delete(key);
+      prune(now);
+      // Hâlâ doluysa en eski sayaç çıkarılır (o anahtar yeni pencereyle başlar, kimse engellenmez)
+      if (counters.size >= maxKeys) {
+        counters.delete(counters.keys().next().value);
+      }
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+
+    counter.count++;
+    return {
+      allowed: counter.count <= limit,
+      remaining: Math.max(0, limit - counter.count),
+      retryAfterSeconds: Math.ceil((counter.resetAt - now) / 1000)
+    };
+  }
+
+  return {
+    hit,
+    get size() {
+      return counters.size;
+    }
+  };
+}
+
+module.exports = {
+  loadSecurityConfig,
+  rejection,
+  createAdminToken,
+  verifyAdminToken,
+  createCustomerToken,
+  verifyCustomerToken,
+  verifyAppProxyRequest,
+  createAdminAuth,
+  createRateLimiter
+};
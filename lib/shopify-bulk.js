@@ -0,0 +1,341 @@
+// ========== SHOPIFY GRAPHQL BULK OPERATION İLE KATALOG ÇEKİMİ ==========
+//
+// REST döngüsü sayfa sınırına takılır (250 x 20 = 5000 ürün). Bulk operation tüm kataloğu Shopify
+// tarafında tek JSONL dosyasına yazar, sayfa sınırı yoktur:
+//   1. bulkOperationRunQuery ile sorgu başlatılır
+//   2. currentBulkOperation tamamlanana kadar yoklanır (ilerleme: objectCount)
+//   3. Sonuç dosyası satır satır okunur; iç içe bağlantılar (varyantlar, koleksiyonlar, metafield'lar)
+//      ayrı satırlarda __parentId ile gelir. Shopify bunları ebeveynin ardından yazar ama sıraya güvenilmez:
+//      alt satırlar __parentId'ye göre toplanır
+// Ürünler webhook'larla aynı REST formatına çevrilip normalize fonksiyonuna verilir (id'ler sayısal kalır).
+//
+// Yerel test: scripts/shopify-stub.js kayıtlı yanıtları servis eder, apiBase ile ona yönlendirilir.
+
+const readline = require('readline');
+const { Readable } = require('stream');
+
+const API_VERSION = '2024-01';
+const POLL_INTERVAL = 2000;
+const MAX_WAIT = 30 * 60 * 1000; // 30 dakikada bitmeyen işlem hata sayılır
+const MAX_THROTTLE_RETRIES = 5;
+const REQUEST_TIMEOUT = 30 * 1000; // Tek GraphQL isteği (SHOPIFY_TIMEOUT_MS)
+const DOWNLOAD_TIMEOUT = 10 * 60 * 1000; // Sonuç dosyasının indirilip okunması
+
+// Metafield'lar tek namespace verilirse sorguda, birden fazlaysa okurken süzülür
+function buildProductsQuery(metafieldNamespaces = []) {
+  const metafields = metafieldNamespaces.length === 0
+    ? ''
+    : `
+        metafields${metafieldNamespaces.length === 1 ? `(namespace: ${JSON.stringify(metafieldNamespaces[0])})` : ''} {
+          edges {
+            node { id namespace key value type }
+          }
+        }`;
+
+  return `
+{
+  products(query: "status:active") {
+    edges {
+      node {
+        id
+        title
+        handle
+        vendor
+        productType
+        tags
+        status
+        descriptionHtml
+        featuredImage { url }
+        options { name }
+        variants {
+          edges {
+            node {
+              id
+              title
+              sku
+              price
+              compareAtPrice
+              inventoryQuantity
+              inventoryPolicy
+              selectedOptions { name value }
+              inventoryItem { id }
+            }
+          }
+        }
+        collections {
+          edges {
+            node { id handle title }
+          }
+        }${metafields}
+      }
+    }
+  }
+}`;
+}
+
+const RUN_MUTATION = `
+mutation run($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+const CURRENT_OPERATION_QUERY = `
+{
+  currentBulkOperation {
+    id
+    status
+    errorCode
+    objectCount
+    url
+  }
+}`;
+
+// gid://shopify/ProductVariant/123 → "123"
+function numericId(gid) {
+  return gid ? String(gid).split('/').pop() : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// gid://shopify/Collection/5 → "Collection"
+function gidType(gid) {
+  const match = String(gid || '').match(/^gid:\/\/shopify\/(\w+)\//);
+  return match ? match[1] : null;
+}
+
+// GraphQL ürün satırı + alt satırlar → Admin REST ürün formatı (normalizeProduct girdisi).
+// Koleksiyonlar ve metafield'lar REST'te ürünle gelmez; ek alan olarak taşınır
+function toRestProduct(node, { variants: variantNodes = [], collections = [], metafields = [] } = {}) {
+  const optionNames = (node.options || []).map(o => o.name);
+
+  return {
+    id: numericId(node.id),
+    title: node.title,
+    handle: node.handle,
+    vendor: node.vendor,
+    product_type: node.productType,
+    tags: node.tags || [],
+    status: String(node.status || '').toLowerCase(),
+    body_html: node.descriptionHtml || '',
+    options: optionNames.map(name => ({ name })),
+    image: node.featuredImage ? { src: node.featuredImage.url } : null,
+    variants: variantNodes.map(v => {
+      const variant = {
+        id: numericId(v.id),
+        title: v.title,
+        sku: v.sku,
+        price: v.price,
+        compare_at_price: v.compareAtPrice || null,
+        inventory_quantity: v.inventoryQuantity,
+        inventory_policy: String(v.inventoryPolicy || 'DENY').toLowerCase(),
+        inventory_item_id: v.inventoryItem ? numericId(v.inventoryItem.id) : null
+      };
+      // option1..3 ürünün seçenek sırasıyla
+      optionNames.slice(0, 3).forEach((name, i) => {
+        const selected = (v.selectedOptions || []).find(o => o.name === name);
+        if (selected) variant[`option${i + 1}`] = selected.value;
+      });
+      return variant;
+    }),
+    collections: collections.map(c => ({ handle: c.handle, title: c.title })),
+    metafields: metafields.map(m => ({ namespace: m.namespace, key: m.key, value: m.value, type: m.type }))
+  };
+}
+
+const CHILD_LISTS = { ProductVariant: 'variants', Collection: 'collections', Metafield: 'metafields' };
+
+// JSONL akışı → normalize ürünler. Alt satırlar ebeveyn id'sine göre toplanır (ebeveynden önce ya da
+// araya başka ürün girerek gelse de kaybolmaz); ürünler dosya bitince tamamlanır
+async function readBulkResult(stream, normalize, onProduct) {
+  const nodes = new Map(); // ürün gid → satır (dosya sırasıyla)
+  const children = new Map(); // ebeveyn gid → { variants, collections, metafields }
+  let unknown = 0;
+
+  const childrenOf = parentId => {
+    if (!children.has(parentId)) children.set(parentId, { variants: [], collections: [], metafields: [] });
+    return children.get(parentId);
+  };
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+
+    if (!row.__parentId) {
+      nodes.set(row.id, row);
+      if (onProduct) onProduct(nodes.size);
+    } else if (CHILD_LISTS[gidType(row.id)]) {
+      childrenOf(row.__parentId)[CHILD_LISTS[gidType(row.id)]].push(row);
+    } else {
+      unknown++;
+    }
+  }
+
+  const products = [];
+  nodes.forEach((node, id) => {
+    const product = toRestProduct(node, children.get(id));
+    children.delete(id);
+    if (product.status === 'active') {
+      products.push(normalize(product));
+    }
+  });
+
+  // Kalan alt satırların ebeveyni dosyada hiç yok
+  const orphans = [...children.values()]
+    .reduce((sum, c) => sum + c.variants.length + c.collections.length + c.metafields.length, 0);
+  if (orphans > 0 || unknown > 0) {
+    console.warn(`⚠️ Bulk sonucunda ${orphans} ebeveynsiz, ${unknown} bilinmeyen tipte satır atlandı`);
+  }
+  return products;
+}
+
+// { domain, token, apiBase?, metafieldNamespaces?, normalize, onProgress?, pollInterval?, requestTimeout?, downloadTimeout? }
+function createBulkImporter({
+  domain,
+  token,
+  apiBase = `https://${domain}`,
+  metafieldNamespaces = [],
+  normalize,
+  onProgress = () => {},
+  pollInterval = POLL_INTERVAL,
+  requestTimeout = REQUEST_TIMEOUT,
+  downloadTimeout = DOWNLOAD_TIMEOUT
+}) {
+  const endpoint = `${apiBase}/admin/api/${API_VERSION}/graphql.json`;
+
+  // Maliyet tabanlı sınır: THROTTLED dönerse eksik puan dolana kadar beklenip tekrar denenir.
+  // Yanıt vermeyen bağlantı zaman aşımıyla kesilir (yoksa katalog yenilemesi ve onu bekleyen istekler asılı kalır)
+  async function graphql(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const res = await withTimeout(`Shopify GraphQL isteği ${requestTimeout / 1000} saniyede yanıt vermedi`, () => fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'X-Shopify-Access-Token': token,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ query, variables }),
+        signal: AbortSignal.timeout(requestTimeout)
+      }));
+
+      if (res.status === 429 && attempt < MAX_THROTTLE_RETRIES) {
+        const seconds = parseFloat(res.headers.get('Retry-After')) || 2;
+        console.warn(`🚦 Shopify istek sınırı (429), ${seconds} saniye bekleniyor`);
+        await sleep(seconds * 1000);
+        continue;
+      }
+
+      const data = await withTimeout(`Shopify GraphQL yanıtı ${requestTimeout / 1000} saniyede okunamadı`, () => res.json());
+      const throttled = (data.errors || []).some(e => e.extensions && e.extensions.code === 'THROTTLED');
+      if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+        const wait = getThrottleWait(data.extensions && data.extensions.cost);
+        console.warn(`🚦 Shopify GraphQL maliyet sınırı, ${(wait / 1000).toFixed(1)} saniye bekleniyor`);
+        await sleep(wait);
+        continue;
+      }
+
+      if (data.errors) {
+        throw new Error('Shopify GraphQL hatası: ' + JSON.stringify(data.errors));
+      }
+      return data.data;
+    }
+  }
+
+  async function start() {
+    const data = await graphql(RUN_MUTATION, { query: buildProductsQuery(metafieldNamespaces) });
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+    if (userErrors.length > 0) {
+      // Önceki süreçten kalan işlem (ör. yeniden başlatma) hâlâ çalışıyorsa onun sonucu beklenir
+      if (userErrors.some(e => /already in progress/i.test(e.message))) {
+        console.warn(`⚠️ Devam eden bulk işlem bekleniyor (${domain})`);
+        return null;
+      }
+      throw new Error('Bulk işlem başlatılamadı: ' + userErrors.map(e => e.message).join('; '));
+    }
+    return bulkOperation;
+  }
+
+  async function waitForCompletion(operationId) {
+    const started = Date.now();
+
+    for (;;) {
+      const { currentBulkOperation: operation } = await graphql(CURRENT_OPERATION_QUERY);
+      if (!operation || (operationId && operation.id !== operationId)) {
+        throw new Error('Bulk işlem bulunamadı');
+      }
+
+      onProgress({ stage: 'running', status: operation.status, objectCount: parseInt(operation.objectCount, 10) || 0 });
+
+      if (operation.status === 'COMPLETED') return operation;
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+        throw new Error(`Bulk işlem ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+      }
+      if (Date.now() - started > MAX_WAIT) {
+        throw new Error(`Bulk işlem ${MAX_WAIT / 60000} dakikada tamamlanmadı`);
+      }
+      await sleep(pollInterval);
+    }
+  }
+
+  async function importProducts() {
+    const started = Date.now();
+    onProgress({ stage: 'starting' });
+
+    const operation = await start();
+    const completed = await waitForCompletion(operation ? operation.id : null);
+
+    // Katalog boşsa Shopify dosya üretmez
+    if (!completed.url) {
+      onProgress({ stage: 'done', products: 0 });
+      return [];
+    }
+
+    const downloadError = `Bulk sonuç dosyası ${downloadTimeout / 60000} dakikada indirilemedi`;
+    const res = await withTimeout(downloadError, () => fetch(completed.url, { signal: AbortSignal.timeout(downloadTimeout) }));
+    if (!res.ok || !res.body) {
+      throw new Error(`Bulk sonuç dosyası indirilemedi (${res.status})`);
+    }
+
+    const products = await withTimeout(downloadError, () => readBulkResult(Readable.fromWeb(res.body), normalize, count => {
+      if (count % 1000 === 0) onProgress({ stage: 'reading', products: count });
+    }));
+
+    onProgress({ stage: 'done', products: products.length });
+    console.log(`🎉 Bulk import: ${products.length} ürün, ${completed.objectCount} nesne, ${Math.round((Date.now() - started) / 1000)} saniye`);
+    return products;
+  }
+
+  return {
+    importProducts
+  };
+}
+
+// AbortSignal.timeout hatası anlaşılır bir mesajla yeniden fırlatılır
+async function withTimeout(message, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error.name === 'TimeoutError' || (error.cause && error.cause.name === 'TimeoutError')) {
+      throw new Error(message);
+    }
+    throw error;
+  }
+}
+
+// Eksik maliyet puanı / saniyelik yenilenme (bilgi yoksa 2 saniye)
+function getThrottleWait(cost) {
+  const status = cost && cost.throttleStatus;
+  if (!status || !status.restoreRate) return 2000;
+  const missing = Math.max((cost.requestedQueryCost || 0) - status.currentlyAvailable, 1);
+  return Math.ceil(missing / status.restoreRate) * 1000;
+}
+
+module.exports = {
+  API_VERSION,
+  buildProductsQuery,
+  createBulkImporter,
+  toRestProduct,
+  readBulkResult
+};
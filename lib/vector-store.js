@@ -0,0 +1,170 @@
+// ========== VEKTÖR DEPOSU ==========
+//
+// Ürün vektörleri katalog klasöründe JSON olarak saklanır (data/<shop>/vectors-<sağlayıcı>-<model>.json).
+// Yeniden başlatmada sadece metni değişen ürünler tekrar embed edilir; yerel sağlayıcının
+// öğrendiği sözlük de aynı dosyada durur.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cosineSimilarity } = require('./embeddings');
+
+const STORE_VERSION = 1;
+const DESCRIPTION_LIMIT = 2000;
+const MIN_SIMILARITY = 0.05;
+
+// Embed edilecek ürün metni: marka, başlık, tip, etiketler ve açıklama
+function getProductText(product) {
+  return [
+    product.vendor,
+    product.title,
+    product.productType,
+    (product.tags || []).join(' '),
+    (product.description || '').substring(0, DESCRIPTION_LIMIT)
+  ].filter(Boolean).join('\n');
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function readStoreFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Vektör dosyası okunamadı (${file}): ${error.message}`);
+    }
+    return null;
+  }
+}
+
+function createVectorStore({ provider, file }) {
+  let vectors = new Map(); // id → { hash, vector }
+  let state = null; // yerel sağlayıcı sözlüğü
+  let fingerprint = null;
+  let pendingSave = Promise.resolve();
+
+  // Tüm ürün metinlerinin özeti: değişmediyse yerel model yeniden eğitilmez
+  function getFingerprint(hashes) {
+    return hashText([...hashes].sort().join(','));
+  }
+
+  async function sync(products) {
+    const persisted = readStoreFile(file);
+    const usable = persisted &&
+      persisted.version === STORE_VERSION &&
+      persisted.provider === provider.name &&
+      persisted.model === provider.model;
+
+    const texts = products.map(getProductText);
+    const hashes = texts.map(hashText);
+    const previous = new Map(usable ? Object.entries(persisted.vectors) : []);
+    fingerprint = getFingerprint(hashes);
+    vectors = new Map();
+
+    let toEmbed = products.map((p, index) => index);
+
+    if (provider.fit) {
+      if (usable && persisted.fingerprint === fingerprint && persisted.state && products.every(p => previous.has(p.id))) {
+        state = persisted.state;
+        provider.load(state);
+        toEmbed = [];
+        products.forEach(p => vectors.set(p.id, previous.get(p.id)));
+      } else {
+        state = provider.fit(texts);
+      }
+    } else {
+      // Uzak sağlayıcı: metni değişmeyen ürünün vektörü tekrar kullanılır
+      toEmbed = toEmbed.filter(index => {
+        const cached = previous.get(products[index].id);
+        if (cached && cached.hash === hashes[index]) {
+          vectors.set(products[index].id, cached);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    if (toEmbed.length > 0) {
+      const embedded = await provider.embed(toEmbed.map(index => texts[index]));
+      toEmbed.forEach((index, k) => {
+        vectors.set(products[index].id, { hash: hashes[index], vector: embedded[k] });
+      });
+    }
+
+    if (toEmbed.length > 0 || !usable || persisted.fingerprint !== fingerprint) {
+      await save();
+    }
+    return { embedded: toEmbed.length, reused: products.length - toEmbed.length };
+  }
+
+  // Sorguya en benzer ürünler: Map(id → benzerlik)
+  async function search(text, limit = 50) {
+    if (vectors.size === 0) return new Map();
+
+    const [query] = await provider.embed([text]);
+    const scored = [];
+    vectors.forEach(({ vector }, id) => {
+      const similarity = cosineSimilarity(query, vector);
+      if (similarity >= MIN_SIMILARITY) scored.push([id, similarity]);
+    });
+    scored.sort((a, b) => b[1] - a[1]);
+    return new Map(scored.slice(0, limit));
+  }
+
+  // Webhook güncellemesi: yerel sağlayıcı mevcut sözlükle embed eder (yeni kelimeler sonraki eğitimde girer)
+  async function upsert(product) {
+    const text = getProductText(product);
+    const hash = hashText(text);
+    const cached = vectors.get(product.id);
+    if (cached && cached.hash === hash) return false;
+
+    const [vector] = await provider.embed([text]);
+    vectors.set(product.id, { hash, vector });
+    await save();
+    return true;
+  }
+
+  async function remove(id) {
+    if (!vectors.delete(id)) return false;
+    await save();
+    return true;
+  }
+
+  // Yazmalar sıraya alınır; yarım dosya kalmaması için önce geçici dosyaya yazılır
+  function save() {
+    pendingSave = pendingSave.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify({
+        version: STORE_VERSION,
+        provider: provider.name,
+        model: provider.model,
+        fingerprint,
+        savedAt: new Date().toISOString(),
+        state,
+        vectors: Object.fromEntries(vectors)
+      }));
+      await fs.promises.rename(temp, file);
+    }).catch(error => {
+      console.error(`❌ Vektör dosyası yazılamadı (${file}):`, error.message);
+    });
+    return pendingSave;
+  }
+
+  return {
+    sync,
+    search,
+    upsert,
+    remove,
+    get size() {
+      return vectors.size;
+    }
+  };
+}
+
+module.exports = {
+  createVectorStore,
+  getProductText
+};
@@ -0,0 +1,465 @@
+// ========== SÖZLÜK (HAYVAN, KATEGORİ, ÖZEL DURUM, İÇERİK ÇEVİRİLERİ) ==========
+//
+// Sorgu anlama bilgisi kodda değil sözlük dosyasındadır. Varsayılanlar config/vocabulary.json'da,
+// çalışan sözlük data/vocabulary.json'dadır (yoksa varsayılanlar kullanılır).
+// Admin endpoint'leriyle ya da dosya elle düzenlenerek değiştirilir; sunucu yeniden başlatılmadan yüklenir.
+// Kabul edilen her değişiklik yeni bir sürümdür (data/vocabulary-history/v<N>.json) ve geri alınabilir.
+// Doğrulamadan geçmeyen sözlük yüklenmez, önceki sürüm çalışmaya devam eder.
+
+const fs = require('fs');
+const path = require('path');
+const { toLowerTr, normalizeText } = require('./normalize');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, compileLexicon } = require('./language');
+
+const DEFAULT_VOCABULARY_FILE = path.join(__dirname, '..', 'config', 'vocabulary.json');
+
+const LIFE_STAGES = ['yavru', 'yetişkin', 'yaşlı'];
+const WORD_LISTS = ['negativeWords', 'negativeStopWords', 'stopWords', 'brandIgnoreWords'];
+const SECTIONS = ['animals', 'categories', 'specials', 'lifeStages', 'freeFrom', 'ingredients', ...WORD_LISTS, 'languages'];
+// Dil tablosu: words (yabancı kelime/ifade → Türkçe sorgu kelimesi) ve kelime listeleri
+const LEXICON_LISTS = ['stopWords', 'negation', 'negationSuffixes', 'priceMax', 'priceMin', 'prefixes', 'suffixes'];
+
+const MAX_WORD_LENGTH = 60;
+const MAX_HISTORY = 50;
+const WATCH_INTERVAL = 2000;
+
+// ========== DOĞRULAMA ==========
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Hataları "specials[3].terms[0]: ..." biçiminde toplar; geçerli sözlüğü küçük harfe çevrilmiş olarak döner
+function validateVocabulary(input) {
+  const errors = [];
+  const fail = (where, message) => errors.push(`${where}: ${message}`);
+
+  if (!isObject(input)) {
+    return { errors: ['Sözlük bir JSON nesnesi olmalı'], vocabulary: null };
+  }
+
+  Object.keys(input).filter(key => !SECTIONS.includes(key)).forEach(key => fail(key, 'bilinmeyen alan'));
+
+  const readWords = (value, where, { required = true } = {}) => {
+    if (value === undefined && !required) return [];
+    if (!Array.isArray(value) || (required && value.length === 0)) {
+      fail(where, required ? 'boş olmayan bir kelime listesi olmalı' : 'kelime listesi olmalı');
+      return [];
+    }
+    const words = [];
+    value.forEach((word, i) => {
+      if (typeof word !== 'string' || !word.trim()) {
+        fail(`${where}[${i}]`, 'boş olmayan bir metin olmalı');
+      } else if (word.trim().length > MAX_WORD_LENGTH) {
+        fail(`${where}[${i}]`, `en fazla ${MAX_WORD_LENGTH} karakter olabilir`);
+      } else {
+        words.push(toLowerTr(word.trim()));
+      }
+    });
+    return [...new Set(words)];
+  };
+
+  const readEntries = (value, where, readEntry) => {
+    if (!Array.isArray(value)) {
+      fail(where, 'liste olmalı');
+      return [];
+    }
+    return value
+      .map((entry, i) => {
+        if (!isObject(entry)) {
+          fail(`${where}[${i}]`, 'nesne olmalı');
+          return null;
+        }
+        return readEntry(entry, `${where}[${i}]`);
+      })
+      .filter(Boolean);
+  };
+
+  const readName = (value, where, { required = true } = {}) => {
+    if (value === undefined || value === null) {
+      if (required) fail(where, 'gerekli');
+      return null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      fail(where, 'boş olmayan bir metin olmalı');
+      return null;
+    }
+    return toLowerTr(value.trim());
+  };
+
+  const animals = readEntries(input.animals, 'animals', (entry, where) => ({
+    name: readName(entry.name, `${where}.name`),
+    match: readWords(entry.match, `${where}.match`)
+  }));
+  if (Array.isArray(input.animals) && input.animals.length === 0) fail('animals', 'en az bir hayvan türü gerekli');
+  const animalNames = animals.map(a => a.name).filter(Boolean);
+  animalNames.filter((name, i) => animalNames.indexOf(name) !== i).forEach(name => fail('animals', `"${name}" birden fazla tanımlı`));
+
+  const categories = readEntries(input.categories, 'categories', (entry, where) => {
+    const rule = {
+      category: readName(entry.category, `${where}.category`, { required: false }),
+      match: readWords(entry.match, `${where}.match`)
+    };
+    if (Array.isArray(entry.freeText)) {
+      rule.freeText = readWords(entry.freeText, `${where}.freeText`, { required: false });
+    } else if (isObject(entry.freeText)) {
+      // Eşleşen kelimeye göre: { "krem": ["krem", "cream"], "şampuan": [...] }
+      rule.freeText = {};
+      Object.entries(entry.freeText).forEach(([word, words]) => {
+        const key = toLowerTr(word.trim());
+        if (!rule.match.includes(key)) fail(`${where}.freeText.${word}`, 'match listesinde olmayan kelime');
+        rule.freeText[key] = readWords(words, `${where}.freeText.${word}`);
+      });
+    } else if (entry.freeText !== undefined) {
+      fail(`${where}.freeText`, 'kelime listesi ya da { eşleşen kelime: liste } nesnesi olmalı');
+    }
+    if (!rule.category && !rule.freeText) fail(where, 'category ya da freeText gerekli');
+    return rule;
+  });
+
+  const specialIds = new Set();
+  const specials = readEntries(input.specials, 'specials', (entry, where) => {
+    const rule = {
+      id: readName(entry.id, `${where}.id`, { required: Boolean(entry.condition) }),
+      match: readWords(entry.match, `${where}.match`),
+      terms: readWords(entry.terms, `${where}.terms`)
+    };
+    if (rule.id) {
+      if (specialIds.has(rule.id)) fail(`${where}.id`, `"${rule.id}" birden fazla tanımlı`);
+      specialIds.add(rule.id);
+    }
+    if (entry.unless !== undefined) rule.unless = readWords(entry.unless, `${where}.unless`);
+    if (entry.condition !== undefined) {
+      if (typeof entry.condition !== 'boolean') fail(`${where}.condition`, 'true/false olmalı');
+      else if (entry.condition) rule.condition = true;
+    }
+    return rule;
+  });
+
+  const lifeStages = { seniorAge: 7, terms: {} };
+  if (!isObject(input.lifeStages)) {
+    fail('lifeStages', 'nesne olmalı: { seniorAge, terms: { yavru, yetişkin, yaşlı } }');
+  } else {
+    const seniorAge = input.lifeStages.seniorAge;
+    if (typeof seniorAge !== 'number' || !(seniorAge > 1) || seniorAge > 30) {
+      fail('lifeStages.seniorAge', '1 ile 30 arasında bir sayı olmalı');
+    } else {
+      lifeStages.seniorAge = seniorAge;
+    }
+    const terms = isObject(input.lifeStages.terms) ? input.lifeStages.terms : {};
+    LIFE_STAGES.forEach(stage => {
+      lifeStages.terms[stage] = readWords(terms[stage], `lifeStages.terms.${stage}`);
+    });
+  }
+
+  const freeFrom = readEntries(input.freeFrom, 'freeFrom', (entry, where) => ({
+    match: readWords(entry.match, `${where}.match`),
+    exclude: readWords(entry.exclude, `${where}.exclude`)
+  }));
+
+  const ingredients = {};
+  if (!isObject(input.ingredients)) {
+    fail('ingredients', 'nesne olmalı: { "tavuk": ["chicken", ...] }');
+  } else {
+    Object.entries(input.ingredients).forEach(([ingredient, words]) => {
+      const key = toLowerTr(ingredient.trim());
+      if (!key) fail('ingredients', 'boş içerik adı');
+      else ingredients[key] = readWords(words, `ingredients.${ingredient}`, { required: false });
+    });
+  }
+
+  // Türkçe dışındaki diller (isteğe bağlı): { "en": { words: { "cat": "kedi" }, stopWords: [...], ... } }
+  const languages = {};
+  if (input.languages !== undefined && !isObject(input.languages)) {
+    fail('languages', 'nesne olmalı: { "en": { words, stopWords, ... } }');
+  } else {
+    Object.entries(input.languages || {}).forEach(([language, lexicon]) => {
+      const where = `languages.${language}`;
+      if (!SUPPORTED_LANGUAGES.includes(language) || language === DEFAULT_LANGUAGE) {
+        fail(where, `desteklenen diller: ${SUPPORTED_LANGUAGES.filter(l => l !== DEFAULT_LANGUAGE).join(', ')}`);
+        return;
+      }
+      if (!isObject(lexicon)) {
+        fail(where, 'nesne olmalı');
+        return;
+      }
+      Object.keys(lexicon).filter(key => key !== 'words' && !LEXICON_LISTS.includes(key)).forEach(key => fail(`${where}.${key}`, 'bilinmeyen alan'));
+
+      const words = {};
+      if (!isObject(lexicon.words)) {
+        fail(`${where}.words`, 'nesne olmalı: { "cat": "kedi" }');
+      } else {
+        Object.entries(lexicon.words).forEach(([word, turkish]) => {
+          const key = word.trim().toLowerCase().replace(/\s+/g, ' ');
+          if (!key) fail(`${where}.words`, 'boş kelime');
+          else if (typeof turkish !== 'string' || !turkish.trim()) fail(`${where}.words.${word}`, 'boş olmayan bir metin olmalı');
+          else words[key] = toLowerTr(turkish.trim());
+        });
+      }
+
+      languages[language] = { words };
+      LEXICON_LISTS.forEach(list => {
+        languages[language][list] = readWords(lexicon[list], `${where}.${list}`, { required: false }).map(word => word.replace(/\s+/g, ' '));
+      });
+    });
+  }
+
+  const vocabulary = { animals, categories, specials, lifeStages, freeFrom, ingredients };
+  WORD_LISTS.forEach(list => {
+    vocabulary[list] = readWords(input[list], list, { required: false });
+  });
+  vocabulary.languages = languages;
+
+  return { errors, vocabulary: errors.length === 0 ? vocabulary : null };
+}
+
+// ========== DERLEME ==========
+
+// buildSearchTerms ve evcil hayvan profillerinin kullandığı türetilmiş alanlar
+function compileVocabulary(vocabulary) {
+  const singleWords = words => words.filter(word => !word.includes(' '));
+
+  // Yazım hatası / ek çözümlemesinde kullanılan tek kelimeler ("kedime" → "kedi", "mnama" → "mama")
+  const queryWords = new Set(['aylık']); // yaş ifadesi: "3 aylık"
+  [...vocabulary.animals, ...vocabulary.categories, ...vocabulary.specials, ...vocabulary.freeFrom]
+    .forEach(rule => singleWords(rule.match).forEach(word => queryWords.add(word)));
+
+  // Sağlık durumları: profildeki "böbrek", "kidney" → "renal"
+  const conditions = {};
+  const conditionAliases = new Map();
+  vocabulary.specials.filter(rule => rule.condition).forEach(rule => {
+    conditions[rule.id] = rule.terms;
+    [rule.id, ...rule.match, ...rule.terms].forEach(word => {
+      if (!conditionAliases.has(normalizeText(word))) conditionAliases.set(normalizeText(word), rule.id);
+    });
+  });
+
+  const neutered = vocabulary.specials.find(rule => rule.id === 'neutered');
+
+  // Dil algılamada Türkçe sayılan kelimeler: sözlükteki "kitten", "senior" gibi yabancı kelimeler hariç
+  const languages = {};
+  const foreignWords = new Set();
+  Object.entries(vocabulary.languages).forEach(([language, lexicon]) => {
+    languages[language] = compileLexicon(lexicon);
+    [...Object.keys(lexicon.words), ...lexicon.stopWords].forEach(word => foreignWords.add(word));
+  });
+  const turkishWords = [...queryWords, ...vocabulary.stopWords, ...vocabulary.negativeWords, ...vocabulary.negativeStopWords]
+    .filter(word => !foreignWords.has(word));
+
+  return {
+    ...vocabulary,
+    queryWords: [...queryWords],
+    // Hayvan adları marka sanılmasın
+    brandIgnoreWords: [...new Set([...vocabulary.brandIgnoreWords, ...vocabulary.animals.flatMap(a => a.match)])],
+    species: vocabulary.animals.map(a => a.name),
+    conditions,
+    neuteredTerms: neutered ? neutered.terms : [],
+    languages,
+    turkishWords: [...new Set(turkishWords)],
+    translate: ingredient => vocabulary.ingredients[toLowerTr(String(ingredient))] || [],
+    resolveCondition: word => conditionAliases.get(normalizeText(word)) || null
+  };
+}
+
+// ========== DEPO ==========
+
+// Dosya ya sürüm bilgisiyle sarılmış ({ version, ..., vocabulary }) ya da doğrudan sözlüktür
+function unwrap(data) {
+  if (isObject(data) && isObject(data.vocabulary)) {
+    return {
+      version: Number.isInteger(data.version) && data.version > 0 ? data.version : 1,
+      updatedAt: data.updatedAt || null,
+      author: data.author || null,
+      comment: data.comment || null,
+      vocabulary: data.vocabulary
+    };
+  }
+  return { version: 1, updatedAt: null, author: null, comment: null, vocabulary: data };
+}
+
+function readJson(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  return { content, data: JSON.parse(content) };
+}
+
+function createVocabularyStore({ file, defaultsFile = DEFAULT_VOCABULARY_FILE, historyDir = path.join(path.dirname(file), 'vocabulary-history') }) {
+  let current = null; // { version, updatedAt, author, comment, vocabulary, compiled }
+  let lastContent = null; // dosyada bildiğimiz içerik (kendi yazmamız izleyicide tekrar yüklenmesin)
+  let pendingSave = Promise.resolve();
+
+  function apply(entry) {
+    current = { ...entry, compiled: compileVocabulary(entry.vocabulary) };
+  }
+
+  function loadFrom(source) {
+    const { content, data } = readJson(source);
+    const entry = unwrap(data);
+    const { errors, vocabulary } = validateVocabulary(entry.vocabulary);
+    if (errors.length > 0) {
+      throw new Error(`Sözlük geçersiz (${source}): ${errors.slice(0, 5).join('; ')}`);
+    }
+    apply({ ...entry, vocabulary });
+    return content;
+  }
+
+  // Başlangıç: çalışan sözlük bozuksa varsayılanlarla açılır (bozuk dosya düzeltilene kadar)
+  try {
+    lastContent = loadFrom(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ ${error.message}, varsayılan sözlük kullanılıyor`);
+    }
+    loadFrom(defaultsFile);
+  }
+
+  function serialize(entry) {
+    const { version, updatedAt, author, comment, vocabulary } = entry;
+    return JSON.stringify({ version, updatedAt, author, comment, vocabulary }, null, 2) + '\n';
+  }
+
+  function historyFile(version) {
+    return path.join(historyDir, `v${version}.json`);
+  }
+
+  // Yeni sürüm: geçmişe ve çalışan dosyaya yazılır. Önceki sürüm geçmişte yoksa (varsayılanlar) o da yazılır
+  function persist(entry, previous) {
+    const content = serialize(entry);
+    lastContent = content;
+
+    pendingSave = pendingSave.then(async () => {
+      await fs.promises.mkdir(historyDir, { recursive: true });
+      if (!fs.existsSync(historyFile(previous.version))) {
+        await fs.promises.writeFile(historyFile(previous.version), serialize(previous));
+      }
+      await fs.promises.writeFile(historyFile(entry.version), content);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.tmp`;
+      await fs.promises.writeFile(temp, content);
+      await fs.promises.rename(temp, file);
+
+      // En eski sürümler silinir
+      const versions = (await fs.promises.readdir(historyDir))
+        .map(name => (name.match(/^v(\d+)\.json$/) || [])[1])
+        .filter(Boolean)
+        .map(Number)
+        .sort((a, b) => b - a);
+      for (const version of versions.slice(MAX_HISTORY)) {
+        await fs.promises.unlink(historyFile(version)).catch(() => {});
+      }
+    }).catch(error => {
+      console.error(`❌ Sözlük dosyası yazılamadı (${file}):`, error.message);
+    });
+    return pendingSave;
+  }
+
+  // Geçerliyse yeni sürüm olarak uygular: { errors: [], version } ya da { errors }
+  function update(input, { author = null, comment = null } = {}) {
+    const { errors, vocabulary } = validateVocabulary(input);
+    if (errors.length > 0) return { errors };
+
+    const previous = current;
+    const entry = {
+      version: previous.version + 1,
+      updatedAt: new Date().toISOString(),
+      author,
+      comment,
+      vocabulary
+    };
+    apply(entry);
+    persist(entry, previous);
+    console.log(`📖 Sözlük v${entry.version} yüklendi${author ? ` (${author})` : ''}${comment ? `: ${comment}` : ''}`);
+    return { errors: [], version: entry.version };
+  }
+
+  // Dosya elle değiştirildiyse yeni sürüm olarak yükler; bozuksa mevcut sürüm korunur
+  function reload() {
+    let content;
+    let data;
+    try {
+      ({ content, data } = readJson(file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { errors: [], version: current.version, unchanged: true };
+      console.error(`❌ Sözlük dosyası okunamadı (${file}): ${error.message}`);
+      return { errors: [`Dosya okunamadı: ${error.message}`] };
+    }
+    if (content === lastContent) return { errors: [], version: current.version, unchanged: true };
+
+    lastContent = content;
+    const result = update(unwrap(data).vocabulary, { author: 'dosya', comment: 'Dosyadan yüklendi' });
+    if (result.errors.length > 0) {
+      console.error(`❌ Sözlük dosyası geçersiz, v${current.version} kullanılmaya devam ediyor: ${result.errors.slice(0, 5).join('; ')}`);
+    }
+    return result;
+  }
+
+  function watch() {
+    fs.watchFile(file, { interval: WATCH_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) reload();
+    }).unref();
+  }
+
+  function unwatch() {
+    fs.unwatchFile(file);
+  }
+
+  function getInfo(entry) {
+    return { version: entry.version, updatedAt: entry.updatedAt, author: entry.author, comment: entry.comment };
+  }
+
+  async function getVersion(version) {
+    if (version === current.version) {
+      return { ...getInfo(current), vocabulary: current.vocabulary };
+    }
+    await pendingSave;
+    try {
+      return unwrap(readJson(historyFile(version)).data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Yeniden eskiye sürüm listesi
+  async function history() {
+    await pendingSave;
+    const files = await fs.promises.readdir(historyDir).catch(() => []);
+    const entries = new Map([[current.version, getInfo(current)]]);
+    files.forEach(name => {
+      const match = name.match(/^v(\d+)\.json$/);
+      if (!match || entries.has(Number(match[1]))) return;
+      try {
+        entries.set(Number(match[1]), getInfo(unwrap(readJson(path.join(historyDir, name)).data)));
+      } catch (error) {
+        // Bozuk geçmiş dosyası listede gösterilmez
+      }
+    });
+    return [...entries.values()].sort((a, b) => b.version - a.version);
+  }
+
+  // Eski sürüm yeni bir sürüm olarak geri yüklenir (geçmiş silinmez)
+  async function rollback(version, { author = null } = {}) {
+    const entry = await getVersion(version);
+    if (!entry) return null;
+    return update(entry.vocabulary, { author, comment: `v${version} sürümüne geri dönüldü` });
+  }
+
+  return {
+    current: () => current.compiled,
+    info: () => getInfo(current),
+    raw: () => current.vocabulary,
+    update,
+    reload,
+    watch,
+    unwatch,
+    getVersion,
+    history,
+    rollback
+  };
+}
+
+module.exports = {
+  DEFAULT_VOCABULARY_FILE,
+  validateVocabulary,
+  compileVocabulary,
+  createVocabularyStore
+};
@@ -0,0 +1,179 @@
+// ========== VİTRİN SOHBET WIDGET'I ==========
+//
+// Shopify temasına tek satırla eklenir:
+//   <script src="https://asistan.example.com/widget.js" data-shop="magaza1.myshopify.com" async></script>
+//
+// /widget.js her zaman güncel sürümü döner (kısa önbellek). Script kendi sürümünün stil dosyasını
+// /widget/<sürüm>/widget.css adresinden yükler; sürüm dosya içeriğinin özetidir, bu adresler hiç değişmez.
+// Mağaza ayarları (renkler, başlık, karşılama mesajı, önerilen sorular) config/widget.json'dan gelir:
+//   { "defaults": { ... }, "shops": { "magaza1.myshopify.com": { "theme": { "primaryColor": "#ff7a00" } } } }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./language');
+
+const WIDGET_DIR = path.join(__dirname, '..', 'widget');
+const DEFAULT_WIDGET_CONFIG_FILE = path.join(__dirname, '..', 'config', 'widget.json');
+
+const THEME_KEYS = ['primaryColor', 'primaryTextColor', 'backgroundColor', 'textColor', 'botBubbleColor', 'userBubbleColor'];
+const COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const POSITIONS = ['right', 'left'];
+const MAX_TEXT_LENGTH = 300;
+const MAX_SUGGESTIONS = 6;
+
+// Script ve stil dosyası açılışta bir kez okunur; sürüm ikisinin içerik özetidir
+function loadWidgetAssets(dir = WIDGET_DIR) {
+  const script = fs.readFileSync(path.join(dir, 'widget.js'), 'utf8');
+  const style = fs.readFileSync(path.join(dir, 'widget.css'), 'utf8');
+  const version = crypto.createHash('sha256').update(script).update(style).digest('hex').substring(0, 10);
+
+  return {
+    version,
+    script: script.replace(/__WIDGET_VERSION__/g, version),
+    style
+  };
+}
+
+// ========== AYARLAR ==========
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Metin alanları tek metin ya da dile göre nesne olabilir: "Merhaba" veya { "tr": "Merhaba", "en": "Hello" }
+function readLocalized(value, where, fail, readOne) {
+  if (isObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([language, text]) => {
+      if (!SUPPORTED_LANGUAGES.includes(language)) {
+        fail(`${where}.${language}`, `desteklenen diller: ${SUPPORTED_LANGUAGES.join(', ')}`);
+      } else {
+        result[language] = readOne(text, `${where}.${language}`);
+      }
+    });
+    return result;
+  }
+  return { [DEFAULT_LANGUAGE]: readOne(value, where) };
+}
+
+// Mağaza ayarı (kısmi olabilir, varsayılanların üzerine yazılır) → { errors, settings }
+function validateWidgetSettings(input, where) {
+  const errors = [];
+  const fail = (field, message) => errors.push(`${field}: ${message}`);
+  const settings = {};
+
+  if (!isObject(input)) {
+    return { errors: [`${where}: nesne olmalı`], settings };
+  }
+
+  const readText = (text, field) => {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+      fail(field, `en fazla ${MAX_TEXT_LENGTH} karakterlik boş olmayan bir metin olmalı`);
+      return null;
+    }
+    return text.trim();
+  };
+  const readList = (list, field) => {
+    if (!Array.isArray(list) || list.length > MAX_SUGGESTIONS) {
+      fail(field, `en fazla ${MAX_SUGGESTIONS} metinlik bir liste olmalı`);
+      return [];
+    }
+    return list.map((text, i) => readText(text, `${field}[${i}]`)).filter(Boolean);
+  };
+
+  Object.keys(input)
+    .filter(key => !['enabled', 'title', 'greeting', 'suggestions', 'position', 'theme'].includes(key))
+    .forEach(key => fail(`${where}.${key}`, 'bilinmeyen alan'));
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') fail(`${where}.enabled`, 'true/false olmalı');
+    else settings.enabled = input.enabled;
+  }
+  if (input.title !== undefined) settings.title = readLocalized(input.title, `${where}.title`, fail, readText);
+  if (input.greeting !== undefined) settings.greeting = readLocalized(input.greeting, `${where}.greeting`, fail, readText);
+  if (input.suggestions !== undefined) settings.suggestions = readLocalized(input.suggestions, `${where}.suggestions`, fail, readList);
+  if (input.position !== undefined) {
+    if (!POSITIONS.includes(input.position)) fail(`${where}.position`, `${POSITIONS.join(' ya da ')} olmalı`);
+    else settings.position = input.position;
+  }
+  if (input.theme !== undefined) {
+    if (!isObject(input.theme)) {
+      fail(`${where}.theme`, 'nesne olmalı');
+    } else {
+      settings.theme = {};
+      Object.entries(input.theme).forEach(([key, color]) => {
+        if (!THEME_KEYS.includes(key)) fail(`${where}.theme.${key}`, `bilinmeyen renk (${THEME_KEYS.join(', ')})`);
+        else if (typeof color !== 'string' || !COLOR.test(color)) fail(`${where}.theme.${key}`, '#rgb ya da #rrggbb olmalı');
+        else settings.theme[key] = color;
+      });
+    }
+  }
+
+  return { errors, settings };
+}
+
+function validateWidgetConfig(input) {
+  if (!isObject(input)) {
+    return { errors: ['Widget ayarları bir JSON nesnesi olmalı'], config: null };
+  }
+
+  const defaults = validateWidgetSettings(input.defaults || {}, 'defaults');
+  const errors = [...defaults.errors];
+  const shops = new Map();
+
+  if (input.shops !== undefined && !isObject(input.shops)) {
+    errors.push('shops: nesne olmalı: { "magaza1.myshopify.com": { ... } }');
+  } else {
+    Object.entries(input.shops || {}).forEach(([domain, settings]) => {
+      const result = validateWidgetSettings(settings, `shops.${domain}`);
+      errors.push(...result.errors);
+      shops.set(domain.trim().toLowerCase(), result.settings);
+    });
+  }
+
+  return { errors, config: errors.length === 0 ? { defaults: defaults.settings, shops } : null };
+}
+
+// Bozuk ya da eksik dosyada varsayılan ayarlarla açılır
+function loadWidgetConfig(file = DEFAULT_WIDGET_CONFIG_FILE) {
+  const load = source => {
+    const { errors, config } = validateWidgetConfig(JSON.parse(fs.readFileSync(source, 'utf8')));
+    if (errors.length > 0) {
+      throw new Error(`Widget ayarları geçersiz (${source}): ${errors.slice(0, 5).join('; ')}`);
+    }
+    return config;
+  };
+
+  try {
+    return load(file);
+  } catch (error) {
+    if (file === DEFAULT_WIDGET_CONFIG_FILE) throw error;
+    console.error(`❌ ${error.code === 'ENOENT' ? `Widget ayar dosyası bulunamadı (${file})` : error.message}, varsayılan ayarlar kullanılıyor`);
+    return load(DEFAULT_WIDGET_CONFIG_FILE);
+  }
+}
+
+// Mağazanın ayarları varsayılanlarla birleştirilir, metinler istenen dile çözülür (yoksa Türkçe)
+function getWidgetSettings(config, domain, language = DEFAULT_LANGUAGE) {
+  const shop = config.shops.get(domain) || {};
+  const merged = { ...config.defaults, ...shop, theme: { ...config.defaults.theme, ...shop.theme } };
+  const pick = localized => (localized ? localized[language] || localized[DEFAULT_LANGUAGE] || null : null);
+
+  return {
+    enabled: merged.enabled !== false,
+    title: pick(merged.title),
+    greeting: pick(merged.greeting),
+    suggestions: pick(merged.suggestions) || [],
+    position: merged.position || 'right',
+    theme: merged.theme
+  };
+}
+
+module.exports = {
+  DEFAULT_WIDGET_CONFIG_FILE,
+  loadWidgetAssets,
+  validateWidgetConfig,
+  loadWidgetConfig,
+  getWidgetSettings
+};
@@ -0,0 +1,24 @@
+// Admin endpoint'leri için süreli imzalı token üretir (ADMIN_TOKEN_SECRET sunucudakiyle aynı olmalı)
+//
+//   ADMIN_TOKEN_SECRET=... node scripts/admin-token.js              → 24 saat geçerli
+//   ADMIN_TOKEN_SECRET=... node scripts/admin-token.js 2 ayse       → 2 saat, sub: "ayse"
+
+const { createAdminToken } = require('../lib/security');
+
+const hours = process.argv[2] !== undefined ? parseFloat(process.argv[2]) : 24;
+const subject = process.argv[3] || 'admin';
+
+if (!(hours > 0)) {
+  console.error('Süre saat cinsinden pozitif bir sayı olmalı');
+  process.exit(1);
+}
+
+try {
+  console.log(createAdminToken(process.env.ADMIN_TOKEN_SECRET, {
+    subject,
+    ttlSeconds: Math.round(hours * 60 * 60)
+  }));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
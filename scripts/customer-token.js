@@ -0,0 +1,31 @@
+// Evcil hayvan profilleri için süreli imzalı müşteri token'ı üretir (CUSTOMER_TOKEN_SECRET sunucudakiyle aynı olmalı).
+// Canlıda token'ı mağazanın sunucusu giriş yapmış müşteri için aynı biçimde üretir (lib/security.js createCustomerToken)
+//
+//   CUSTOMER_TOKEN_SECRET=... node scripts/customer-token.js magaza1.myshopify.com 7012345678     → 24 saat geçerli
+//   CUSTOMER_TOKEN_SECRET=... node scripts/customer-token.js magaza1.myshopify.com 7012345678 2   → 2 saat
+
+const { createCustomerToken } = require('../lib/security');
+
+const [shop, customerId] = process.argv.slice(2);
+const hours = process.argv[4] !== undefined ? parseFloat(process.argv[4]) : 24;
+
+if (!shop || !customerId) {
+  console.error('Kullanım: node scripts/customer-token.js <mağaza> <müşteri id> [saat]');
+  process.exit(1);
+}
+
+if (!(hours > 0)) {
+  console.error('Süre saat cinsinden pozitif bir sayı olmalı');
+  process.exit(1);
+}
+
+try {
+  console.log(createCustomerToken(process.env.CUSTOMER_TOKEN_SECRET, {
+    shop,
+    customerId,
+    ttlSeconds: Math.round(hours * 60 * 60)
+  }));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
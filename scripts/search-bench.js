@@ -0,0 +1,156 @@
+// Arama motoru ölçümü: sorgu başına gecikme ve sıralama çıktısı
+//
+//   node scripts/search-bench.js                                      → fixtures/search-queries.json, fixtures/products.json
+//   node scripts/search-bench.js --scale 500                          → katalog 500 kat çoğaltılır (~5000 ürün)
+//   node scripts/search-bench.js --compare fixtures/search-baseline.json
+//   node scripts/search-bench.js --expect fixtures/search-expectations.json   → beklenti tutmazsa çıkış kodu 1
+//   node scripts/search-bench.js --save sonuc.json
+//
+// fixtures/search-baseline.json, indeks öncesindeki doğrusal smartFilter'ın aynı sorgulardaki çıktısıdır.
+// fixtures/search-expectations.json:
+//   queries: sorgu başına doğru kabul edilen sonuçlar { first, absent (ilk 5'te olmamalı) }
+//   exclusions: sorgunun hariç tuttuğu içerik bu ürün metninde geçiyor mu { query, text, excluded }
+
+const fs = require('fs');
+const path = require('path');
+const { buildSearchTerms, smartFilter, findExcludedIngredients, loadFixtureProducts } = require('../index');
+const { createSearchIndex } = require('../lib/search-index');
+
+const TOP_N = 12; // AI'ya giden ürün sayısı
+const OVERLAP_N = 5;
+
+function parseArgs(argv) {
+  const args = {
+    catalog: 'fixtures/products.json',
+    queries: 'fixtures/search-queries.json',
+    scale: 1,
+    runs: 5,
+    compare: null,
+    expect: null,
+    save: null
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in args) {
+      args[key] = typeof args[key] === 'number' ? Number(argv[++i]) : argv[++i];
+    }
+  }
+  return args;
+}
+
+// Büyük katalog benzetimi: her ürün farklı ID ile çoğaltılır
+function scaleCatalog(products, scale) {
+  if (scale <= 1) return products;
+  const scaled = [];
+  for (let k = 0; k < scale; k++) {
+    products.forEach(p => scaled.push({ ...p, id: `${p.id}-${k}`, searchText: undefined }));
+  }
+  return scaled;
+}
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const root = path.join(__dirname, '..');
+  const queries = JSON.parse(fs.readFileSync(path.resolve(root, args.queries), 'utf8'));
+  const products = scaleCatalog(quietly(() => loadFixtureProducts(path.resolve(root, args.catalog))), args.scale);
+
+  let started = Date.now();
+  const index = createSearchIndex(products);
+  console.log(`🗂️ İndeks: ${index.size} ürün, ${Date.now() - started} ms`);
+
+  const results = {};
+  let totalMs = 0;
+
+  queries.forEach(query => {
+    const searchTerms = quietly(() => buildSearchTerms(query));
+    let ranked = [];
+
+    started = process.hrtime.bigint();
+    for (let run = 0; run < args.runs; run++) {
+      ranked = quietly(() => smartFilter(products, searchTerms, query, index));
+    }
+    const ms = Number(process.hrtime.bigint() - started) / 1e6 / args.runs;
+    totalMs += ms;
+
+    results[query] = ranked.slice(0, TOP_N).map(p => p.id);
+    console.log(`${ms.toFixed(2).padStart(8)} ms  ${query} → ${results[query].slice(0, OVERLAP_N).join(', ')}`);
+  });
+
+  console.log(`⏱️ Ortalama: ${(totalMs / queries.length).toFixed(2)} ms/sorgu`);
+
+  if (args.compare) {
+    const baseline = JSON.parse(fs.readFileSync(path.resolve(root, args.compare), 'utf8'));
+    let overlapSum = 0;
+    let sameTop = 0;
+    let compared = 0;
+
+    queries.filter(q => baseline[q]).forEach(query => {
+      const expected = baseline[query].slice(0, OVERLAP_N);
+      const actual = results[query].slice(0, OVERLAP_N).map(id => id.replace(/-\d+$/, ''));
+      const overlap = expected.filter(id => actual.includes(id)).length / Math.max(expected.length, 1);
+      overlapSum += overlap;
+      if (expected[0] === actual[0]) sameTop++;
+      compared++;
+
+      if (overlap < 1 || expected[0] !== actual[0]) {
+        console.log(`≠ ${query}: önce [${expected.join(', ')}] şimdi [${actual.join(', ')}]`);
+      }
+    });
+
+    console.log(`📊 Karşılaştırma (${compared} sorgu): ilk ${OVERLAP_N} örtüşme %${(overlapSum / Math.max(compared, 1) * 100).toFixed(0)}, aynı ilk sonuç ${sameTop}/${compared}`);
+  }
+
+  if (args.expect) {
+    const expectations = JSON.parse(fs.readFileSync(path.resolve(root, args.expect), 'utf8'));
+    const queryExpectations = Object.entries(expectations.queries || {});
+    const exclusions = expectations.exclusions || [];
+    const failures = [];
+
+    queryExpectations.forEach(([query, expected]) => {
+      if (!results[query]) {
+        failures.push(`${query}: sorgu listesinde yok`);
+        return;
+      }
+      const actual = results[query].map(id => id.replace(/-\d+$/, ''));
+      if (expected.first && actual[0] !== expected.first) {
+        failures.push(`${query}: ilk sonuç ${expected.first} olmalı, ${actual[0] || '(boş)'} geldi`);
+      }
+      const present = (expected.absent || []).filter(id => actual.slice(0, OVERLAP_N).includes(id));
+      if (present.length > 0) {
+        failures.push(`${query}: ${present.join(', ')} ilk ${OVERLAP_N} sonuçta olmamalı`);
+      }
+    });
+
+    // Güvenlik kontrolüyle aynı yol: sorgunun hariç tuttukları (çevirileriyle) yalnızca açıklaması olan ürüne uygulanır
+    exclusions.forEach(({ query, text, excluded }) => {
+      const { exclude } = quietly(() => buildSearchTerms(query));
+      const product = { id: 'expectation', title: '', vendor: '', tags: [], productType: '', description: text };
+      const found = findExcludedIngredients(product, exclude);
+      if ((found.length > 0) !== excluded) {
+        failures.push(`${query} / "${text}": ${excluded ? 'hariç tutulmalı' : 'hariç tutulmamalı'} (bulunan: ${found.join(', ') || '-'})`);
+      }
+    });
+
+    const total = queryExpectations.length + exclusions.length;
+    failures.forEach(failure => console.log(`❌ ${failure}`));
+    console.log(`✅ Beklentiler: ${total - failures.length}/${total}`);
+    if (failures.length > 0) process.exitCode = 1;
+  }
+
+  if (args.save) {
+    fs.writeFileSync(path.resolve(root, args.save), JSON.stringify(results, null, 2) + '\n');
+    console.log(`💾 Kaydedildi: ${args.save}`);
+  }
+}
+
+main();
@@ -0,0 +1,105 @@
+// Yerel Shopify Admin GraphQL stub'ı: bulk operation akışını kayıtlı yanıtlarla taklit eder
+//
+//   node scripts/shopify-stub.js                          → http://localhost:4010, fixtures/shopify-bulk
+//   node scripts/shopify-stub.js --polls 3                → tamamlanmadan önce 3 kez RUNNING döner
+//   node scripts/shopify-stub.js --throttle 1             → ilk istek THROTTLED döner (maliyet sınırı)
+//   node scripts/shopify-stub.js --already-running 1      → başlatma "already in progress" hatası verir
+//   node scripts/shopify-stub.js --stall 1                → ilk istek hiç yanıtlanmaz (zaman aşımı denemesi)
+//
+// Sunucu stub'a yönlendirilir:
+//   SHOPIFY_API_URL=http://localhost:4010 SHOPIFY_SHOPS=demo.myshopify.com=stub npm start
+//
+// Yanıtlar fixtures/shopify-bulk/*.json dosyalarıdır; {{STUB_URL}} stub adresiyle değiştirilir.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = {
+    port: 4010,
+    dir: 'fixtures/shopify-bulk',
+    polls: 1,
+    throttle: 0,
+    'already-running': 0,
+    stall: 0
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in args) {
+      args[key] = typeof args[key] === 'number' ? Number(argv[++i]) : argv[++i];
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dir = path.resolve(__dirname, '..', args.dir);
+  const stubUrl = `http://localhost:${args.port}`;
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8').replace(/\{\{STUB_URL\}\}/g, stubUrl);
+
+  let throttlesLeft = args.throttle;
+  let stallsLeft = args.stall;
+  let pollsLeft = args.polls;
+  let started = args['already-running'] > 0;
+
+  const send = (res, status, body, type = 'application/json') => {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(body);
+  };
+
+  const server = http.createServer((req, res) => {
+    console.log(`${req.method} ${req.url}`);
+
+    if (req.method === 'GET' && req.url === '/bulk/products.jsonl') {
+      return send(res, 200, read('products.jsonl'), 'application/jsonl');
+    }
+    if (req.method !== 'POST' || !/^\/admin\/api\/[\w-]+\/graphql\.json$/.test(req.url)) {
+      return send(res, 404, JSON.stringify({ errors: 'Not Found' }));
+    }
+    if (!req.headers['x-shopify-access-token']) {
+      return send(res, 401, JSON.stringify({ errors: '[API] Invalid API key or access token' }));
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { query = '' } = JSON.parse(body || '{}');
+
+      if (stallsLeft > 0) {
+        stallsLeft--;
+        return; // Bağlantı açık kalır, yanıt gelmez
+      }
+
+      if (throttlesLeft > 0) {
+        throttlesLeft--;
+        return send(res, 200, read('throttled.json'));
+      }
+
+      if (query.includes('bulkOperationRunQuery')) {
+        if (started) return send(res, 200, read('already-running.json'));
+        started = true;
+        pollsLeft = args.polls;
+        return send(res, 200, read('run.json'));
+      }
+
+      if (query.includes('currentBulkOperation')) {
+        if (pollsLeft > 0) {
+          pollsLeft--;
+          return send(res, 200, read('poll-running.json'));
+        }
+        started = false;
+        return send(res, 200, read('poll-completed.json'));
+      }
+
+      send(res, 200, JSON.stringify({ errors: [{ message: 'Stub bu sorguyu tanımıyor' }] }));
+    });
+  });
+
+  server.listen(args.port, () => {
+    console.log(`🧪 Shopify stub: ${stubUrl} (${path.relative(process.cwd(), dir) || dir})`);
+  });
+}
+
+main();
@@ -0,0 +1,435 @@
+// Laylapet sohbet widget'ı (sürüm __WIDGET_VERSION__)
+//
+// Shopify temasına tek satırla eklenir (theme.liquid, </body> öncesi):
+//   <script src="https://asistan.example.com/widget.js" data-shop="{{ shop.permanent_domain }}" async></script>
+//
+// İsteğe bağlı: data-language="en" (yanıtlar hep bu dilde; yoksa mesajın dili, belirsizse sayfanın dili), data-open="true" (açık başlar).
+// Sepete ekleme sonrası tema sepetini yenilemek için: document.addEventListener('laylapet:cart-updated', ...)
+
+(function () {
+  'use strict';
+
+  const script = document.currentScript;
+  if (!script || window.LaylapetChat) return;
+
+  const VERSION = '__WIDGET_VERSION__';
+  const API = new URL(script.src).origin;
+  const SHOP = script.dataset.shop || (window.Shopify && window.Shopify.shop);
+  const LANGUAGES = ['tr', 'en', 'de', 'ar'];
+
+  if (!SHOP) {
+    console.warn('Laylapet widget: data-shop eksik');
+    return;
+  }
+
+  const TEXTS = {
+    tr: {
+      open: 'Sohbeti aç', close: 'Kapat', reset: 'Yeni konuşma', send: 'Gönder',
+      placeholder: 'Ne arıyorsun? Örn. "tahılsız kedi maması"',
+      addToCart: 'Sepete ekle', added: 'Sepete eklendi ✓', outOfStock: 'Stokta yok',
+      error: 'Bağlantı hatası, lütfen tekrar dene 🙏', helpful: 'Faydalı', notHelpful: 'Faydalı değil', thanks: 'Teşekkürler!'
+    },
+    en: {
+      open: 'Open chat', close: 'Close', reset: 'New conversation', send: 'Send',
+      placeholder: 'What are you looking for? e.g. "grain-free cat food"',
+      addToCart: 'Add to cart', added: 'Added to cart ✓', outOfStock: 'Out of stock',
+      error: 'Connection error, please try again 🙏', helpful: 'Helpful', notHelpful: 'Not helpful', thanks: 'Thank you!'
+    },
+    de: {
+      open: 'Chat öffnen', close: 'Schließen', reset: 'Neues Gespräch', send: 'Senden',
+      placeholder: 'Was suchst du? z. B. "getreidefreies Katzenfutter"',
+      addToCart: 'In den Warenkorb', added: 'Im Warenkorb ✓', outOfStock: 'Nicht auf Lager',
+      error: 'Verbindungsfehler, bitte versuche es erneut 🙏', helpful: 'Hilfreich', notHelpful: 'Nicht hilfreich', thanks: 'Danke!'
+    },
+    ar: {
+      open: 'افتح المحادثة', close: 'إغلاق', reset: 'محادثة جديدة', send: 'إرسال',
+      placeholder: 'عمّ تبحث؟ مثلًا "طعام قطط خالي من الحبوب"',
+      addToCart: 'أضف إلى السلة', added: 'تمت الإضافة ✓', outOfStock: 'غير متوفر',
+      error: 'خطأ في الاتصال، يرجى المحاولة مرة أخرى 🙏', helpful: 'مفيد', notHelpful: 'غير مفيد', thanks: 'شكرًا!'
+    }
+  };
+
+  const pickLanguage = value => {
+    const language = String(value || '').toLowerCase().split('-')[0];
+    return LANGUAGES.includes(language) ? language : null;
+  };
+
+  // Mağazanın sabitlediği dil sunucuya body.language olarak gider ve algılamadan önce gelir.
+  // Sabitlenmemişse arayüz dili sadece Accept-Language olarak gider: müşteri başka dilde yazarsa o dilde yanıt alır
+  const pinnedLanguage = pickLanguage(script.dataset.language);
+  let language = pinnedLanguage || pickLanguage(document.documentElement.lang) ||
+    pickLanguage(navigator.language) || 'tr';
+  const t = key => (TEXTS[language] || TEXTS.tr)[key];
+
+  // ========== OTURUM ==========
+
+  // Konuşma hafızası için x-session-id tarayıcıda saklanır (localStorage kapalıysa sayfa boyunca)
+  const SESSION_KEY = `laylapet-chat:${SHOP}:session`;
+  let memorySession = null;
+
+  function newSessionId() {
+    return window.crypto && crypto.randomUUID
+      ? crypto.randomUUID()
+      : Date.now().toString(36) + Math.random().toString(36).substring(2);
+  }
+
+  function getSessionId() {
+    try {
+      let id = localStorage.getItem(SESSION_KEY);
+      if (!id) {
+        id = newSessionId();
+        localStorage.setItem(SESSION_KEY, id);
+      }
+      return id;
+    } catch (error) {
+      memorySession = memorySession || newSessionId();
+      return memorySession;
+    }
+  }
+
+  function resetSessionId() {
+    memorySession = null;
+    try {
+      localStorage.removeItem(SESSION_KEY);
+    } catch (error) {
+      // localStorage kapalı
+    }
+  }
+
+  function api(path, body, options = {}) {
+    return fetch(API + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': language, 'x-session-id': getSessionId() },
+      body: JSON.stringify(body),
+      ...options
+    });
+  }
+
+  // Tıklama / sepet / oy bildirimleri sohbeti bekletmez, hata gösterilmez
+  function track(path, body) {
+    api(path, body, { keepalive: true }).catch(() => {});
+  }
+
+  // ========== GÖRÜNÜM ==========
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // Yanıtlardaki sınırlı markdown: [başlık](https://...), **kalın**, ~~üstü çizili~~, satır sonları
+  function renderMarkdown(text) {
+    return escapeHtml(text)
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/~~([^~]+)~~/g, '<s>$1</s>')
+      .replace(/\n/g, '<br>');
+  }
+
+  const root = el('div', 'lp-root');
+  root.id = 'laylapet-chat';
+  const launcher = el('button', 'lp-launcher', '💬');
+  const panel = el('div', 'lp-panel');
+  const header = el('div', 'lp-header');
+  const title = el('span', 'lp-title');
+  const resetButton = el('button', 'lp-icon', '↻');
+  const closeButton = el('button', 'lp-icon', '✕');
+  const messages = el('div', 'lp-messages');
+  const suggestions = el('div', 'lp-suggestions');
+  const form = el('form', 'lp-form');
+  const input = el('input', 'lp-input');
+  const sendButton = el('button', 'lp-send', '➤');
+
+  input.type = 'text';
+  input.maxLength = 500;
+  sendButton.type = 'submit';
+  launcher.type = resetButton.type = closeButton.type = 'button';
+
+  header.append(title, resetButton, closeButton);
+  form.append(input, sendButton);
+  panel.append(header, messages, form);
+  root.append(panel, launcher);
+
+  let settings = null;
+  let busy = false;
+
+  function applyLanguage() {
+    root.dir = language === 'ar' ? 'rtl' : 'ltr';
+    launcher.setAttribute('aria-label', t('open'));
+    resetButton.title = resetButton.ariaLabel = t('reset');
+    closeButton.title = closeButton.ariaLabel = t('close');
+    sendButton.ariaLabel = t('send');
+    input.placeholder = t('placeholder');
+  }
+
+  function applySettings() {
+    Object.entries(settings.theme || {}).forEach(([key, color]) => {
+      root.style.setProperty(`--lp-${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`, color);
+    });
+    root.classList.toggle('lp-left', settings.position === 'left');
+    title.textContent = settings.title || '';
+  }
+
+  function scrollToBottom() {
+    messages.scrollTop = messages.scrollHeight;
+  }
+
+  function addMessage(role, text) {
+    const bubble = el('div', `lp-message lp-${role}`);
+    if (role === 'bot') {
+      bubble.innerHTML = renderMarkdown(text);
+    } else {
+      bubble.textContent = text;
+    }
+    messages.appendChild(bubble);
+    scrollToBottom();
+    return bubble;
+  }
+
+  function showGreeting() {
+    messages.innerHTML = '';
+    if (settings.greeting) addMessage('bot', settings.greeting);
+
+    suggestions.innerHTML = '';
+    settings.suggestions.forEach(text => {
+      const chip = el('button', 'lp-chip', text);
+      chip.type = 'button';
+      chip.addEventListener('click', () => sendMessage(text));
+      suggestions.appendChild(chip);
+    });
+    messages.appendChild(suggestions);
+  }
+
+  // ========== ÜRÜN KARTLARI ==========
+
+  async function addToCart(product, responseId, button) {
+    button.disabled = true;
+    try {
+      // Tema ile aynı sitede çalışır: Ajax Cart API
+      const response = await fetch('/cart/add.js', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: [{ id: Number(product.variantId), quantity: product.quantity || 1 }] })
+      });
+      if (!response.ok) throw new Error(`cart/add.js ${response.status}`);
+
+      button.textContent = t('added');
+      if (responseId) track('/api/events', { responseId, productId: product.id, type: 'add_to_cart' });
+      document.dispatchEvent(new CustomEvent('laylapet:cart-updated', { detail: { product } }));
+    } catch (error) {
+      // Ajax sepet yoksa (ör. farklı alan adında önizleme) cart permalink ile devam edilir
+      window.location.href = `/cart/${product.variantId}:${product.quantity || 1}`;
+    }
+  }
+
+  function renderCard(product, responseId) {
+    const card = el('div', 'lp-card');
+    const link = el('a', 'lp-card-link');
+    link.href = `/products/${encodeURIComponent(product.handle)}${product.variantId ? `?variant=${product.variantId}` : ''}`;
+    link.addEventListener('click', () => {
+      if (responseId) track('/api/events', { responseId, productId: product.id, type: 'click' });
+    });
+
+    if (product.image) {
+      const image = el('img', 'lp-card-image');
+      image.src = product.image;
+      image.alt = product.title;
+      image.loading = 'lazy';
+      link.appendChild(image);
+    }
+
+    const info = el('div', 'lp-card-info');
+    info.append(el('div', 'lp-card-title', product.title));
+    if (product.vendor) info.append(el('div', 'lp-card-vendor', product.vendor));
+
+    const price = el('div', 'lp-card-price', `${product.price} ${product.currency === 'TRY' ? 'TL' : product.currency || ''}`);
+    if (product.compareAtPrice) {
+      price.append(' ', el('s', 'lp-card-compare', product.compareAtPrice));
+    }
+    if (product.variantTitle && product.variantTitle !== 'Default Title') {
+      price.append(el('span', 'lp-card-variant', ` · ${product.variantTitle}`));
+    }
+    info.append(price);
+    link.appendChild(info);
+    card.appendChild(link);
+
+    const button = el('button', 'lp-card-button', product.available === false ? t('outOfStock') : t('addToCart'));
+    button.type = 'button';
+    button.disabled = product.available === false || !product.variantId;
+    button.addEventListener('click', () => addToCart(product, responseId, button));
+    card.appendChild(button);
+
+    return card;
+  }
+
+  function renderProducts(products, responseId) {
+    if (!products || products.length === 0) return;
+    const list = el('div', 'lp-cards');
+    products.forEach(product => list.appendChild(renderCard(product, responseId)));
+    messages.appendChild(list);
+  }
+
+  function renderFeedback(responseId) {
+    const bar = el('div', 'lp-feedback');
+    ['up', 'down'].forEach(rating => {
+      const button = el('button', 'lp-icon', rating === 'up' ? '👍' : '👎');
+      button.type = 'button';
+      button.title = button.ariaLabel = t(rating === 'up' ? 'helpful' : 'notHelpful');
+      button.addEventListener('click', () => {
+        track('/api/feedback', { responseId, rating });
+        bar.textContent = t('thanks');
+      });
+      bar.appendChild(button);
+    });
+    messages.appendChild(bar);
+  }
+
+  // ========== SOHBET ==========
+
+  // Server-Sent Events: "event: x\ndata: {...}\n\n" blokları
+  async function readEvents(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.substring(0, boundary);
+        buffer = buffer.substring(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event: ')) event = line.substring(7);
+          else if (line.startsWith('data: ')) data += line.substring(6);
+        });
+        if (data) onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+
+  function finishReply(bubble, data) {
+    bubble.classList.remove('lp-typing');
+    bubble.innerHTML = renderMarkdown(data.reply || t('error'));
+    if (pickLanguage(data.language)) {
+      language = data.language;
+      applyLanguage();
+    }
+    renderProducts(data.products, data.responseId);
+    if (data.responseId) renderFeedback(data.responseId);
+    scrollToBottom();
+  }
+
+  async function sendMessage(text) {
+    const message = text.trim();
+    if (!message || busy) return;
+    busy = true;
+    input.value = '';
+    if (suggestions.parentNode) suggestions.remove();
+
+    addMessage('user', message);
+    const bubble = addMessage('bot', '');
+    bubble.classList.add('lp-typing');
+
+    try {
+      const response = await api('/api/chat/stream', { message, shopDomain: SHOP, language: pinnedLanguage || undefined });
+      const isStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+
+      // Doğrulama / istek sınırı hataları JSON döner ({ reply })
+      if (!response.ok || !isStream || !response.body) {
+        finishReply(bubble, await response.json().catch(() => ({})));
+        return;
+      }
+
+      let reply = '';
+      let responseLanguage = null;
+      await readEvents(response.body, (event, data) => {
+        if (event === 'products') {
+          responseLanguage = data.language;
+        } else if (event === 'token') {
+          reply += data.content;
+          bubble.classList.remove('lp-typing');
+          bubble.innerHTML = renderMarkdown(reply);
+          scrollToBottom();
+        } else if (event === 'done') {
+          finishReply(bubble, { language: responseLanguage, ...data });
+        } else if (event === 'error') {
+          finishReply(bubble, { reply: data.reply });
+        }
+      });
+    } catch (error) {
+      finishReply(bubble, { reply: t('error') });
+    } finally {
+      busy = false;
+      input.focus();
+    }
+  }
+
+  async function resetConversation() {
+    if (busy) return;
+    track('/api/reset-session', { shopDomain: SHOP });
+    resetSessionId();
+    showGreeting();
+  }
+
+  function toggle(open) {
+    root.classList.toggle('lp-open', open);
+    if (open) {
+      input.focus();
+      scrollToBottom();
+    }
+  }
+
+  // ========== BAŞLAT ==========
+
+  async function init() {
+    const response = await fetch(`${API}/api/widget/config?shop=${encodeURIComponent(SHOP)}&language=${language}`);
+    if (!response.ok) {
+      console.warn(`Laylapet widget: ayarlar alınamadı (${response.status})`);
+      return;
+    }
+    const data = await response.json();
+    settings = data.settings;
+    if (!settings.enabled) return;
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = `${API}/widget/${VERSION}/widget.css`;
+    document.head.appendChild(stylesheet);
+
+    applySettings();
+    applyLanguage();
+    showGreeting();
+
+    launcher.addEventListener('click', () => toggle(!root.classList.contains('lp-open')));
+    closeButton.addEventListener('click', () => toggle(false));
+    resetButton.addEventListener('click', resetConversation);
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      sendMessage(input.value);
+    });
+
+    document.body.appendChild(root);
+    if (script.dataset.open === 'true') toggle(true);
+  }
+
+  window.LaylapetChat = {
+    version: VERSION,
+    open: () => toggle(true),
+    close: () => toggle(false),
+    send: sendMessage
+  };
+
+  init().catch(error => console.warn('Laylapet widget:', error.message));
+})();